@@ -11,7 +11,8 @@ const STORAGE_KEY = 'sales_data_comparator_data';
 const AUTH_TOKEN_KEY = 'sales_data_auth_token';
 const AUTH_USER_KEY = 'sales_data_auth_user';
 // 开发环境和本地文件都使用 localhost:3000
-const API_BASE_URL = (window.location.hostname === 'localhost' || 
+const API_BASE_URL = (typeof window === 'undefined' || !window.location ||
+    window.location.hostname === 'localhost' || 
     window.location.hostname === '' || 
     window.location.protocol === 'file:')
     ? 'http://localhost:3000/api' 
@@ -296,6 +297,9 @@ const CloudSyncManager = {
     /**
      * 上传销售数据到云端
      * Requirements: 4.1
+     * 
+     * 请求体直接是月度数据的字段（monthId、monthName、period、color、config、groupedData、rawData），
+     * 服务器从 req.body 顶层读取这些字段，不要再包一层
      * @param {Object} monthData - 月度销售数据
      * @returns {Promise<{ success: boolean, id?: string, error?: string }>}
      */
@@ -321,7 +325,7 @@ const CloudSyncManager = {
             const response = await fetch(`${API_BASE_URL}/data`, {
                 method: 'POST',
                 headers: this._getAuthHeaders(),
-                body: JSON.stringify({ monthData })
+                body: JSON.stringify(monthData)
             });
             
             const data = await response.json();
@@ -457,6 +461,238 @@ const CloudSyncManager = {
         }
     },
     
+    /**
+     * 下载用户的列映射模板
+     * @returns {Promise<{ success: boolean, data?: array, error?: string }>}
+     */
+    async downloadTemplates() {
+        if (!AuthManager.isLoggedIn()) {
+            return { success: false, error: '请先登录' };
+        }
+        
+        if (!this.isOnline()) {
+            return { success: false, error: '网络离线' };
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/data/templates`, {
+                method: 'GET',
+                headers: this._getAuthHeaders()
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                return { success: true, data: result.data || [] };
+            }
+            return { success: false, error: result.error || '下载模板失败' };
+        } catch (error) {
+            console.error('下载模板失败:', error);
+            return { success: false, error: '网络错误' };
+        }
+    },
+    
+    /**
+     * 上传列映射模板（同名覆盖）
+     * @param {{ name: string, columns: string[], config: Object }} template
+     * @returns {Promise<{ success: boolean, id?: number, error?: string }>}
+     */
+    async uploadTemplate(template) {
+        if (!AuthManager.isLoggedIn()) {
+            return { success: false, error: '请先登录' };
+        }
+        
+        if (!this.isOnline()) {
+            LocalCacheManager.addPendingOperation({
+                type: 'uploadTemplate',
+                data: template,
+                timestamp: Date.now()
+            });
+            return { success: false, error: '网络离线，模板已保存到本地' };
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/data/templates`, {
+                method: 'POST',
+                headers: this._getAuthHeaders(),
+                body: JSON.stringify(template)
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                return { success: true, id: data.id };
+            }
+            return { success: false, error: data.error || '保存模板失败' };
+        } catch (error) {
+            console.error('上传模板失败:', error);
+            LocalCacheManager.addPendingOperation({
+                type: 'uploadTemplate',
+                data: template,
+                timestamp: Date.now()
+            });
+            return { success: false, error: '网络错误，模板已保存到本地' };
+        }
+    },
+    
+    /**
+     * 删除云端列映射模板
+     * @param {string} name - 模板名称
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async deleteTemplate(name) {
+        if (!AuthManager.isLoggedIn()) {
+            return { success: false, error: '请先登录' };
+        }
+        
+        if (!this.isOnline()) {
+            LocalCacheManager.addPendingOperation({
+                type: 'deleteTemplate',
+                name,
+                timestamp: Date.now()
+            });
+            return { success: false, error: '网络离线，操作已保存到本地' };
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/data/templates/${encodeURIComponent(name)}`, {
+                method: 'DELETE',
+                headers: this._getAuthHeaders()
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                return { success: true };
+            }
+            return { success: false, error: data.error || '删除模板失败' };
+        } catch (error) {
+            console.error('删除模板失败:', error);
+            LocalCacheManager.addPendingOperation({
+                type: 'deleteTemplate',
+                name,
+                timestamp: Date.now()
+            });
+            return { success: false, error: '网络错误，操作已保存到本地' };
+        }
+    },
+    
+    /**
+     * 下载名称别名表
+     * @returns {Promise<{ success: boolean, data?: Array<Object>, error?: string }>}
+     */
+    async downloadAliases() {
+        if (!AuthManager.isLoggedIn()) {
+            return { success: false, error: '请先登录' };
+        }
+        
+        if (!this.isOnline()) {
+            return { success: false, error: '网络离线' };
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/data/aliases`, {
+                method: 'GET',
+                headers: this._getAuthHeaders()
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                return { success: true, data: result.data || [] };
+            }
+            return { success: false, error: result.error || '下载别名失败' };
+        } catch (error) {
+            console.error('下载别名失败:', error);
+            return { success: false, error: '网络错误' };
+        }
+    },
+    
+    /**
+     * 上传名称别名（同一别名覆盖）
+     * @param {{ kind: string, alias: string, canonical: string }} entry
+     * @returns {Promise<{ success: boolean, id?: number, error?: string }>}
+     */
+    async uploadAlias(entry) {
+        if (!AuthManager.isLoggedIn()) {
+            return { success: false, error: '请先登录' };
+        }
+        
+        if (!this.isOnline()) {
+            LocalCacheManager.addPendingOperation({
+                type: 'uploadAlias',
+                data: entry,
+                timestamp: Date.now()
+            });
+            return { success: false, error: '网络离线，别名已保存到本地' };
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/data/aliases`, {
+                method: 'POST',
+                headers: this._getAuthHeaders(),
+                body: JSON.stringify(entry)
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                return { success: true, id: data.id };
+            }
+            return { success: false, error: data.error || '保存别名失败' };
+        } catch (error) {
+            console.error('上传别名失败:', error);
+            LocalCacheManager.addPendingOperation({
+                type: 'uploadAlias',
+                data: entry,
+                timestamp: Date.now()
+            });
+            return { success: false, error: '网络错误，别名已保存到本地' };
+        }
+    },
+    
+    /**
+     * 删除云端名称别名
+     * @param {{ kind: string, alias: string }} entry
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async deleteAlias(entry) {
+        if (!AuthManager.isLoggedIn()) {
+            return { success: false, error: '请先登录' };
+        }
+        
+        if (!this.isOnline()) {
+            LocalCacheManager.addPendingOperation({
+                type: 'deleteAlias',
+                data: entry,
+                timestamp: Date.now()
+            });
+            return { success: false, error: '网络离线，操作已保存到本地' };
+        }
+        
+        try {
+            const response = await fetch(`${API_BASE_URL}/data/aliases/${encodeURIComponent(entry.kind)}/${encodeURIComponent(entry.alias)}`, {
+                method: 'DELETE',
+                headers: this._getAuthHeaders()
+            });
+            
+            const data = await response.json();
+            
+            if (data.success) {
+                return { success: true };
+            }
+            return { success: false, error: data.error || '删除别名失败' };
+        } catch (error) {
+            console.error('删除别名失败:', error);
+            LocalCacheManager.addPendingOperation({
+                type: 'deleteAlias',
+                data: entry,
+                timestamp: Date.now()
+            });
+            return { success: false, error: '网络错误，操作已保存到本地' };
+        }
+    },
+    
     /**
      * 同步待处理的操作（网络恢复后调用）
      * Requirements: 5.2
@@ -474,28 +710,42 @@ const CloudSyncManager = {
         
         this._setSyncStatus('syncing');
         let synced = 0;
-        let failed = 0;
+        const failedOps = [];
         
         for (const op of pendingOps) {
+            let result = null;
             try {
                 if (op.type === 'upload') {
-                    const result = await this.uploadData(op.data);
-                    if (result.success) synced++;
-                    else failed++;
+                    result = await this.uploadData(op.data);
                 } else if (op.type === 'delete') {
-                    const result = await this.deleteData(op.monthId);
-                    if (result.success) synced++;
-                    else failed++;
+                    result = await this.deleteData(op.monthId);
+                } else if (op.type === 'uploadTemplate') {
+                    result = await this.uploadTemplate(op.data);
+                } else if (op.type === 'deleteTemplate') {
+                    result = await this.deleteTemplate(op.name);
+                } else if (op.type === 'uploadAlias') {
+                    result = await this.uploadAlias(op.data);
+                } else if (op.type === 'deleteAlias') {
+                    result = await this.deleteAlias(op.data);
                 }
             } catch (error) {
-                failed++;
+                result = { success: false };
             }
+            // 无法识别的操作直接丢弃
+            if (!result) continue;
+            if (result.success) synced++;
+            else failedOps.push(op);
         }
+        const failed = failedOps.length;
         
-        // 清除已同步的操作
-        if (synced > 0) {
-            LocalCacheManager.clearPendingOperations();
-        }
+        // 只移除已同步的操作，失败的留在队列中下次重试。
+        // 重放失败时上传/删除方法会把同一操作再次加入队列，这些重复项不再保留
+        const opKey = op => JSON.stringify([op.type, op.data ?? null, op.monthId ?? null, op.name ?? null]);
+        const failedKeys = new Set(failedOps.map(opKey));
+        const addedDuringSync = LocalCacheManager.getPendingOperations()
+            .slice(pendingOps.length)
+            .filter(op => !failedKeys.has(opKey(op)));
+        LocalCacheManager.setPendingOperations([...failedOps, ...addedDuringSync]);
         
         this._setSyncStatus(failed > 0 ? 'error' : 'idle');
         return { success: failed === 0, synced, failed };
@@ -570,7 +820,7 @@ const LocalCacheManager = {
     
     /**
      * 记录待同步操作
-     * @param {Object} operation - 操作对象 { type: 'upload'|'delete', data?: Object, monthId?: string, timestamp: number }
+     * @param {Object} operation - 操作对象 { type: 'upload'|'delete'|'uploadTemplate'|'deleteTemplate'|'uploadAlias'|'deleteAlias', data?: Object, monthId?: string, name?: string, timestamp: number }
      */
     addPendingOperation(operation) {
         try {
@@ -597,6 +847,22 @@ const LocalCacheManager = {
         }
     },
     
+    /**
+     * 替换待同步操作，列表为空时清除
+     * @param {Array} ops
+     */
+    setPendingOperations(ops) {
+        if (ops.length === 0) {
+            this.clearPendingOperations();
+            return;
+        }
+        try {
+            localStorage.setItem(this.PENDING_OPS_KEY, JSON.stringify(ops));
+        } catch (e) {
+            console.error('保存待同步操作失败:', e);
+        }
+    },
+    
     /**
      * 清除待同步操作
      */
@@ -617,6 +883,8 @@ const LocalCacheManager = {
         try {
             const key = this.CACHE_KEY_PREFIX + userId;
             localStorage.removeItem(key);
+            // 该用户的列映射模板、名称别名和品类层级设置也一并清除
+            [TemplateManager, AliasManager, CategoryHierarchy].forEach(manager => UserStorage.remove(manager.STORAGE_KEY_PREFIX, userId));
         } catch (e) {
             console.error('清除用户缓存失败:', e);
         }
@@ -882,6 +1150,10 @@ const AuthUI = {
                 // 登录后加载云端数据
                 // Requirements: 2.3 - 登录成功后从云端加载数据
                 await StateManager.initFromCloud();
+                await TemplateManager.initFromCloud();
+                CategoryHierarchy.loadLocal();
+                await AliasManager.initFromCloud();
+                StateManager.applyAliases();
                 UI.renderMonthsData();
                 this.updateSyncStatus('synced');
             } else {
@@ -968,6 +1240,10 @@ const AuthUI = {
         
         // 清除数据显示，恢复本地存储数据
         StateManager.init();
+        TemplateManager.loadLocal();
+        CategoryHierarchy.loadLocal();
+        AliasManager.loadLocal();
+        StateManager.applyAliases();
         UI.renderMonthsData();
         
         UI.showMessage('已登出', 'success');
@@ -1104,531 +1380,5326 @@ const StorageManager = {
 
 
 // ============================================
-// FileHandler Module
+// UserStorage Module - 按用户分开的本地设置
 // ============================================
-const FileHandler = {
-    async parseExcelFile(file) {
-        return new Promise((resolve) => {
-            const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-                    const firstSheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-                    
-                    if (jsonData.length === 0) {
-                        resolve({ columns: [], data: [], error: '文件中没有数据，请检查文件内容' });
-                        return;
-                    }
-                    
-                    const columns = jsonData[0].map(col => String(col || '').trim()).filter(col => col);
-                    
-                    if (columns.length === 0) {
-                        resolve({ columns: [], data: [], error: '文件中没有有效的列名' });
-                        return;
-                    }
-                    
-                    const dataRows = [];
-                    for (let i = 1; i < jsonData.length; i++) {
-                        const row = jsonData[i];
-                        if (row && row.some(cell => cell !== undefined && cell !== null && cell !== '')) {
-                            const rowObj = {};
-                            columns.forEach((col, idx) => {
-                                rowObj[col] = row[idx] !== undefined ? row[idx] : '';
-                            });
-                            dataRows.push(rowObj);
-                        }
-                    }
-                    
-                    if (dataRows.length === 0) {
-                        resolve({ columns, data: [], error: '文件中没有数据行' });
-                        return;
-                    }
-                    
-                    resolve({ columns, data: dataRows });
-                } catch (err) {
-                    resolve({ columns: [], data: [], error: '文件解析失败，请确保文件未损坏' });
-                }
-            };
-            
-            reader.onerror = () => {
-                resolve({ columns: [], data: [], error: '文件读取失败' });
-            };
-            
-            reader.readAsArrayBuffer(file);
-        });
+const UserStorage = {
+    /**
+     * 用户的本地存储键，未登录时使用 local
+     * @param {string} prefix - 各模块的存储键前缀
+     * @param {string|number} [userId] - 默认为当前用户
+     * @returns {string}
+     */
+    key(prefix, userId = AuthManager.getCurrentUser()?.id) {
+        return prefix + (userId || 'local');
     },
     
-    isValidExcelFile(file) {
-        const validExtensions = ['.xls', '.xlsx'];
-        return validExtensions.some(ext => file.name.toLowerCase().endsWith(ext));
+    /**
+     * 读取当前用户保存的数据
+     * @param {string} prefix
+     * @param {string} label - 出错时日志中的数据名称
+     * @returns {*} 没有保存过或无法读取时返回 null
+     */
+    load(prefix, label) {
+        try {
+            return JSON.parse(localStorage.getItem(this.key(prefix)) || 'null');
+        } catch (e) {
+            console.error(`读取${label}失败:`, e);
+            return null;
+        }
+    },
+    
+    /**
+     * 保存当前用户的数据
+     * @param {string} prefix
+     * @param {*} value
+     * @param {string} label - 出错时日志中的数据名称
+     */
+    save(prefix, value, label) {
+        try {
+            localStorage.setItem(this.key(prefix), JSON.stringify(value));
+        } catch (e) {
+            console.error(`保存${label}失败:`, e);
+        }
+    },
+    
+    /**
+     * 删除指定用户保存的数据
+     * @param {string} prefix
+     * @param {string|number} userId
+     */
+    remove(prefix, userId) {
+        localStorage.removeItem(this.key(prefix, userId));
     }
 };
 
+
 // ============================================
-// DataProcessor Module
+// TemplateManager Module - 列映射模板
 // ============================================
-const DataProcessor = {
-    filterColumns(data, selectedColumns) {
-        return data.map(row => {
-            const filtered = {};
-            selectedColumns.forEach(col => {
-                if (row.hasOwnProperty(col)) {
-                    filtered[col] = row[col];
-                }
-            });
-            return filtered;
-        });
-    },
+const TemplateManager = {
+    STORAGE_KEY_PREFIX: 'sales_data_templates_',
+    MATCH_THRESHOLD: 0.8,
+    templates: [],
     
-    groupByCategory(data, categoryColumn) {
-        const grouped = {};
-        data.forEach(row => {
-            const category = String(row[categoryColumn] || '未分类');
-            if (!grouped[category]) grouped[category] = [];
-            grouped[category].push(row);
-        });
-        return grouped;
+    /**
+     * 从本地存储加载当前用户的模板
+     */
+    loadLocal() {
+        this.templates = UserStorage.load(this.STORAGE_KEY_PREFIX, '模板') || [];
     },
     
-    sortBySalesAmount(groupedData, salesColumn) {
-        const sorted = {};
-        Object.keys(groupedData).forEach(category => {
-            sorted[category] = [...groupedData[category]].sort((a, b) => {
-                const salesA = parseFloat(a[salesColumn]) || 0;
-                const salesB = parseFloat(b[salesColumn]) || 0;
-                return salesB - salesA;
-            });
-        });
-        return sorted;
-    },
-    
-    processData(data, config) {
-        const filtered = this.filterColumns(data, config.selectedColumns);
-        const grouped = this.groupByCategory(filtered, config.categoryColumn);
-        return this.sortBySalesAmount(grouped, config.salesColumn);
-    }
-};
-
-
-// ============================================
-// StateManager Module
-// ============================================
-const StateManager = {
-    monthsData: [],
-    colorIndex: 0,
-    
     /**
-     * 初始化状态管理器
-     * 从本地存储加载数据（未登录时使用）
+     * 保存模板到本地存储
+     * @private
      */
-    init() {
-        const savedData = StorageManager.loadData();
-        if (savedData.length > 0) {
-            this.monthsData = savedData;
-            this.colorIndex = savedData.length;
-        }
+    _saveLocal() {
+        UserStorage.save(this.STORAGE_KEY_PREFIX, this.templates, '模板');
     },
     
     /**
-     * 从云端初始化数据
-     * Requirements: 2.3, 4.4
-     * @returns {Promise<boolean>} 是否成功加载云端数据
+     * 从云端加载模板（云端优先），失败时保留本地模板
+     * 
+     * 离线时保存或删除的模板还在待同步队列中，先同步到云端再下载，
+     * 否则会被云端列表覆盖；仍未能同步时保留本地模板
+     * @returns {Promise<boolean>}
      */
     async initFromCloud() {
-        if (!AuthManager.isLoggedIn()) {
-            return false;
+        this.loadLocal();
+        if (!AuthManager.isLoggedIn()) return false;
+        
+        const hasPendingTemplateOps = () => LocalCacheManager.getPendingOperations()
+            .some(op => op.type === 'uploadTemplate' || op.type === 'deleteTemplate');
+        if (hasPendingTemplateOps()) {
+            await CloudSyncManager.syncPendingOperations();
+            if (hasPendingTemplateOps()) return false;
         }
         
-        try {
-            const result = await CloudSyncManager.downloadAllData();
-            if (result.success && result.data) {
-                this.monthsData = result.data.map(item => ({
-                    id: item.id?.toString() || item.monthId || Date.now().toString(),
-                    month: item.monthName || item.month,
-                    color: item.color || '#E3F2FD',
-                    importedAt: item.importedAt ? new Date(item.importedAt) : new Date(),
-                    config: item.config || {},
-                    groupedData: item.groupedData || {},
-                    rawData: item.rawData || []
-                }));
-                this.colorIndex = this.monthsData.length;
-                return true;
-            }
-            return false;
-        } catch (error) {
-            console.error('从云端加载数据失败:', error);
-            return false;
+        const result = await CloudSyncManager.downloadTemplates();
+        if (result.success) {
+            this.templates = result.data.map(t => ({
+                name: t.name,
+                columns: t.columns || [],
+                config: t.config || {},
+                updatedAt: t.updatedAt
+            }));
+            this._saveLocal();
+            return true;
         }
+        return false;
+    },
+    
+    getTemplates() {
+        return this.templates;
+    },
+    
+    getTemplate(name) {
+        return this.templates.find(t => t.name === name) || null;
     },
     
     /**
-     * 添加月度数据
-     * Requirements: 4.1
-     * @param {Object} monthData - 月度销售数据
+     * 保存模板（同名覆盖），已登录时同步到云端
+     * @param {string} name - 模板名称
+     * @param {string[]} columns - 文件表头
+     * @param {Object} config - 列映射配置
+     * @returns {Promise<{ success: boolean, error?: string }>}
      */
-    async addMonthData(monthData) {
-        this.monthsData.push(monthData);
-        StorageManager.saveData(this.monthsData);
+    async saveTemplate(name, columns, config) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            return { success: false, error: '请输入模板名称' };
+        }
+        
+        const template = { name: trimmed, columns: [...columns], config: { ...config }, updatedAt: new Date().toISOString() };
+        this.templates = [template, ...this.templates.filter(t => t.name !== trimmed)];
+        this._saveLocal();
         
-        // 如果已登录，同步到云端
         if (AuthManager.isLoggedIn()) {
-            const cloudData = {
-                monthId: monthData.id,
-                monthName: monthData.month,
-                color: monthData.color,
-                config: monthData.config,
-                groupedData: monthData.groupedData,
-                rawData: monthData.rawData
-            };
-            
-            const result = await CloudSyncManager.uploadData(cloudData);
+            const result = await CloudSyncManager.uploadTemplate({ name: trimmed, columns: template.columns, config: template.config });
             if (!result.success) {
-                console.warn('云端同步失败:', result.error);
-                // 数据已保存到本地，离线时会自动加入待同步队列
+                console.warn('模板云端同步失败:', result.error);
             }
         }
+        return { success: true };
     },
     
     /**
-     * 删除月度数据
-     * Requirements: 4.2
-     * @param {string} monthId - 月份数据ID
+     * 删除模板，已登录时同步删除云端模板
+     * @param {string} name - 模板名称
      */
-    async removeMonthData(monthId) {
-        this.monthsData = this.monthsData.filter(m => m.id !== monthId);
-        StorageManager.saveData(this.monthsData);
+    async deleteTemplate(name) {
+        this.templates = this.templates.filter(t => t.name !== name);
+        this._saveLocal();
         
-        // 如果已登录，同步删除云端数据
         if (AuthManager.isLoggedIn()) {
-            const result = await CloudSyncManager.deleteData(monthId);
+            const result = await CloudSyncManager.deleteTemplate(name);
             if (!result.success) {
-                console.warn('云端删除失败:', result.error);
-                // 离线时会自动加入待同步队列
+                console.warn('模板云端删除失败:', result.error);
             }
         }
     },
     
-    getAllMonthsData() {
-        return this.monthsData;
-    },
-    
-    getNextColor() {
-        const color = COLOR_PALETTE[this.colorIndex % COLOR_PALETTE.length];
-        this.colorIndex++;
-        return color;
-    },
-    
-    getProductTrendData(productName) {
-        const trendData = [];
-        this.monthsData.forEach(monthData => {
-            Object.entries(monthData.groupedData).forEach(([category, products]) => {
-                products.forEach(product => {
-                    const name = product[monthData.config.productNameColumn];
-                    if (name === productName) {
-                        trendData.push({
-                            month: monthData.month,
-                            salesAmount: parseFloat(product[monthData.config.salesColumn]) || 0,
-                            quantity: parseFloat(product[monthData.config.quantityColumn]) || 0,
-                            category: category
-                        });
-                    }
-                });
-            });
-        });
-        return trendData;
+    /**
+     * 模板中映射到特殊角色的列（品类、商品、数量、金额）
+     * @param {Object} config
+     * @returns {string[]}
+     */
+    getMappedColumns(config) {
+        return [config.categoryColumn, config.productNameColumn, config.quantityColumn, config.salesColumn]
+            .filter(col => col);
     },
     
-    clear() {
-        this.monthsData = [];
-        this.colorIndex = 0;
-        StorageManager.clearData();
-    }
-};
-
-// ============================================
-// SearchEngine Module
-// ============================================
-const SearchEngine = {
-    search(allData, query) {
-        if (!query || query.trim() === '') return [];
-        
-        const searchTerm = query.toLowerCase().trim();
-        const results = [];
+    /**
+     * 查找与文件表头匹配的模板：模板映射的列必须全部存在，
+     * 且表头集合的 Jaccard 相似度不低于 MATCH_THRESHOLD，取相似度最高者
+     * @param {string[]} columns - 文件表头
+     * @returns {{ template: Object, score: number } | null}
+     */
+    findMatchingTemplate(columns) {
+        const columnSet = new Set(columns);
+        let best = null;
         
-        allData.forEach(monthData => {
-            const monthMatch = monthData.month.toLowerCase().includes(searchTerm);
+        this.templates.forEach(template => {
+            const mapped = this.getMappedColumns(template.config);
+            if (mapped.length === 0 || !mapped.every(col => columnSet.has(col))) return;
             
-            Object.entries(monthData.groupedData).forEach(([category, products]) => {
-                const categoryMatch = category.toLowerCase().includes(searchTerm);
-                
-                products.forEach(product => {
-                    const productName = product[monthData.config.productNameColumn] || '';
-                    const productMatch = String(productName).toLowerCase().includes(searchTerm);
-                    
-                    if (monthMatch || categoryMatch || productMatch) {
-                        results.push({
-                            month: monthData.month,
-                            monthColor: monthData.color,
-                            category: category,
-                            productName: String(productName),
-                            quantity: parseFloat(product[monthData.config.quantityColumn]) || 0,
-                            salesAmount: parseFloat(product[monthData.config.salesColumn]) || 0,
-                            data: product,
-                            config: monthData.config
-                        });
-                    }
-                });
-            });
+            const templateSet = new Set(template.columns);
+            const intersection = [...templateSet].filter(col => columnSet.has(col)).length;
+            const union = new Set([...templateSet, ...columnSet]).size;
+            const score = union > 0 ? intersection / union : 0;
+            
+            if (score >= this.MATCH_THRESHOLD && (!best || score > best.score)) {
+                best = { template, score };
+            }
         });
         
-        return results;
+        return best;
     }
 };
 
-
 // ============================================
-// ChartRenderer Module
+// AliasManager Module - 名称别名（商品、品类改名后的合并）
 // ============================================
-const ChartRenderer = {
-    chartInstance: null,
+const AliasManager = {
+    STORAGE_KEY_PREFIX: 'sales_data_aliases_',
+    KIND_LABELS: { product: '商品', category: '品类' },
+    // [{ kind, alias, canonical, updatedAt }]，alias 总是直接指向最终名称
+    aliases: [],
+    _index: { product: new Map(), category: new Map() },
     
-    renderTrendChart(canvas, data, productName) {
-        this.destroyChart();
-        const ctx = canvas.getContext('2d');
-        
-        this.chartInstance = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: data.map(d => d.month),
-                datasets: [{
-                    label: productName,
-                    data: data.map(d => d.salesAmount),
-                    borderColor: '#2196F3',
-                    backgroundColor: 'rgba(33, 150, 243, 0.1)',
-                    borderWidth: 2,
-                    fill: true,
-                    tension: 0.1,
-                    pointBackgroundColor: '#2196F3',
-                    pointBorderColor: '#fff',
-                    pointBorderWidth: 2,
-                    pointRadius: 6,
-                    pointHoverRadius: 8
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: true,
-                plugins: {
-                    legend: { display: false },
-                    tooltip: {
-                        callbacks: {
-                            label: (context) => `销售金额: ¥${context.parsed.y.toLocaleString()}`
-                        }
-                    }
-                },
-                scales: {
-                    x: { title: { display: true, text: '月份' }, grid: { display: false } },
-                    y: {
-                        title: { display: true, text: '销售金额' },
-                        beginAtZero: true,
-                        ticks: { callback: (value) => '¥' + value.toLocaleString() }
-                    }
-                }
-            }
-        });
+    /**
+     * 从本地存储加载当前用户的别名
+     */
+    loadLocal() {
+        this.aliases = UserStorage.load(this.STORAGE_KEY_PREFIX, '别名') || [];
+        this._rebuildIndex();
     },
     
-    destroyChart() {
-        if (this.chartInstance) {
-            this.chartInstance.destroy();
-            this.chartInstance = null;
-        }
-    }
-};
-
-
-// ============================================
-// UI Module
-// ============================================
-const UI = {
-    currentParseResult: null,
-    pendingDeleteId: null,
-    
-    showMessage(message, type = 'success') {
-        const container = document.getElementById('message-container');
-        const msgEl = document.createElement('div');
-        msgEl.className = `message ${type}`;
-        msgEl.textContent = message;
-        container.appendChild(msgEl);
-        setTimeout(() => msgEl.remove(), 3000);
+    /**
+     * 保存别名到本地存储
+     * @private
+     */
+    _saveLocal() {
+        UserStorage.save(this.STORAGE_KEY_PREFIX, this.aliases, '别名');
     },
     
-    showColumnSelection(columns) {
-        const section = document.getElementById('column-selection');
-        const checkboxContainer = document.getElementById('column-checkboxes');
-        const selects = ['category-column', 'sales-column', 'product-column', 'quantity-column'];
-        
-        checkboxContainer.innerHTML = '';
-        selects.forEach(id => {
-            const select = document.getElementById(id);
-            select.innerHTML = '<option value="">请选择...</option>';
+    /**
+     * 重建别名 → 最终名称的查找表
+     * @private
+     */
+    _rebuildIndex() {
+        this._index = { product: new Map(), category: new Map() };
+        this.aliases.forEach(entry => {
+            if (this._index[entry.kind]) this._index[entry.kind].set(entry.alias, entry.canonical);
         });
+    },
+    
+    /**
+     * 从云端加载别名（云端优先），失败时保留本地别名
+     * 
+     * 离线时的合并/取消合并还在待同步队列中，先同步到云端再下载，
+     * 否则会被云端列表覆盖；仍未能同步时保留本地别名
+     * @returns {Promise<boolean>}
+     */
+    async initFromCloud() {
+        this.loadLocal();
+        if (!AuthManager.isLoggedIn()) return false;
         
-        columns.forEach(col => {
-            const label = document.createElement('label');
-            label.className = 'column-checkbox';
-            label.innerHTML = `<input type="checkbox" value="${col}" checked> ${col}`;
-            checkboxContainer.appendChild(label);
-            
-            selects.forEach(id => {
-                const option = document.createElement('option');
-                option.value = col;
-                option.textContent = col;
-                document.getElementById(id).appendChild(option);
-            });
-        });
+        const hasPendingAliasOps = () => LocalCacheManager.getPendingOperations()
+            .some(op => op.type === 'uploadAlias' || op.type === 'deleteAlias');
+        if (hasPendingAliasOps()) {
+            await CloudSyncManager.syncPendingOperations();
+            if (hasPendingAliasOps()) return false;
+        }
         
-        document.getElementById('month-name').value = '';
-        section.style.display = 'block';
+        const result = await CloudSyncManager.downloadAliases();
+        if (result.success) {
+            this.aliases = result.data.map(a => ({
+                kind: a.kind,
+                alias: a.alias,
+                canonical: a.canonical,
+                updatedAt: a.updatedAt
+            }));
+            this._rebuildIndex();
+            this._saveLocal();
+            return true;
+        }
+        return false;
     },
     
-    hideColumnSelection() {
-        document.getElementById('column-selection').style.display = 'none';
+    /**
+     * 某类别名，不传类型时返回全部
+     * @param {'product'|'category'} [kind]
+     * @returns {Array<Object>}
+     */
+    getAliases(kind) {
+        return kind ? this.aliases.filter(a => a.kind === kind) : this.aliases;
     },
     
-    getSelectedColumns() {
-        const checkboxes = document.querySelectorAll('#column-checkboxes input[type="checkbox"]:checked');
-        return Array.from(checkboxes).map(cb => cb.value);
+    /**
+     * 名称或编码对应的最终名称，没有别名时原样返回
+     * @param {'product'|'category'} kind
+     * @param {string} value
+     * @returns {string}
+     */
+    resolve(kind, value) {
+        return this._index[kind]?.get(value) ?? value;
+    },
+    
+    /**
+     * 合并到某个最终名称的所有别名是否有包含搜索词的
+     * @param {'product'|'category'} kind
+     * @param {string} canonical
+     * @param {string} searchTerm - 已转为小写的搜索词
+     * @returns {boolean}
+     */
+    matches(kind, canonical, searchTerm) {
+        return this.aliases.some(a => a.kind === kind && a.canonical === canonical && a.alias.toLowerCase().includes(searchTerm));
+    },
+    
+    /**
+     * 把 alias 合并到 canonical；canonical 本身是别名时合并到它最终指向的名称，
+     * 原来合并到 alias 的别名也改为指向新的名称。已登录时同步到云端
+     * @param {'product'|'category'} kind
+     * @param {string} alias - 旧名称或编码
+     * @param {string} canonical - 合并后使用的名称或编码
+     * @returns {Promise<{ success: boolean, error?: string }>}
+     */
+    async merge(kind, alias, canonical) {
+        if (!this.KIND_LABELS[kind]) {
+            return { success: false, error: '别名类型无效' };
+        }
+        const trimmedAlias = String(alias || '').trim();
+        const trimmedCanonical = String(canonical || '').trim();
+        if (!trimmedAlias || !trimmedCanonical) {
+            return { success: false, error: '请输入要合并的两个名称' };
+        }
+        const target = this.resolve(kind, trimmedCanonical);
+        if (target === trimmedAlias) {
+            return { success: false, error: '不能合并到自身' };
+        }
+        
+        const updatedAt = new Date().toISOString();
+        this.aliases = [
+            ...this.aliases
+                .filter(a => !(a.kind === kind && a.alias === trimmedAlias))
+                .map(a => (a.kind === kind && a.canonical === trimmedAlias ? { ...a, canonical: target, updatedAt } : a)),
+            { kind, alias: trimmedAlias, canonical: target, updatedAt }
+        ];
+        this._rebuildIndex();
+        this._saveLocal();
+        
+        if (AuthManager.isLoggedIn()) {
+            const result = await CloudSyncManager.uploadAlias({ kind, alias: trimmedAlias, canonical: target });
+            if (!result.success) {
+                console.warn('别名云端同步失败:', result.error);
+            }
+        }
+        return { success: true };
+    },
+    
+    /**
+     * 取消合并：删除别名，已登录时同步删除云端别名
+     * @param {'product'|'category'} kind
+     * @param {string} alias
+     */
+    async unmerge(kind, alias) {
+        this.aliases = this.aliases.filter(a => !(a.kind === kind && a.alias === alias));
+        this._rebuildIndex();
+        this._saveLocal();
+        
+        if (AuthManager.isLoggedIn()) {
+            const result = await CloudSyncManager.deleteAlias({ kind, alias });
+            if (!result.success) {
+                console.warn('别名云端删除失败:', result.error);
+            }
+        }
+    }
+};
+
+// ============================================
+// PeriodHelper Module - 账期（年月）识别
+// ============================================
+const PeriodHelper = {
+    DATE_COLUMN_PATTERN: /日期|时间|date|time/i,
+    
+    /**
+     * 从文本（文件名、月份名称）中识别年月，如 "2025.3月.xlsx"、"2025年03月"、"2025-03"、"202503"
+     * @param {string} text
+     * @returns {{ year: number, month: number } | null}
+     */
+    parseFromText(text) {
+        if (!text) return null;
+        const str = String(text);
+        
+        const patterns = [
+            /(20\d{2})\s*[年.\-/_]\s*(\d{1,2})\s*月?/,
+            /(?:^|\D)(20\d{2})(0[1-9]|1[0-2])(?!\d)/
+        ];
+        for (const pattern of patterns) {
+            const match = str.match(pattern);
+            if (match) {
+                const period = { year: parseInt(match[1], 10), month: parseInt(match[2], 10) };
+                if (this.isValid(period)) return period;
+            }
+        }
+        return null;
+    },
+    
+    /**
+     * 将单元格值解析为日期（支持 Excel 序列号、日期字符串和 Date 对象）
+     * @param {*} value
+     * @returns {{ year: number, month: number } | null}
+     */
+    parseDateValue(value) {
+        if (value instanceof Date && !isNaN(value.getTime())) {
+            return { year: value.getFullYear(), month: value.getMonth() + 1 };
+        }
+        if (typeof value === 'number' && value > 20000 && value < 80000) {
+            // Excel 序列号：1970-01-01 对应 25569
+            const date = new Date(Math.round((value - 25569) * 86400 * 1000));
+            return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1 };
+        }
+        return this.parseFromText(value);
+    },
+    
+    /**
+     * 从日期列中识别账期：取出现次数最多的年月
+     * @param {Array<Object>} data - 数据行
+     * @param {string[]} columns - 列名
+     * @returns {{ year: number, month: number } | null}
+     */
+    parseFromDateColumns(data, columns) {
+        const dateColumns = columns.filter(col => this.DATE_COLUMN_PATTERN.test(col));
+        if (dateColumns.length === 0) return null;
+        
+        const counts = {};
+        data.forEach(row => {
+            dateColumns.forEach(col => {
+                const period = this.parseDateValue(row[col]);
+                if (period) {
+                    const key = this.toKey(period);
+                    counts[key] = (counts[key] || 0) + 1;
+                }
+            });
+        });
+        
+        const best = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        return best ? this.fromKey(best[0]) : null;
+    },
+    
+    /**
+     * 识别导入文件的账期：优先使用文件名，其次使用日期列
+     * @param {string} fileName
+     * @param {Array<Object>} data
+     * @param {string[]} columns
+     * @returns {{ year: number, month: number } | null}
+     */
+    inferPeriod(fileName, data, columns) {
+        return this.parseFromText(fileName) || this.parseFromDateColumns(data || [], columns || []);
+    },
+    
+    isValid(period) {
+        return !!period && Number.isInteger(period.year) && Number.isInteger(period.month) &&
+            period.month >= 1 && period.month <= 12 && period.year >= 1900 && period.year <= 2999;
+    },
+    
+    /**
+     * @param {{ year: number, month: number }} period
+     * @returns {string} 如 "2025年3月"
+     */
+    format(period) {
+        return this.isValid(period) ? `${period.year}年${period.month}月` : '';
+    },
+    
+    /**
+     * @param {{ year: number, month: number }} period
+     * @returns {string} 如 "2025-03"，可用于排序和比较
+     */
+    toKey(period) {
+        return `${period.year}-${String(period.month).padStart(2, '0')}`;
+    },
+    
+    fromKey(key) {
+        const [year, month] = key.split('-').map(n => parseInt(n, 10));
+        return { year, month };
+    },
+    
+    /**
+     * 账期前后移动若干个月
+     * @param {{ year: number, month: number }} period
+     * @param {number} months - 负数表示向前
+     * @returns {{ year: number, month: number }}
+     */
+    shift(period, months) {
+        const index = period.year * 12 + (period.month - 1) + months;
+        return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+    },
+    
+    isSame(a, b) {
+        return this.isValid(a) && this.isValid(b) && a.year === b.year && a.month === b.month;
+    }
+};
+
+// ============================================
+// NumberParser Module - 数值解析
+// ============================================
+const NumberParser = {
+    FULL_WIDTH_MAP: {
+        '０': '0', '１': '1', '２': '2', '３': '3', '４': '4',
+        '５': '5', '６': '6', '７': '7', '８': '8', '９': '9',
+        '．': '.', '，': ',', '－': '-', '＋': '+', '（': '(', '）': ')', '％': '%'
+    },
+    
+    /**
+     * 判断单元格是否为空
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isEmpty(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    },
+    
+    /**
+     * 将单元格值解析为数值
+     * 支持千分位、货币符号（¥ ￥ $ 元 等）、全角数字、会计负数 "(12.00)"、尾随负号 "12.00-"、
+     * 百分号（"12.5%" 解析为 12.5）以及欧式小数逗号 "12,50"
+     * @param {*} value
+     * @returns {number | null} 空单元格或无法解析时返回 null
+     */
+    parse(value) {
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+        if (this.isEmpty(value)) return null;
+        
+        let str = String(value)
+            .replace(/[０-９．，－＋（）％]/g, ch => this.FULL_WIDTH_MAP[ch])
+            .replace(/[\s\u00A0\u2009\u3000]/g, '')
+            .replace(/^(RMB|CNY)|[¥￥$€£元]/gi, '');
+        
+        let negative = false;
+        if (/^\(.*\)$/.test(str)) {
+            negative = true;
+            str = str.slice(1, -1);
+        }
+        if (/^[^-].*-$/.test(str)) {
+            negative = true;
+            str = str.slice(0, -1);
+        }
+        str = str.replace(/%$/, '');
+        
+        str = this._normalizeSeparators(str);
+        if (!/^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i.test(str)) return null;
+        
+        const number = parseFloat(str);
+        if (!Number.isFinite(number)) return null;
+        return negative ? -Math.abs(number) : number;
+    },
+    
+    /**
+     * 解析数值，空单元格或无法解析时返回默认值
+     * @param {*} value
+     * @param {number} [fallback=0]
+     * @returns {number}
+     */
+    toNumber(value, fallback = 0) {
+        const number = this.parse(value);
+        return number === null ? fallback : number;
+    },
+    
+    /**
+     * 统计指定列中非空但无法解析为数值的单元格
+     * @param {Array<Object>} rows - 数据行
+     * @param {string[]} columns - 数值列
+     * @returns {{ total: number, byColumn: Object<string, number> }}
+     */
+    countUnparsed(rows, columns) {
+        const byColumn = {};
+        let total = 0;
+        columns.forEach(col => {
+            const count = rows.filter(row => !this.isEmpty(row[col]) && this.parse(row[col]) === null).length;
+            if (count > 0) {
+                byColumn[col] = count;
+                total += count;
+            }
+        });
+        return { total, byColumn };
+    },
+    
+    /**
+     * 统一千分位和小数分隔符为 "1234.5" 形式
+     * 同时出现 "." 和 "," 时以最后出现的为小数点；仅有 "," 时，符合千分位分组则视为千分位，否则视为小数点
+     * @private
+     */
+    _normalizeSeparators(str) {
+        const lastDot = str.lastIndexOf('.');
+        const lastComma = str.lastIndexOf(',');
+        
+        if (lastDot >= 0 && lastComma >= 0) {
+            return lastComma > lastDot
+                ? str.replace(/\./g, '').replace(',', '.')
+                : str.replace(/,/g, '');
+        }
+        if (lastComma >= 0) {
+            if (/^[+-]?\d{1,3}(,\d{3})+$/.test(str)) return str.replace(/,/g, '');
+            if (/^[+-]?\d+,\d+$/.test(str)) return str.replace(',', '.');
+        }
+        return str;
+    }
+};
+
+// ============================================
+// FileHandler Module
+// ============================================
+const FileHandler = {
+    /**
+     * 解析 Excel 文件中的所有工作表
+     * 返回值的 columns/data 取自第一个有效工作表，sheets 包含每个工作表的解析结果
+     * @param {File} file - Excel 文件
+     * @returns {Promise<{ columns: string[], data: Array, sheets?: Array, error?: string }>}
+     */
+    async parseExcelFile(file) {
+        const buffer = await this.readFileBuffer(file);
+        if (!buffer) return { columns: [], data: [], error: '文件读取失败' };
+        return this.parseExcelBuffer(buffer);
+    },
+    
+    /**
+     * 解析 CSV/TSV 文件，自动识别编码（UTF-8/GBK/GB18030）和分隔符
+     * 结果结构与 parseExcelFile 相同，整个文件视为一个工作表
+     * @param {File} file - CSV 或 TSV 文件
+     * @returns {Promise<{ columns: string[], data: Array, sheets?: Array, encoding?: string, delimiter?: string, error?: string }>}
+     */
+    async parseCsvFile(file) {
+        const buffer = await this.readFileBuffer(file);
+        if (!buffer) return { columns: [], data: [], error: '文件读取失败' };
+        return this.parseCsvBuffer(buffer, file.name);
+    },
+    
+    /**
+     * 根据扩展名选择 Excel 或 CSV/TSV 解析
+     * @param {File} file
+     * @returns {Promise<{ columns: string[], data: Array, sheets?: Array, fileName: string, error?: string }>}
+     */
+    async parseFile(file) {
+        const result = this.isDelimitedTextFile(file) ? await this.parseCsvFile(file) : await this.parseExcelFile(file);
+        return { ...result, fileName: file.name };
+    },
+    
+    /**
+     * 读取文件内容
+     * @param {File|Blob} file
+     * @returns {Promise<ArrayBuffer|null>} 读取失败时返回 null
+     */
+    readFileBuffer(file) {
+        return new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => resolve(null);
+            reader.readAsArrayBuffer(file);
+        });
+    },
+    
+    /**
+     * 解析已读取的文件内容（同步，供主线程和解析 Worker 共用）
+     * @param {ArrayBuffer} buffer - 文件内容
+     * @param {string} fileName - 文件名，用于判断格式
+     * @param {Function} [onProgress] - 进度回调 (percent, stage)
+     * @returns {{ columns: string[], data: Array, sheets?: Array, fileName: string, error?: string }}
+     */
+    parseBuffer(buffer, fileName, onProgress) {
+        const result = this.isDelimitedTextFile({ name: fileName })
+            ? this.parseCsvBuffer(buffer, fileName, onProgress)
+            : this.parseExcelBuffer(buffer, onProgress);
+        return { ...result, fileName };
+    },
+    
+    /**
+     * 解析 Excel 文件内容
+     * @param {ArrayBuffer} buffer
+     * @param {Function} [onProgress] - 进度回调 (percent, stage)
+     * @returns {{ columns: string[], data: Array, sheets?: Array, error?: string }}
+     */
+    parseExcelBuffer(buffer, onProgress = () => {}) {
+        try {
+            onProgress(10, '读取工作簿');
+            const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array' });
+            const sheetCount = workbook.SheetNames.length;
+            const sheets = workbook.SheetNames.map((name, index) => {
+                onProgress(40 + Math.round(index / sheetCount * 60), `解析工作表 ${name}`);
+                const worksheet = workbook.Sheets[name];
+                const jsonData = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+                return this.parseSheet(name, jsonData);
+            });
+            onProgress(100, '解析完成');
+            
+            const firstValid = sheets.find(sheet => !sheet.error);
+            if (!firstValid) {
+                const firstError = sheets.length > 0 ? sheets[0].error : '文件中没有数据，请检查文件内容';
+                return { columns: [], data: [], sheets, error: firstError };
+            }
+            
+            return { columns: firstValid.columns, data: firstValid.data, sheets };
+        } catch (err) {
+            return { columns: [], data: [], error: '文件解析失败，请确保文件未损坏' };
+        }
+    },
+    
+    /**
+     * 解析 CSV/TSV 文件内容
+     * @param {ArrayBuffer} buffer
+     * @param {string} fileName - 文件名，.tsv 固定使用制表符分隔，同时作为工作表名称
+     * @param {Function} [onProgress] - 进度回调 (percent, stage)
+     * @returns {{ columns: string[], data: Array, sheets?: Array, encoding?: string, delimiter?: string, error?: string }}
+     */
+    parseCsvBuffer(buffer, fileName, onProgress = () => {}) {
+        try {
+            onProgress(10, '识别编码');
+            const { text, encoding } = this.decodeText(new Uint8Array(buffer));
+            const delimiter = fileName.toLowerCase().endsWith('.tsv') ? '\t' : this.detectDelimiter(text);
+            onProgress(40, '解析数据行');
+            const rows = this.parseDelimitedText(text, delimiter);
+            const sheet = this.parseSheet(fileName.replace(/\.[^.]+$/, ''), rows);
+            onProgress(100, '解析完成');
+            
+            if (sheet.error) {
+                return { columns: [], data: [], sheets: [sheet], encoding, delimiter, error: sheet.error };
+            }
+            
+            return { columns: sheet.columns, data: sheet.data, sheets: [sheet], encoding, delimiter };
+        } catch (err) {
+            return { columns: [], data: [], error: '文件解析失败，请确认文件编码和格式' };
+        }
+    },
+    
+    /**
+     * 识别文本编码并解码：优先识别 BOM，其次尝试严格 UTF-8，失败则按 GB18030（兼容 GBK）解码
+     * @param {Uint8Array} bytes - 文件内容
+     * @returns {{ text: string, encoding: string }}
+     */
+    decodeText(bytes) {
+        if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'utf-16le' };
+        }
+        if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'utf-16be' };
+        }
+        
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+        } catch (e) {
+            return { text: new TextDecoder('gb18030').decode(bytes), encoding: 'gb18030' };
+        }
+    },
+    
+    /**
+     * 识别分隔符：统计前 10 个非空行中引号外各候选分隔符出现的行数，行数相同时比较总次数
+     * 不考虑 "|"，因为 ERP 导出的列名本身包含 "|"
+     * @param {string} text - 文件文本
+     * @returns {string}
+     */
+    detectDelimiter(text) {
+        const candidates = [',', '\t', ';'];
+        const lineCounts = [];
+        let counts = { ',': 0, '\t': 0, ';': 0 };
+        let inQuotes = false;
+        let lineHasContent = false;
+        
+        for (let i = 0; i < text.length && lineCounts.length < 10; i++) {
+            const char = text[i];
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                if (lineHasContent) lineCounts.push(counts);
+                counts = { ',': 0, '\t': 0, ';': 0 };
+                lineHasContent = false;
+                continue;
+            } else if (!inQuotes && candidates.includes(char)) {
+                counts[char]++;
+            }
+            if (char.trim()) lineHasContent = true;
+        }
+        if (lineHasContent && lineCounts.length < 10) lineCounts.push(counts);
+        
+        let best = ',';
+        let bestLines = 0;
+        let bestTotal = 0;
+        candidates.forEach(delimiter => {
+            const lines = lineCounts.filter(c => c[delimiter] > 0).length;
+            const total = lineCounts.reduce((sum, c) => sum + c[delimiter], 0);
+            if (lines > bestLines || (lines === bestLines && total > bestTotal)) {
+                bestLines = lines;
+                bestTotal = total;
+                best = delimiter;
+            }
+        });
+        return best;
+    },
+    
+    /**
+     * 按 RFC 4180 规则解析分隔文本（支持引号包裹、转义引号和字段内换行）
+     * @param {string} text - 文件文本
+     * @param {string} delimiter - 分隔符
+     * @returns {Array<Array<string>>}
+     */
+    parseDelimitedText(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        return rows;
+    },
+    
+    /**
+     * 解析单个工作表，保留原始行以便手动调整表头后重新解析
+     * @param {string} name - 工作表名称
+     * @param {Array<Array>} rows - sheet_to_json(header: 1) 的结果
+     * @param {{ headerRow?: number, headerRowCount?: number }} [options] - 手动指定的表头位置
+     * @returns {{ name: string, rows: Array<Array>, columns: string[], data: Array, headerRow?: number, headerRowCount?: number, error?: string }}
+     */
+    parseSheet(name, rows, options = {}) {
+        return { name, rows, ...this.parseSheetRows(rows, options) };
+    },
+    
+    /**
+     * 将工作表的二维数组转换为列名和数据行
+     * 未指定 headerRow 时自动识别表头所在行及是否为双层表头
+     * @param {Array<Array>} jsonData - sheet_to_json(header: 1) 的结果
+     * @param {{ headerRow?: number, headerRowCount?: number }} [options] - headerRow 从 0 开始
+     * @returns {{ columns: string[], data: Array, headerRow?: number, headerRowCount?: number, error?: string }}
+     */
+    parseSheetRows(jsonData, options = {}) {
+        if (jsonData.length === 0) {
+            return { columns: [], data: [], error: '文件中没有数据，请检查文件内容' };
+        }
+        
+        const detected = options.headerRow === undefined ? this.detectHeaderRow(jsonData) : null;
+        const headerRow = detected ? detected.headerRow : options.headerRow;
+        const headerRowCount = detected ? detected.headerRowCount : (options.headerRowCount || 1);
+        
+        if (headerRow >= jsonData.length) {
+            return { columns: [], data: [], headerRow, headerRowCount, error: '表头行超出数据范围' };
+        }
+        
+        const header = this.flattenHeaderRows(jsonData.slice(headerRow, headerRow + headerRowCount));
+        const columns = header.filter(col => col);
+        
+        if (columns.length === 0) {
+            return { columns: [], data: [], headerRow, headerRowCount, error: '文件中没有有效的列名' };
+        }
+        
+        const dataRows = [];
+        for (let i = headerRow + headerRowCount; i < jsonData.length; i++) {
+            const row = jsonData[i];
+            if (row && row.some(cell => cell !== undefined && cell !== null && cell !== '')) {
+                const rowObj = {};
+                header.forEach((col, idx) => {
+                    if (col) rowObj[col] = row[idx] !== undefined ? row[idx] : '';
+                });
+                dataRows.push(rowObj);
+            }
+        }
+        
+        if (dataRows.length === 0) {
+            return { columns, data: [], headerRow, headerRowCount, error: '文件中没有数据行' };
+        }
+        
+        return { columns, data: dataRows, headerRow, headerRowCount };
+    },
+    
+    /**
+     * 自动识别表头所在行：在前若干行中选取文本单元格最多的一行（跳过标题行和空行）
+     * 若相邻两行均为纯文本、且下层填补了上层合并单元格留下的空位，则视为双层表头
+     * @param {Array<Array>} jsonData - 工作表二维数组
+     * @param {number} [maxScan=20] - 最多扫描的行数
+     * @returns {{ headerRow: number, headerRowCount: number }}
+     */
+    detectHeaderRow(jsonData, maxScan = 20) {
+        const limit = Math.min(jsonData.length, maxScan);
+        let headerRow = 0;
+        let bestScore = 0;
+        
+        for (let i = 0; i < limit; i++) {
+            const score = this._countCells(jsonData[i]).text;
+            if (score > bestScore) {
+                bestScore = score;
+                headerRow = i;
+            }
+        }
+        
+        // 文本最多的一行可能是双层表头的下层，先检查上一行
+        if (headerRow > 0 && this._isUpperHeaderRow(jsonData[headerRow - 1], jsonData[headerRow])) {
+            return { headerRow: headerRow - 1, headerRowCount: 2 };
+        }
+        
+        const after = this._countCells(jsonData[headerRow + 2]);
+        const isTwoLevel = after.numeric > 0 && this._isUpperHeaderRow(jsonData[headerRow], jsonData[headerRow + 1]);
+        
+        return { headerRow, headerRowCount: isTwoLevel ? 2 : 1 };
+    },
+    
+    /**
+     * 判断 upper 是否为双层表头的上层：两行均为纯文本，且 lower 填补了 upper 合并单元格留下的空位
+     * @private
+     */
+    _isUpperHeaderRow(upper, lower) {
+        const upperCounts = this._countCells(upper);
+        const lowerCounts = this._countCells(lower);
+        if (upperCounts.text < 2 || upperCounts.numeric > 0 || lowerCounts.text < 2 || lowerCounts.numeric > 0) {
+            return false;
+        }
+        return (lower || []).some((cell, idx) => this._isBlankCell((upper || [])[idx]) && !this._isBlankCell(cell));
+    },
+    
+    /**
+     * 将单层或双层表头展平为列名数组（与列索引一一对应，无名列为空字符串）
+     * 上层的合并单元格向右填充，展平后的列名形如 "销售金额|含税"，重名列追加序号
+     * @param {Array<Array>} headerRows - 表头行（1 或 2 行）
+     * @returns {string[]}
+     */
+    flattenHeaderRows(headerRows) {
+        const width = Math.max(...headerRows.map(row => (row || []).length));
+        const names = [];
+        let lastTop = '';
+        
+        for (let idx = 0; idx < width; idx++) {
+            const top = String(headerRows[0]?.[idx] ?? '').trim();
+            if (headerRows.length < 2) {
+                names.push(top);
+                continue;
+            }
+            
+            const bottom = String(headerRows[1]?.[idx] ?? '').trim();
+            if (top) lastTop = top;
+            const parent = top || (bottom ? lastTop : '');
+            
+            if (parent && bottom && parent !== bottom) {
+                names.push(`${parent}|${bottom}`);
+            } else {
+                names.push(parent || bottom);
+            }
+        }
+        
+        const seen = {};
+        return names.map(name => {
+            if (!name) return '';
+            seen[name] = (seen[name] || 0) + 1;
+            return seen[name] > 1 ? `${name}_${seen[name]}` : name;
+        });
+    },
+    
+    /**
+     * 统计一行中的文本单元格和数值单元格数量
+     * @private
+     */
+    _countCells(row) {
+        const counts = { text: 0, numeric: 0 };
+        (row || []).forEach(cell => {
+            if (this._isBlankCell(cell)) return;
+            if (NumberParser.parse(cell) !== null) {
+                counts.numeric++;
+            } else {
+                counts.text++;
+            }
+        });
+        return counts;
+    },
+    
+    /**
+     * @private
+     */
+    _isBlankCell(cell) {
+        return cell === undefined || cell === null || String(cell).trim() === '';
+    },
+    
+    /**
+     * 合并多个工作表的列名（保持首次出现的顺序）
+     * @param {Array<{ columns: string[] }>} sheets - 工作表解析结果
+     * @returns {string[]}
+     */
+    mergeSheetColumns(sheets) {
+        const columns = [];
+        sheets.forEach(sheet => {
+            sheet.columns.forEach(col => {
+                if (!columns.includes(col)) columns.push(col);
+            });
+        });
+        return columns;
+    },
+    
+    /**
+     * 根据导入方式将选中的工作表拆分为待导入的月份批次
+     * @param {Array<{ name: string, columns: string[], data: Array, error?: string }>} sheets - 选中的工作表
+     * @param {string} mode - 'merge' 合并为一个月份 | 'separate' 每个工作表一个月份
+     * @param {string} monthName - 用户输入的月份名称
+     * @param {string[]} requiredColumns - 必须存在的列（品类、商品、数量、金额）
+     * @returns {{ batches: Array<{ month: string, data: Array, sheetNames: string[], period: Object|null }>, report: Array<{ sheet: string, rowCount: number, error?: string }> }}
+     *   分开导入时 period 为从工作表名称或日期列识别的账期，识别不到或合并导入时为 null
+     */
+    buildImportBatches(sheets, mode, monthName, requiredColumns) {
+        const report = [];
+        const validSheets = [];
+        
+        sheets.forEach(sheet => {
+            if (sheet.error) {
+                report.push({ sheet: sheet.name, rowCount: 0, error: sheet.error });
+                return;
+            }
+            const missing = requiredColumns.filter(col => !sheet.columns.includes(col));
+            if (missing.length > 0) {
+                report.push({ sheet: sheet.name, rowCount: 0, error: `缺少列：${missing.join('、')}` });
+                return;
+            }
+            report.push({ sheet: sheet.name, rowCount: sheet.data.length });
+            validSheets.push(sheet);
+        });
+        
+        if (validSheets.length === 0) {
+            return { batches: [], report };
+        }
+        
+        if (mode === 'separate' && sheets.length > 1) {
+            const batches = validSheets.map(sheet => ({
+                month: `${monthName} ${sheet.name}`,
+                data: sheet.data,
+                sheetNames: [sheet.name],
+                period: PeriodHelper.parseFromText(sheet.name) || PeriodHelper.parseFromDateColumns(sheet.data, sheet.columns)
+            }));
+            return { batches, report };
+        }
+        
+        const merged = [];
+        validSheets.forEach(sheet => merged.push(...sheet.data));
+        return {
+            batches: [{ month: monthName, data: merged, sheetNames: validSheets.map(sheet => sheet.name), period: null }],
+            report
+        };
+    },
+    
+    /**
+     * 生成按工作表汇总的导入报告文本
+     * @param {Array<{ sheet: string, rowCount: number, error?: string }>} report
+     * @returns {string}
+     */
+    formatImportReport(report) {
+        return report.map(item => item.error
+            ? `${item.sheet}：${item.error}`
+            : `${item.sheet}：${item.rowCount}行`
+        ).join('；');
+    },
+    
+    isValidExcelFile(file) {
+        const validExtensions = ['.xls', '.xlsx'];
+        return validExtensions.some(ext => file.name.toLowerCase().endsWith(ext));
+    },
+    
+    isDelimitedTextFile(file) {
+        const validExtensions = ['.csv', '.tsv'];
+        return validExtensions.some(ext => file.name.toLowerCase().endsWith(ext));
+    },
+    
+    isValidImportFile(file) {
+        return this.isValidExcelFile(file) || this.isDelimitedTextFile(file);
+    }
+};
+
+// ============================================
+// ImportValidator Module - 导入前数据检查
+// ============================================
+const ImportValidator = {
+    ISSUE_LABELS: {
+        missingName: '商品名称为空',
+        blankCategory: '品类为空',
+        invalidNumber: '金额或数量非数值',
+        negativeQuantity: '数量为负',
+        duplicateCode: '商品编码重复'
+    },
+    
+    /**
+     * 检查数据行，返回问题列表
+     * @param {Array<Object>} rows - 数据行
+     * @param {Object} config - 列映射配置（productCodeColumn 可选，用于检查同一门店内的重复编码）
+     * @returns {Array<{ rowIndex: number, type: string, column: string }>} 按行号排序
+     */
+    validate(rows, config) {
+        const issues = [];
+        const codeRows = {};
+        
+        rows.forEach((row, rowIndex) => {
+            if (NumberParser.isEmpty(row[config.productNameColumn])) {
+                issues.push({ rowIndex, type: 'missingName', column: config.productNameColumn });
+            }
+            if (NumberParser.isEmpty(row[config.categoryColumn])) {
+                issues.push({ rowIndex, type: 'blankCategory', column: config.categoryColumn });
+            }
+            [config.quantityColumn, config.salesColumn].forEach(col => {
+                if (!NumberParser.isEmpty(row[col]) && NumberParser.parse(row[col]) === null) {
+                    issues.push({ rowIndex, type: 'invalidNumber', column: col });
+                }
+            });
+            
+            const quantity = NumberParser.parse(row[config.quantityColumn]);
+            if (quantity !== null && quantity < 0) {
+                issues.push({ rowIndex, type: 'negativeQuantity', column: config.quantityColumn });
+            }
+            
+            if (config.productCodeColumn && !NumberParser.isEmpty(row[config.productCodeColumn])) {
+                // 多门店数据中同一商品在每个门店各有一行，只检查同一门店内的重复
+                const code = `${StoreHelper.getStoreKey(row, config)}\u0000${String(row[config.productCodeColumn]).trim()}`;
+                if (!codeRows[code]) codeRows[code] = [];
+                codeRows[code].push(rowIndex);
+            }
+        });
+        
+        Object.values(codeRows)
+            .filter(indexes => indexes.length > 1)
+            .forEach(indexes => indexes.forEach(rowIndex => {
+                issues.push({ rowIndex, type: 'duplicateCode', column: config.productCodeColumn });
+            }));
+        
+        return issues.sort((a, b) => a.rowIndex - b.rowIndex);
+    },
+    
+    /**
+     * 按行汇总问题，键为 "batchIndex:rowIndex"
+     * @param {Array<{ batchIndex?: number, rowIndex: number }>} issues
+     * @returns {Map<string, Array>}
+     */
+    groupByRow(issues) {
+        const byRow = new Map();
+        issues.forEach(issue => {
+            const key = `${issue.batchIndex || 0}:${issue.rowIndex}`;
+            if (!byRow.has(key)) byRow.set(key, []);
+            byRow.get(key).push(issue);
+        });
+        return byRow;
+    },
+    
+    /**
+     * 按问题类型计数
+     * @param {Array<{ type: string }>} issues
+     * @returns {Object<string, number>}
+     */
+    summarize(issues) {
+        const summary = {};
+        issues.forEach(issue => {
+            summary[issue.type] = (summary[issue.type] || 0) + 1;
+        });
+        return summary;
+    }
+};
+
+// ============================================
+// DataProcessor Module
+// ============================================
+const DataProcessor = {
+    filterColumns(data, selectedColumns) {
+        return data.map(row => {
+            const filtered = {};
+            selectedColumns.forEach(col => {
+                if (row.hasOwnProperty(col)) {
+                    filtered[col] = row[col];
+                }
+            });
+            return filtered;
+        });
+    },
+    
+    groupByCategory(data, categoryColumn) {
+        const grouped = {};
+        data.forEach(row => {
+            const category = AliasManager.resolve('category', String(row[categoryColumn] || '未分类'));
+            if (!grouped[category]) grouped[category] = [];
+            grouped[category].push(row);
+        });
+        return grouped;
+    },
+    
+    /**
+     * 按当前品类别名重新分组：品类取行中原始的品类名（没有品类列时取原分组名）再解析别名，
+     * 因此合并和取消合并都可以作用于已保存的月份
+     * @param {Object} groupedData
+     * @param {Object} config
+     * @returns {Object}
+     */
+    applyCategoryAliases(groupedData, config) {
+        const regrouped = {};
+        Object.entries(groupedData).forEach(([category, rows]) => {
+            rows.forEach(row => {
+                const original = config.categoryColumn && config.categoryColumn in row
+                    ? String(row[config.categoryColumn] || '未分类')
+                    : category;
+                const canonical = AliasManager.resolve('category', original);
+                if (!regrouped[canonical]) regrouped[canonical] = [];
+                regrouped[canonical].push(row);
+            });
+        });
+        return this.sortBySalesAmount(regrouped, config.salesColumn);
+    },
+    
+    sortBySalesAmount(groupedData, salesColumn) {
+        const sorted = {};
+        Object.keys(groupedData).forEach(category => {
+            sorted[category] = [...groupedData[category]].sort((a, b) => {
+                const salesA = NumberParser.toNumber(a[salesColumn]);
+                const salesB = NumberParser.toNumber(b[salesColumn]);
+                return salesB - salesA;
+            });
+        });
+        return sorted;
+    },
+    
+    /**
+     * 可累加的数值列（合并门店等汇总时相加）
+     * @param {Object} config
+     * @returns {string[]}
+     */
+    getMeasureColumns(config) {
+        return [
+            config.quantityColumn,
+            config.salesColumn,
+            config.costColumn,
+            config.profitColumn,
+            config.memberDiscountColumn,
+            config.regularDiscountColumn,
+            ...Object.keys(LossAnalyzer.COLUMN_PATTERNS).map(role => config[role])
+        ].filter(col => col);
+    },
+    
+    /**
+     * 行在分析维度下的分组标识：商品为商品标识，品类为品类名，品牌为品牌名称，
+     * 品类层级（categoryCodePrefix:长度）为所属的上级品类
+     * @param {Object} row
+     * @param {string} category - 行所在的品类
+     * @param {Object} config
+     * @param {'product'|'category'|'brand'|string} dimension
+     * @returns {string}
+     */
+    getDimensionKey(row, category, config, dimension) {
+        if (dimension === 'category') return category;
+        if (dimension === 'brand') return BrandHelper.getBrandName(row, config);
+        const prefixLength = CategoryHierarchy.parseDimension(dimension);
+        if (prefixLength) return CategoryHierarchy.getLevelKey(row, config, prefixLength);
+        return this.getProductKey(row, config);
+    },
+    
+    CATEGORY_CODE_COLUMN_PATTERN: /^品类\|编码$/,
+    
+    /**
+     * 从表头中识别品类编码列
+     * @param {string[]} columns
+     * @returns {string} 未找到时为空字符串
+     */
+    detectCategoryCodeColumn(columns) {
+        return columns.find(col => this.CATEGORY_CODE_COLUMN_PATTERN.test(col)) || '';
+    },
+    
+    /**
+     * 分组层级在该配置下是否可用（品牌层级需要品牌列，品类编码前缀需要品类编码列）
+     * @param {{ type: 'category'|'brand'|'categoryCodePrefix', length?: number }} level
+     * @param {Object} config
+     * @returns {boolean}
+     */
+    isGroupLevelAvailable(level, config) {
+        if (level.type === 'brand') return BrandHelper.hasBrandColumns(config);
+        if (level.type === 'categoryCodePrefix') return Boolean(config.categoryCodeColumn) && level.length > 0;
+        return level.type === 'category';
+    },
+    
+    /**
+     * 行在某个分组层级下的分组名（品类编码前缀层级显示上级品类名称）
+     * @param {Object} row
+     * @param {string} category - 行所在的品类
+     * @param {Object} config
+     * @param {{ type: string, length?: number }} level
+     * @returns {string}
+     */
+    getGroupLevelKey(row, category, config, level) {
+        if (level.type === 'brand') return BrandHelper.getBrandName(row, config);
+        if (level.type === 'categoryCodePrefix') return CategoryHierarchy.getLevelKey(row, config, level.length);
+        return category;
+    },
+    
+    /**
+     * 按有序的分组层级把按品类分组的数据组织成多层分组树，每个节点带小计
+     * 配置中不可用的层级会被跳过，全部不可用时按品类分组；各层保持数据中首次出现的顺序，最后一层的商品按销售金额排序
+     * @param {Object} groupedData - 品类 → 商品行
+     * @param {Object} config
+     * @param {Array<{ type: string, length?: number }>} levels
+     * @returns {Array<{ key: string, level: Object, quantity: number, salesAmount: number, productCount: number, children: Array, products: Array }>}
+     */
+    buildGroupTree(groupedData, config, levels) {
+        let activeLevels = levels.filter(level => this.isGroupLevelAvailable(level, config));
+        if (activeLevels.length === 0) activeLevels = [{ type: 'category' }];
+        
+        const rows = [];
+        Object.entries(groupedData).forEach(([category, products]) => {
+            products.forEach(row => rows.push({ row, category }));
+        });
+        
+        const build = (entries, depth) => {
+            const level = activeLevels[depth];
+            const groups = new Map();
+            entries.forEach(entry => {
+                const key = this.getGroupLevelKey(entry.row, entry.category, config, level);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(entry);
+            });
+            
+            return Array.from(groups.entries()).map(([key, groupEntries]) => {
+                const isLeaf = depth === activeLevels.length - 1;
+                const products = groupEntries.map(entry => entry.row);
+                return {
+                    key,
+                    level,
+                    quantity: products.reduce((sum, row) => sum + NumberParser.toNumber(row[config.quantityColumn]), 0),
+                    salesAmount: products.reduce((sum, row) => sum + NumberParser.toNumber(row[config.salesColumn]), 0),
+                    productCount: products.length,
+                    children: isLeaf ? [] : build(groupEntries, depth + 1),
+                    products: isLeaf ? this.sortBySalesAmount({ [key]: products }, config.salesColumn)[key] : []
+                };
+            });
+        };
+        return build(rows, 0);
+    },
+    
+    PRODUCT_KEY_COLUMN_PATTERNS: [/^商品\|编码$/, /^商品\|条形码$/],
+    
+    /**
+     * 从表头中识别商品标识列（优先商品编码，其次条形码）
+     * @param {string[]} columns
+     * @returns {string} 未找到时为空字符串
+     */
+    detectProductKeyColumn(columns) {
+        for (const pattern of this.PRODUCT_KEY_COLUMN_PATTERNS) {
+            const column = columns.find(col => pattern.test(col));
+            if (column) return column;
+        }
+        return '';
+    },
+    
+    /**
+     * 商品标识，用于汇总和跨月匹配：配置了商品编码/条形码列时使用编码，
+     * 编码为空或未配置时退回商品名称（兼容旧数据）；编码或名称有别名时使用合并后的名称
+     * @param {Object} row
+     * @param {Object} config
+     * @returns {string}
+     */
+    getProductKey(row, config) {
+        if (config.productCodeColumn) {
+            const code = String(row[config.productCodeColumn] ?? '').trim();
+            if (code) return AliasManager.resolve('product', code);
+        }
+        return AliasManager.resolve('product', String(row[config.productNameColumn] ?? ''));
+    },
+    
+    processData(data, config, onProgress = () => {}) {
+        const filtered = this.filterColumns(data, config.selectedColumns);
+        onProgress(30, '筛选列');
+        const grouped = this.groupByCategory(filtered, config.categoryColumn);
+        onProgress(60, '按品类分组');
+        const sorted = this.sortBySalesAmount(grouped, config.salesColumn);
+        onProgress(100, '排序完成');
+        return sorted;
+    }
+};
+
+
+// ============================================
+// StoreHelper Module - 门店维度（组织|编码、组织|名称）
+// ============================================
+const StoreHelper = {
+    CODE_COLUMN_PATTERN: /^组织\|编码$/,
+    NAME_COLUMN_PATTERN: /^组织\|名称$/,
+    
+    /**
+     * 从表头中识别门店编码列和门店名称列
+     * @param {string[]} columns
+     * @returns {{ storeCodeColumn: string, storeNameColumn: string }} 未找到时为空字符串
+     */
+    detectColumns(columns) {
+        return {
+            storeCodeColumn: columns.find(col => this.CODE_COLUMN_PATTERN.test(col)) || '',
+            storeNameColumn: columns.find(col => this.NAME_COLUMN_PATTERN.test(col)) || ''
+        };
+    },
+    
+    /**
+     * 配置中是否包含门店列
+     * @param {Object} config
+     * @returns {boolean}
+     */
+    hasStoreColumns(config) {
+        return Boolean(config && (config.storeCodeColumn || config.storeNameColumn));
+    },
+    
+    /**
+     * 行所属门店的标识：优先使用门店编码，其次门店名称
+     * @returns {string}
+     */
+    getStoreKey(row, config) {
+        const code = config.storeCodeColumn ? String(row[config.storeCodeColumn] ?? '').trim() : '';
+        const name = config.storeNameColumn ? String(row[config.storeNameColumn] ?? '').trim() : '';
+        return code || name;
+    },
+    
+    /**
+     * 行所属门店的显示名称：优先使用门店名称，其次门店编码
+     * @returns {string}
+     */
+    getStoreName(row, config) {
+        const code = config.storeCodeColumn ? String(row[config.storeCodeColumn] ?? '').trim() : '';
+        const name = config.storeNameColumn ? String(row[config.storeNameColumn] ?? '').trim() : '';
+        return name || code || '未知门店';
+    },
+    
+    /**
+     * 列出月份数据中的门店
+     * @param {Object} monthData
+     * @returns {Array<{ key: string, name: string, productCount: number, salesAmount: number }>} 按门店标识排序
+     */
+    getStores(monthData) {
+        const config = monthData.config || {};
+        if (!this.hasStoreColumns(config)) return [];
+        
+        const stores = {};
+        Object.values(monthData.groupedData || {}).forEach(products => {
+            products.forEach(row => {
+                const key = this.getStoreKey(row, config);
+                if (!stores[key]) {
+                    stores[key] = { key, name: this.getStoreName(row, config), productCount: 0, salesAmount: 0 };
+                }
+                stores[key].productCount++;
+                stores[key].salesAmount += NumberParser.toNumber(row[config.salesColumn]);
+            });
+        });
+        return Object.values(stores).sort((a, b) => a.key.localeCompare(b.key));
+    },
+    
+    /**
+     * 只保留指定门店的行，不包含该门店商品的品类会被去掉
+     * @param {Object} groupedData
+     * @param {Object} config
+     * @param {string} storeKey
+     * @returns {Object}
+     */
+    filterGroupedData(groupedData, config, storeKey) {
+        const filtered = {};
+        Object.entries(groupedData).forEach(([category, products]) => {
+            const storeProducts = products.filter(row => this.getStoreKey(row, config) === storeKey);
+            if (storeProducts.length > 0) filtered[category] = storeProducts;
+        });
+        return filtered;
+    },
+    
+    /**
+     * 合并所有门店：同一品类下相同商品的数量和金额相加，合并后重新按金额排序
+     * @param {Object} groupedData
+     * @param {Object} config
+     * @returns {Object}
+     */
+    combineStores(groupedData, config) {
+        const measures = DataProcessor.getMeasureColumns(config);
+        const combined = {};
+        Object.entries(groupedData).forEach(([category, products]) => {
+            const byProduct = new Map();
+            products.forEach(row => {
+                const key = DataProcessor.getProductKey(row, config);
+                const existing = byProduct.get(key);
+                if (!existing) {
+                    byProduct.set(key, { ...row });
+                    return;
+                }
+                measures.forEach(col => {
+                    existing[col] = NumberParser.toNumber(existing[col]) + NumberParser.toNumber(row[col]);
+                });
+            });
+            combined[category] = Array.from(byProduct.values());
+        });
+        return DataProcessor.sortBySalesAmount(combined, config.salesColumn);
+    },
+    
+    /**
+     * 按门店视图取月份的分组数据
+     * @param {Object} monthData
+     * @param {string|null} storeKey - 门店标识，null 表示全部门店合并
+     * @returns {Object}
+     */
+    getGroupedData(monthData, storeKey = null) {
+        const config = monthData.config || {};
+        if (!this.hasStoreColumns(config)) return monthData.groupedData;
+        if (storeKey !== null && storeKey !== undefined) {
+            return this.filterGroupedData(monthData.groupedData, config, storeKey);
+        }
+        return this.getStores(monthData).length > 1
+            ? this.combineStores(monthData.groupedData, config)
+            : monthData.groupedData;
+    }
+};
+
+
+// ============================================
+// BrandHelper Module - 品牌维度
+// ============================================
+const BrandHelper = {
+    CODE_COLUMN_PATTERN: /^品牌\|编码$/,
+    NAME_COLUMN_PATTERN: /^品牌\|名称$/,
+    UNKNOWN_BRAND: '未知品牌',
+    
+    /**
+     * 从表头中识别品牌编码列和品牌名称列
+     * @param {string[]} columns
+     * @returns {{ brandCodeColumn: string, brandNameColumn: string }} 未找到时为空字符串
+     */
+    detectColumns(columns) {
+        return {
+            brandCodeColumn: columns.find(col => this.CODE_COLUMN_PATTERN.test(col)) || '',
+            brandNameColumn: columns.find(col => this.NAME_COLUMN_PATTERN.test(col)) || ''
+        };
+    },
+    
+    /**
+     * 配置中是否包含品牌列
+     * @param {Object} config
+     * @returns {boolean}
+     */
+    hasBrandColumns(config) {
+        return Boolean(config && (config.brandCodeColumn || config.brandNameColumn));
+    },
+    
+    /**
+     * 行所属品牌的编码（没有编码列或编码为空时为空字符串）
+     * @returns {string}
+     */
+    getBrandCode(row, config) {
+        return config.brandCodeColumn ? String(row[config.brandCodeColumn] ?? '').trim() : '';
+    },
+    
+    /**
+     * 行所属品牌的显示名称：优先使用品牌名称，其次品牌编码
+     * @returns {string}
+     */
+    getBrandName(row, config) {
+        const name = config.brandNameColumn ? String(row[config.brandNameColumn] ?? '').trim() : '';
+        return name || this.getBrandCode(row, config) || this.UNKNOWN_BRAND;
+    },
+    
+    /**
+     * 列出分组数据中的品牌
+     * @param {Object} groupedData
+     * @param {Object} config
+     * @returns {Array<{ name: string, code: string, productCount: number, salesAmount: number }>} 按销售额从高到低排序
+     */
+    getBrands(groupedData, config) {
+        if (!this.hasBrandColumns(config)) return [];
+        
+        const brands = new Map();
+        Object.values(groupedData || {}).forEach(products => {
+            products.forEach(row => {
+                const name = this.getBrandName(row, config);
+                if (!brands.has(name)) {
+                    brands.set(name, { name, code: this.getBrandCode(row, config), productCount: 0, salesAmount: 0 });
+                }
+                const brand = brands.get(name);
+                brand.productCount++;
+                brand.salesAmount += NumberParser.toNumber(row[config.salesColumn]);
+            });
+        });
+        return Array.from(brands.values()).sort((a, b) => b.salesAmount - a.salesAmount);
+    },
+    
+    /**
+     * 只保留指定品牌的行，不包含该品牌商品的品类会被去掉
+     * @param {Object} groupedData
+     * @param {Object} config
+     * @param {string} brandName
+     * @returns {Object}
+     */
+    filterGroupedData(groupedData, config, brandName) {
+        const filtered = {};
+        Object.entries(groupedData).forEach(([category, products]) => {
+            const brandProducts = products.filter(row => this.getBrandName(row, config) === brandName);
+            if (brandProducts.length > 0) filtered[category] = brandProducts;
+        });
+        return filtered;
+    },
+    
+    /**
+     * 把按品类分组的数据改为按品牌分组，组内按销售金额排序
+     * @param {Object} groupedData
+     * @param {Object} config
+     * @returns {Object} 品牌名称 → 商品行
+     */
+    groupByBrand(groupedData, config) {
+        const byBrand = {};
+        Object.values(groupedData).forEach(products => {
+            products.forEach(row => {
+                const name = this.getBrandName(row, config);
+                if (!byBrand[name]) byBrand[name] = [];
+                byBrand[name].push(row);
+            });
+        });
+        return DataProcessor.sortBySalesAmount(byBrand, config.salesColumn);
+    },
+    
+    /**
+     * 行是否匹配品牌搜索词（品牌名称或编码包含搜索词）
+     * @param {Object} row
+     * @param {Object} config
+     * @param {string} searchTerm - 已转为小写的搜索词
+     * @returns {boolean}
+     */
+    matches(row, config, searchTerm) {
+        if (!this.hasBrandColumns(config)) return false;
+        return this.getBrandName(row, config).toLowerCase().includes(searchTerm) ||
+            this.getBrandCode(row, config).toLowerCase().includes(searchTerm);
+    }
+};
+
+// ============================================
+// CategoryHierarchy Module - 品类编码层级（大类 → 中类 → 品类）
+// ============================================
+const CategoryHierarchy = {
+    STORAGE_KEY_PREFIX: 'sales_data_category_hierarchy_',
+    DEFAULT_LENGTHS: [2, 4],
+    LEVEL_NAMES: ['大类', '中类', '小类', '细类'],
+    DIMENSION_PREFIX: 'categoryCodePrefix:',
+    UNCODED: '未编码',
+    // 上级层级对应的编码前缀长度，从粗到细
+    lengths: [2, 4],
+    // 编码前缀 → 上级品类名称
+    names: {},
+    
+    /**
+     * 从本地存储加载当前用户的层级规则和名称
+     */
+    loadLocal() {
+        const saved = UserStorage.load(this.STORAGE_KEY_PREFIX, '品类层级');
+        this.lengths = saved?.lengths?.length ? saved.lengths : [...this.DEFAULT_LENGTHS];
+        this.names = saved?.names || {};
+    },
+    
+    /**
+     * 保存层级规则和名称到本地存储
+     * @private
+     */
+    _saveLocal() {
+        UserStorage.save(this.STORAGE_KEY_PREFIX, { lengths: this.lengths, names: this.names }, '品类层级');
+    },
+    
+    /**
+     * 解析层级规则文本，如 "2,4" 表示编码前 2 位为大类、前 4 位为中类
+     * @param {string} text
+     * @returns {{ success: boolean, lengths?: number[], error?: string }}
+     */
+    parseRule(text) {
+        const parts = String(text || '').split(/[,，\s]+/).filter(part => part);
+        const lengths = parts.map(part => Number(part));
+        if (lengths.length === 0) {
+            return { success: false, error: '请输入各层级的编码位数，如 2,4' };
+        }
+        if (lengths.length > this.LEVEL_NAMES.length) {
+            return { success: false, error: `最多支持 ${this.LEVEL_NAMES.length} 个上级层级` };
+        }
+        if (!lengths.every((length, i) => Number.isInteger(length) && length > 0 && (i === 0 || length > lengths[i - 1]))) {
+            return { success: false, error: '编码位数必须是递增的正整数' };
+        }
+        return { success: true, lengths };
+    },
+    
+    /**
+     * 设置层级规则并保存
+     * @param {string} text
+     * @returns {{ success: boolean, error?: string }}
+     */
+    setRule(text) {
+        const result = this.parseRule(text);
+        if (!result.success) return result;
+        this.lengths = result.lengths;
+        this._saveLocal();
+        return { success: true };
+    },
+    
+    getRuleText() {
+        return this.lengths.join(',');
+    },
+    
+    /**
+     * 设置上级品类名称并保存，名称为空时删除
+     * @param {string} prefix - 编码前缀
+     * @param {string} name
+     */
+    setName(prefix, name) {
+        const trimmed = String(name || '').trim();
+        if (trimmed) this.names[prefix] = trimmed;
+        else delete this.names[prefix];
+        this._saveLocal();
+    },
+    
+    /**
+     * 当前规则下的上级层级
+     * @returns {Array<{ length: number, name: string, dimension: string }>}
+     */
+    getLevels() {
+        return this.lengths.map(length => ({ length, name: this.getLevelName(length), dimension: this.DIMENSION_PREFIX + length }));
+    },
+    
+    getLevelName(length) {
+        const index = this.lengths.indexOf(length);
+        return index >= 0 ? this.LEVEL_NAMES[index] : `编码前 ${length} 位`;
+    },
+    
+    /**
+     * 维度是否为品类层级，是则返回编码前缀长度
+     * @param {string} dimension
+     * @returns {number|null}
+     */
+    parseDimension(dimension) {
+        if (typeof dimension !== 'string' || !dimension.startsWith(this.DIMENSION_PREFIX)) return null;
+        const length = parseInt(dimension.slice(this.DIMENSION_PREFIX.length), 10);
+        return length > 0 ? length : null;
+    },
+    
+    /**
+     * 比某个维度细一级的维度：上级层级逐级细化，最细的上级层级之下为品类
+     * @param {string} dimension
+     * @returns {string}
+     */
+    getNextDimension(dimension) {
+        const length = this.parseDimension(dimension);
+        const next = this.lengths.find(l => length !== null && l > length);
+        return next ? this.DIMENSION_PREFIX + next : 'category';
+    },
+    
+    getCode(row, config) {
+        return config.categoryCodeColumn ? String(row[config.categoryCodeColumn] ?? '').trim() : '';
+    },
+    
+    /**
+     * 编码前缀的显示名称（有名称时为"前缀 名称"）
+     * @param {string} prefix
+     * @returns {string}
+     */
+    getNodeLabel(prefix) {
+        return this.names[prefix] ? `${prefix} ${this.names[prefix]}` : prefix;
+    },
+    
+    /**
+     * 行所属的上级品类
+     * @param {Object} row
+     * @param {Object} config
+     * @param {number} length - 编码前缀长度
+     * @returns {string}
+     */
+    getLevelKey(row, config, length) {
+        const code = this.getCode(row, config);
+        return code ? this.getNodeLabel(code.slice(0, length)) : this.UNCODED;
+    },
+    
+    /**
+     * 汇总所有月份出现过的上级品类，按编码排序（即树的先序），用于编辑名称
+     * @param {Array<Object>} monthsData
+     * @returns {Array<{ prefix: string, depth: number, name: string, categoryCount: number, salesAmount: number }>}
+     */
+    buildTree(monthsData) {
+        const nodes = new Map();
+        monthsData.forEach(monthData => {
+            const config = monthData.config;
+            Object.entries(monthData.groupedData).forEach(([category, rows]) => {
+                rows.forEach(row => {
+                    const code = this.getCode(row, config);
+                    this.lengths.forEach((length, depth) => {
+                        if (code.length < length) return;
+                        const prefix = code.slice(0, length);
+                        if (!nodes.has(prefix)) nodes.set(prefix, { prefix, depth, categories: new Set(), salesAmount: 0 });
+                        const node = nodes.get(prefix);
+                        node.categories.add(category);
+                        node.salesAmount += NumberParser.toNumber(row[config.salesColumn]);
+                    });
+                });
+            });
+        });
+        
+        return Array.from(nodes.values())
+            .sort((a, b) => a.prefix.localeCompare(b.prefix))
+            .map(({ prefix, depth, categories, salesAmount }) => ({
+                prefix,
+                depth,
+                name: this.names[prefix] || '',
+                categoryCount: categories.size,
+                salesAmount
+            }));
+    }
+};
+
+// ============================================
+// ImportWorker Module - 在 Web Worker 中解析文件和处理数据
+// ============================================
+const ImportWorker = {
+    WORKER_URL: 'import-worker.js',
+    CANCELLED_ERROR: '导入已取消',
+    worker: null,
+    disabled: false,
+    jobId: 0,
+    currentJob: null,
+    
+    /**
+     * 当前环境是否可以使用 Web Worker
+     * @returns {boolean}
+     */
+    isSupported() {
+        return !this.disabled && typeof Worker !== 'undefined';
+    },
+    
+    /**
+     * 解析文件，结果结构与 FileHandler.parseFile 相同
+     * 被取消时返回 { columns: [], data: [], error, cancelled: true }
+     * @param {File} file
+     * @param {Function} [onProgress] - 进度回调 (percent, stage)
+     * @returns {Promise<{ columns: string[], data: Array, sheets?: Array, fileName: string, error?: string, cancelled?: boolean }>}
+     */
+    async parseFile(file, onProgress = () => {}) {
+        const outcome = await this._run('parseFile', { file }, onProgress,
+            () => FileHandler.parseFile(file));
+        if (outcome.cancelled) {
+            return { columns: [], data: [], fileName: file.name, error: this.CANCELLED_ERROR, cancelled: true };
+        }
+        return outcome.result;
+    },
+    
+    /**
+     * 按列配置处理数据（DataProcessor.processData）
+     * @param {Array} data
+     * @param {Object} config
+     * @param {Function} [onProgress] - 进度回调 (percent, stage)
+     * @returns {Promise<Object|null>} 分组后的数据，被取消时返回 null
+     */
+    async processData(data, config, onProgress = () => {}) {
+        const outcome = await this._run('processData', { data, config }, onProgress,
+            () => DataProcessor.processData(data, config, onProgress));
+        return outcome.cancelled ? null : outcome.result;
+    },
+    
+    /**
+     * 取消当前任务：终止 Worker，下次任务时重新创建
+     * @returns {boolean} 是否有任务被取消
+     */
+    cancel() {
+        if (!this.currentJob) return false;
+        const job = this.currentJob;
+        this.currentJob = null;
+        this._terminate();
+        job.resolve({ cancelled: true });
+        return true;
+    },
+    
+    /**
+     * 在 Worker 中执行任务，Worker 不可用或加载失败时在主线程执行 fallback
+     * @returns {Promise<{ result?: any, cancelled?: boolean }>}
+     */
+    _run(type, payload, onProgress, fallback) {
+        if (this.currentJob) this.cancel();
+        
+        const worker = this._getWorker();
+        if (!worker) {
+            return Promise.resolve(fallback()).then(result => ({ result }));
+        }
+        
+        return new Promise((resolve) => {
+            const id = ++this.jobId;
+            this.currentJob = { id, resolve, onProgress, fallback };
+            worker.postMessage({ id, type, payload });
+        });
+    },
+    
+    _getWorker() {
+        if (this.worker) return this.worker;
+        if (!this.isSupported()) return null;
+        
+        try {
+            this.worker = new Worker(this.WORKER_URL);
+        } catch (e) {
+            // 例如通过 file:// 打开页面时无法创建 Worker
+            console.warn('无法创建解析 Worker，改为在主线程解析:', e);
+            return null;
+        }
+        this.worker.onmessage = (e) => this._handleMessage(e.data);
+        this.worker.onerror = (e) => this._handleWorkerError(e);
+        return this.worker;
+    },
+    
+    _handleMessage(message) {
+        const job = this.currentJob;
+        if (!job || message.id !== job.id) return;
+        
+        if (message.type === 'progress') {
+            job.onProgress(message.percent, message.stage);
+            return;
+        }
+        
+        this.currentJob = null;
+        if (message.type === 'result') {
+            job.resolve({ result: message.result });
+        } else {
+            // Worker 内部异常时改为在主线程重试
+            console.error('解析 Worker 错误:', message.error);
+            Promise.resolve(job.fallback()).then(result => job.resolve({ result }));
+        }
+    },
+    
+    _handleWorkerError(e) {
+        // Worker 脚本加载失败（如 CDN 不可用），之后不再使用 Worker
+        console.warn('解析 Worker 不可用，改为在主线程解析:', e.message);
+        e.preventDefault?.();
+        const job = this.currentJob;
+        this.currentJob = null;
+        this._terminate();
+        this.disabled = true;
+        if (job) {
+            Promise.resolve(job.fallback()).then(result => job.resolve({ result }));
+        }
+    },
+    
+    _terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+};
+
+
+// ============================================
+// StateManager Module
+// ============================================
+const StateManager = {
+    monthsData: [],
+    colorIndex: 0,
+    productNames: null,
+    
+    /**
+     * 初始化状态管理器
+     * 从本地存储加载数据（未登录时使用）
+     */
+    init() {
+        const savedData = StorageManager.loadData();
+        if (savedData.length > 0) {
+            this.monthsData = savedData;
+            this.colorIndex = savedData.length;
+            this.productNames = null;
+        }
+    },
+    
+    /**
+     * 从云端初始化数据
+     * Requirements: 2.3, 4.4
+     * @returns {Promise<boolean>} 是否成功加载云端数据
+     */
+    async initFromCloud() {
+        if (!AuthManager.isLoggedIn()) {
+            return false;
+        }
+        
+        try {
+            const result = await CloudSyncManager.downloadAllData();
+            if (result.success && result.data) {
+                this.monthsData = result.data.map(item => ({
+                    id: item.id?.toString() || item.monthId || Date.now().toString(),
+                    month: item.monthName || item.month,
+                    period: item.period || null,
+                    color: item.color || '#E3F2FD',
+                    importedAt: item.importedAt ? new Date(item.importedAt) : new Date(),
+                    config: item.config || {},
+                    groupedData: item.groupedData || {},
+                    rawData: item.rawData || []
+                }));
+                this.colorIndex = this.monthsData.length;
+                this.productNames = null;
+                return true;
+            }
+            return false;
+        } catch (error) {
+            console.error('从云端加载数据失败:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * 添加月度数据
+     * Requirements: 4.1
+     * @param {Object} monthData - 月度销售数据
+     */
+    async addMonthData(monthData) {
+        monthData.groupedData = DataProcessor.applyCategoryAliases(monthData.groupedData, monthData.config);
+        this.monthsData.push(monthData);
+        this.productNames = null;
+        StorageManager.saveData(this.monthsData);
+        
+        // 如果已登录，同步到云端
+        if (AuthManager.isLoggedIn()) {
+            const cloudData = {
+                monthId: monthData.id,
+                monthName: monthData.month,
+                period: monthData.period || null,
+                color: monthData.color,
+                config: monthData.config,
+                groupedData: monthData.groupedData,
+                rawData: monthData.rawData
+            };
+            
+            const result = await CloudSyncManager.uploadData(cloudData);
+            if (!result.success) {
+                console.warn('云端同步失败:', result.error);
+                // 数据已保存到本地，离线时会自动加入待同步队列
+            }
+        }
+    },
+    
+    /**
+     * 删除月度数据
+     * Requirements: 4.2
+     * @param {string} monthId - 月份数据ID
+     */
+    async removeMonthData(monthId) {
+        this.monthsData = this.monthsData.filter(m => m.id !== monthId);
+        this.productNames = null;
+        StorageManager.saveData(this.monthsData);
+        
+        // 如果已登录，同步删除云端数据
+        if (AuthManager.isLoggedIn()) {
+            const result = await CloudSyncManager.deleteData(monthId);
+            if (!result.success) {
+                console.warn('云端删除失败:', result.error);
+                // 离线时会自动加入待同步队列
+            }
+        }
+    },
+    
+    /**
+     * 按当前别名重新分组所有已加载的月份（别名变化或加载别名后调用）
+     */
+    applyAliases() {
+        this.monthsData.forEach(monthData => {
+            monthData.groupedData = DataProcessor.applyCategoryAliases(monthData.groupedData, monthData.config);
+        });
+        this.productNames = null;
+    },
+    
+    getAllMonthsData() {
+        return this.monthsData;
+    },
+    
+    getNextColor() {
+        const color = COLOR_PALETTE[this.colorIndex % COLOR_PALETTE.length];
+        this.colorIndex++;
+        return color;
+    },
+    
+    /**
+     * 按账期排序的月份数据；没有账期的月份排在导入顺序中前一个有账期月份之后
+     * @returns {Array<Object>}
+     */
+    getMonthsInPeriodOrder() {
+        let lastKey = '';
+        return this.monthsData
+            .map((monthData, index) => {
+                if (PeriodHelper.isValid(monthData.period)) lastKey = PeriodHelper.toKey(monthData.period);
+                return { monthData, index, key: lastKey };
+            })
+            .sort((a, b) => a.key.localeCompare(b.key) || a.index - b.index)
+            .map(item => item.monthData);
+    },
+    
+    /**
+     * 商品显示名称：取最近一个月份中该商品的名称，商品改名后所有视图显示新名称；
+     * 以名称作为标识的商品显示合并后的名称
+     * @param {string} productKey
+     * @returns {string}
+     */
+    getProductDisplayName(productKey) {
+        if (!this.productNames) {
+            this.productNames = new Map();
+            this.getMonthsInPeriodOrder().forEach(monthData => {
+                Object.values(monthData.groupedData).forEach(products => {
+                    products.forEach(product => {
+                        const name = product[monthData.config.productNameColumn];
+                        if (!NumberParser.isEmpty(name)) {
+                            const key = DataProcessor.getProductKey(product, monthData.config);
+                            this.productNames.set(key, key === AliasManager.resolve('product', String(name)) ? key : String(name));
+                        }
+                    });
+                });
+            });
+        }
+        return this.productNames.get(productKey) ?? productKey;
+    },
+    
+    /**
+     * 商品在各月份（按账期排序）的销售趋势，同一月份多个门店的数据会相加
+     * @param {string} productKey - 商品标识（DataProcessor.getProductKey）
+     * @param {string|null} [storeKey] - 只统计指定门店
+     * @returns {Array<{ month: string, salesAmount: number, quantity: number, category: string, unitPrice: number|null }>}
+     *   有成本/毛利列的月份另含 profit、marginRate，有报损金额列的月份另含 shrinkageAmount
+     */
+    getProductTrendData(productKey, storeKey = null) {
+        const trendData = [];
+        this.getMonthsInPeriodOrder().forEach(monthData => {
+            let point = null;
+            Object.entries(monthData.groupedData).forEach(([category, products]) => {
+                products.forEach(product => {
+                    if (DataProcessor.getProductKey(product, monthData.config) !== productKey) return;
+                    if (storeKey !== null && StoreHelper.getStoreKey(product, monthData.config) !== storeKey) return;
+                    
+                    if (!point) {
+                        point = { month: monthData.month, salesAmount: 0, quantity: 0, category: category };
+                        if (MarginAnalyzer.hasMarginData(monthData.config)) point.profit = 0;
+                        if (monthData.config.shrinkageAmountColumn) point.shrinkageAmount = 0;
+                        trendData.push(point);
+                    }
+                    point.salesAmount += NumberParser.toNumber(product[monthData.config.salesColumn]);
+                    point.quantity += NumberParser.toNumber(product[monthData.config.quantityColumn]);
+                    if (point.profit !== undefined) {
+                        point.profit += MarginAnalyzer.getRowMargin(product, monthData.config).profit;
+                    }
+                    if (point.shrinkageAmount !== undefined) {
+                        point.shrinkageAmount += LossAnalyzer.getRowLoss(product, monthData.config).shrinkageAmount;
+                    }
+                });
+            });
+            if (point) point.unitPrice = PriceAnalyzer.unitPrice(point.salesAmount, point.quantity);
+            if (point && point.profit !== undefined) {
+                point.marginRate = MarginAnalyzer.marginRate(point.salesAmount, point.profit);
+            }
+        });
+        return trendData;
+    },
+    
+    clear() {
+        this.monthsData = [];
+        this.colorIndex = 0;
+        this.productNames = null;
+        StorageManager.clearData();
+    }
+};
+
+// ============================================
+// SearchEngine Module
+// ============================================
+const SearchEngine = {
+    search(allData, query) {
+        if (!query || query.trim() === '') return [];
+        
+        const searchTerm = query.toLowerCase().trim();
+        const results = [];
+        
+        allData.forEach(monthData => {
+            const monthMatch = monthData.month.toLowerCase().includes(searchTerm);
+            
+            Object.entries(monthData.groupedData).forEach(([category, products]) => {
+                const categoryMatch = category.toLowerCase().includes(searchTerm) ||
+                    AliasManager.matches('category', category, searchTerm);
+                
+                products.forEach(product => {
+                    const productName = product[monthData.config.productNameColumn] || '';
+                    const productKey = DataProcessor.getProductKey(product, monthData.config);
+                    const productMatch = String(productName).toLowerCase().includes(searchTerm) ||
+                        productKey.toLowerCase().includes(searchTerm) ||
+                        AliasManager.matches('product', productKey, searchTerm);
+                    const brandMatch = BrandHelper.matches(product, monthData.config, searchTerm);
+                    
+                    if (monthMatch || categoryMatch || productMatch || brandMatch) {
+                        results.push({
+                            month: monthData.month,
+                            monthColor: monthData.color,
+                            category: category,
+                            productKey,
+                            productName: String(productName),
+                            brand: BrandHelper.hasBrandColumns(monthData.config) ? BrandHelper.getBrandName(product, monthData.config) : '',
+                            quantity: NumberParser.toNumber(product[monthData.config.quantityColumn]),
+                            salesAmount: NumberParser.toNumber(product[monthData.config.salesColumn]),
+                            data: product,
+                            config: monthData.config
+                        });
+                    }
+                });
+            });
+        });
+        
+        return results;
+    }
+};
+
+
+// ============================================
+// ComparisonEngine Module - 期间对比（环比/同比）
+// ============================================
+const ComparisonEngine = {
+    MODES: {
+        custom: '自选期间',
+        mom: '环比',
+        yoy: '同比'
+    },
+    
+    /**
+     * 按商品、品类或品牌汇总月份的销售金额和数量（多门店数据相加）
+     * @param {Object} monthData
+     * @param {'product'|'category'|'brand'} dimension
+     * @returns {Map<string, { key: string, category: string, salesAmount: number, quantity: number }>}
+     */
+    summarizeMonth(monthData, dimension = 'product') {
+        const config = monthData.config;
+        const summary = new Map();
+        Object.entries(monthData.groupedData).forEach(([category, products]) => {
+            products.forEach(product => {
+                const key = DataProcessor.getDimensionKey(product, category, config, dimension);
+                if (!summary.has(key)) {
+                    summary.set(key, { key, category, salesAmount: 0, quantity: 0 });
+                }
+                const item = summary.get(key);
+                item.salesAmount += NumberParser.toNumber(product[config.salesColumn]);
+                item.quantity += NumberParser.toNumber(product[config.quantityColumn]);
+            });
+        });
+        return summary;
+    },
+    
+    /**
+     * 按账期自动查找对比基期：环比为上月，同比为去年同月
+     * @param {Array<Object>} monthsData
+     * @param {Object} currentMonth
+     * @param {'mom'|'yoy'} mode
+     * @returns {Object|null} 找不到或本期没有账期时返回 null
+     */
+    findBaseMonth(monthsData, currentMonth, mode) {
+        if (!PeriodHelper.isValid(currentMonth.period)) return null;
+        const basePeriod = PeriodHelper.shift(currentMonth.period, mode === 'yoy' ? -12 : -1);
+        return monthsData.find(monthData => monthData !== currentMonth && PeriodHelper.isSame(monthData.period, basePeriod)) || null;
+    },
+    
+    /**
+     * 计算变化百分比，基期为 0 时无法计算
+     * @returns {number|null}
+     */
+    percentChange(base, current) {
+        if (base === 0) return null;
+        return (current - base) / Math.abs(base) * 100;
+    },
+    
+    /**
+     * 对比两个月份
+     * @param {Object} baseMonth - 基期
+     * @param {Object} currentMonth - 本期
+     * @param {'product'|'category'|'brand'} [dimension='product']
+     * @returns {Array<Object>} 每项包含基期/本期金额和数量及其变化，status 为 new（仅本期有）、gone（仅基期有）或 both
+     */
+    compare(baseMonth, currentMonth, dimension = 'product') {
+        const base = this.summarizeMonth(baseMonth, dimension);
+        const current = this.summarizeMonth(currentMonth, dimension);
+        const keys = new Set([...base.keys(), ...current.keys()]);
+        
+        return Array.from(keys).map(key => {
+            const b = base.get(key);
+            const c = current.get(key);
+            const baseSales = b ? b.salesAmount : 0;
+            const currentSales = c ? c.salesAmount : 0;
+            const baseQuantity = b ? b.quantity : 0;
+            const currentQuantity = c ? c.quantity : 0;
+            return {
+                key,
+                category: (c || b).category,
+                status: b && c ? 'both' : (c ? 'new' : 'gone'),
+                baseSales,
+                currentSales,
+                salesChange: currentSales - baseSales,
+                salesChangePct: this.percentChange(baseSales, currentSales),
+                baseQuantity,
+                currentQuantity,
+                quantityChange: currentQuantity - baseQuantity,
+                quantityChangePct: this.percentChange(baseQuantity, currentQuantity)
+            };
+        });
+    },
+    
+    /**
+     * 排序对比结果，无法计算百分比的项排在最后
+     * @param {Array<Object>} rows
+     * @param {string} field - salesChange、salesChangePct、quantityChange 或 quantityChangePct
+     * @param {'asc'|'desc'} [direction='desc'] - desc 为增长最多，asc 为下降最多
+     * @returns {Array<Object>}
+     */
+    sortRows(rows, field, direction = 'desc') {
+        const sign = direction === 'asc' ? 1 : -1;
+        return [...rows].sort((a, b) => {
+            if (a[field] === null && b[field] === null) return 0;
+            if (a[field] === null) return 1;
+            if (b[field] === null) return -1;
+            return sign * (a[field] - b[field]);
+        });
+    },
+    
+    /**
+     * 合计基期和本期
+     * @param {Array<Object>} rows
+     * @returns {{ baseSales: number, currentSales: number, salesChangePct: number|null, baseQuantity: number, currentQuantity: number, quantityChangePct: number|null }}
+     */
+    totals(rows) {
+        const sum = field => rows.reduce((total, row) => total + row[field], 0);
+        const baseSales = sum('baseSales');
+        const currentSales = sum('currentSales');
+        const baseQuantity = sum('baseQuantity');
+        const currentQuantity = sum('currentQuantity');
+        return {
+            baseSales,
+            currentSales,
+            salesChangePct: this.percentChange(baseSales, currentSales),
+            baseQuantity,
+            currentQuantity,
+            quantityChangePct: this.percentChange(baseQuantity, currentQuantity)
+        };
+    }
+};
+
+
+// ============================================
+// MarginAnalyzer Module - 毛利分析
+// ============================================
+const MarginAnalyzer = {
+    COST_COLUMN_PATTERNS: [/^销售成本\|含税$/, /^销售成本/],
+    PROFIT_COLUMN_PATTERNS: [/^毛利金额\|含税$/, /^毛利金额/],
+    DEFAULT_LOW_MARGIN_THRESHOLD: 10,
+    
+    /**
+     * 从表头中识别成本列和毛利列（优先含税列）
+     * @param {string[]} columns
+     * @returns {{ costColumn: string, profitColumn: string }} 未找到时为空字符串
+     */
+    detectColumns(columns) {
+        const find = patterns => {
+            for (const pattern of patterns) {
+                const column = columns.find(col => pattern.test(col));
+                if (column) return column;
+            }
+            return '';
+        };
+        return {
+            costColumn: find(this.COST_COLUMN_PATTERNS),
+            profitColumn: find(this.PROFIT_COLUMN_PATTERNS)
+        };
+    },
+    
+    /**
+     * 配置中是否包含成本列或毛利列
+     * @param {Object} config
+     * @returns {boolean}
+     */
+    hasMarginData(config) {
+        return Boolean(config && (config.costColumn || config.profitColumn));
+    },
+    
+    /**
+     * 行的销售额、成本和毛利：有毛利列时直接使用，否则按 销售额 - 成本 计算
+     * @param {Object} row
+     * @param {Object} config
+     * @returns {{ sales: number, cost: number, profit: number }}
+     */
+    getRowMargin(row, config) {
+        const sales = NumberParser.toNumber(row[config.salesColumn]);
+        if (config.profitColumn) {
+            const profit = NumberParser.toNumber(row[config.profitColumn]);
+            const cost = config.costColumn ? NumberParser.toNumber(row[config.costColumn]) : sales - profit;
+            return { sales, cost, profit };
+        }
+        const cost = NumberParser.toNumber(row[config.costColumn]);
+        return { sales, cost, profit: sales - cost };
+    },
+    
+    /**
+     * 毛利率（%），销售额为 0 时无法计算
+     * @returns {number|null}
+     */
+    marginRate(sales, profit) {
+        return sales === 0 ? null : profit / sales * 100;
+    },
+    
+    /**
+     * 按商品、品类或品牌汇总月份的毛利
+     * @param {Object} monthData
+     * @param {'product'|'category'|'brand'} [dimension='product']
+     * @returns {Array<{ key: string, category: string, salesAmount: number, cost: number, profit: number, marginRate: number|null }>}
+     */
+    summarizeMonth(monthData, dimension = 'product') {
+        const config = monthData.config;
+        if (!this.hasMarginData(config)) return [];
+        
+        const summary = new Map();
+        Object.entries(monthData.groupedData).forEach(([category, products]) => {
+            products.forEach(product => {
+                const key = DataProcessor.getDimensionKey(product, category, config, dimension);
+                if (!summary.has(key)) {
+                    summary.set(key, { key, category, salesAmount: 0, cost: 0, profit: 0 });
+                }
+                const item = summary.get(key);
+                const margin = this.getRowMargin(product, config);
+                item.salesAmount += margin.sales;
+                item.cost += margin.cost;
+                item.profit += margin.profit;
+            });
+        });
+        return Array.from(summary.values()).map(item => ({
+            ...item,
+            marginRate: this.marginRate(item.salesAmount, item.profit)
+        }));
+    },
+    
+    /**
+     * 各月份的整体毛利（跳过没有成本/毛利列的月份）
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @returns {Array<{ key: string, month: string, salesAmount: number, cost: number, profit: number, marginRate: number|null }>}
+     */
+    summarizeMonths(monthsData) {
+        return monthsData
+            .filter(monthData => this.hasMarginData(monthData.config))
+            .map(monthData => {
+                const items = this.summarizeMonth(monthData, 'category');
+                const salesAmount = items.reduce((sum, item) => sum + item.salesAmount, 0);
+                const cost = items.reduce((sum, item) => sum + item.cost, 0);
+                const profit = items.reduce((sum, item) => sum + item.profit, 0);
+                return {
+                    key: monthData.id,
+                    month: monthData.month,
+                    salesAmount,
+                    cost,
+                    profit,
+                    marginRate: this.marginRate(salesAmount, profit)
+                };
+            });
+    },
+    
+    /**
+     * 毛利率低于阈值的项，按毛利率从低到高排序（忽略无法计算毛利率的项）
+     * @param {Array<{ marginRate: number|null }>} items
+     * @param {number} threshold - 毛利率阈值（%）
+     * @returns {Array<Object>}
+     */
+    findLowMargin(items, threshold) {
+        return items
+            .filter(item => item.marginRate !== null && item.marginRate < threshold)
+            .sort((a, b) => a.marginRate - b.marginRate);
+    }
+};
+
+
+// ============================================
+// LossAnalyzer Module
+// ============================================
+const LossAnalyzer = {
+    // 列角色 → 表头识别规则（按顺序优先）
+    COLUMN_PATTERNS: {
+        shrinkageQuantityColumn: [/^报损\|数量$/],
+        shrinkageAmountColumn: [/^报损\|含税金额$/, /^报损\|.*金额$/],
+        giftQuantityColumn: [/^赠送\|数量$/],
+        giftAmountColumn: [/^赠送\|金额$/],
+        concessionQuantityColumn: [/^让利\|数量$/],
+        concessionAmountColumn: [/^让利\|金额$/]
+    },
+    // getRowLoss 返回的可累加字段
+    SUM_FIELDS: ['sales', 'shrinkageQuantity', 'shrinkageAmount', 'giftQuantity', 'giftAmount', 'concessionQuantity', 'concessionAmount'],
+    TOP_SHRINKAGE_LIMIT: 20,
+    
+    /**
+     * 从表头中识别报损、赠送和让利列
+     * @param {string[]} columns
+     * @returns {Object} 列角色 → 列名，未找到时为空字符串
+     */
+    detectColumns(columns) {
+        const detected = {};
+        Object.entries(this.COLUMN_PATTERNS).forEach(([role, patterns]) => {
+            detected[role] = '';
+            for (const pattern of patterns) {
+                const column = columns.find(col => pattern.test(col));
+                if (column) {
+                    detected[role] = column;
+                    break;
+                }
+            }
+        });
+        return detected;
+    },
+    
+    /**
+     * 配置中是否包含报损、赠送或让利金额列
+     * @param {Object} config
+     * @returns {boolean}
+     */
+    hasLossData(config) {
+        return Boolean(config && (config.shrinkageAmountColumn || config.giftAmountColumn || config.concessionAmountColumn));
+    },
+    
+    /**
+     * 行的销售额及报损、赠送、让利的数量和金额（未配置的列为 0）
+     * @param {Object} row
+     * @param {Object} config
+     * @returns {{ sales: number, shrinkageQuantity: number, shrinkageAmount: number, giftQuantity: number, giftAmount: number, concessionQuantity: number, concessionAmount: number }}
+     */
+    getRowLoss(row, config) {
+        const value = role => (config[role] ? NumberParser.toNumber(row[config[role]]) : 0);
+        return {
+            sales: NumberParser.toNumber(row[config.salesColumn]),
+            shrinkageQuantity: value('shrinkageQuantityColumn'),
+            shrinkageAmount: value('shrinkageAmountColumn'),
+            giftQuantity: value('giftQuantityColumn'),
+            giftAmount: value('giftAmountColumn'),
+            concessionQuantity: value('concessionQuantityColumn'),
+            concessionAmount: value('concessionAmountColumn')
+        };
+    },
+    
+    /**
+     * 损耗占销售额的比例（%），销售额为 0 时无法计算
+     * @returns {number|null}
+     */
+    lossRate(sales, amount) {
+        return sales === 0 ? null : amount / sales * 100;
+    },
+    
+    /**
+     * 汇总项补充合计损耗和比例
+     * @param {Object} item - getRowLoss 字段的累加结果
+     * @returns {Object}
+     */
+    withRates(item) {
+        const totalLoss = item.shrinkageAmount + item.giftAmount + item.concessionAmount;
+        return {
+            ...item,
+            totalLoss,
+            shrinkageRate: this.lossRate(item.sales, item.shrinkageAmount),
+            lossRate: this.lossRate(item.sales, totalLoss)
+        };
+    },
+    
+    /**
+     * 按商品、品类或品牌汇总月份的报损和赠送/让利
+     * @param {Object} monthData
+     * @param {'product'|'category'|'brand'} [dimension='product']
+     * @returns {Array<Object>} 每项包含 key、category、getRowLoss 的各字段合计以及 totalLoss、shrinkageRate、lossRate
+     */
+    summarizeMonth(monthData, dimension = 'product') {
+        const config = monthData.config;
+        if (!this.hasLossData(config)) return [];
+        
+        const summary = new Map();
+        Object.entries(monthData.groupedData).forEach(([category, products]) => {
+            products.forEach(product => {
+                const key = DataProcessor.getDimensionKey(product, category, config, dimension);
+                const loss = this.getRowLoss(product, config);
+                if (!summary.has(key)) {
+                    summary.set(key, { key, category, ...loss });
+                    return;
+                }
+                const item = summary.get(key);
+                this.SUM_FIELDS.forEach(field => { item[field] += loss[field]; });
+            });
+        });
+        return Array.from(summary.values()).map(item => this.withRates(item));
+    },
+    
+    /**
+     * 各月份的整体损耗（跳过没有报损/赠送/让利列的月份）
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @returns {Array<Object>} 每项包含 key（月份 id）、month 以及 summarizeMonth 的合计字段
+     */
+    summarizeMonths(monthsData) {
+        return monthsData
+            .filter(monthData => this.hasLossData(monthData.config))
+            .map(monthData => {
+                const total = { key: monthData.id, month: monthData.month };
+                this.SUM_FIELDS.forEach(field => { total[field] = 0; });
+                this.summarizeMonth(monthData, 'category').forEach(item => {
+                    this.SUM_FIELDS.forEach(field => { total[field] += item[field]; });
+                });
+                return this.withRates(total);
+            });
+    },
+    
+    /**
+     * 报损金额最高的项（忽略没有报损的项）
+     * @param {Array<{ shrinkageAmount: number }>} items
+     * @param {number} [limit]
+     * @returns {Array<Object>}
+     */
+    topShrinkage(items, limit = this.TOP_SHRINKAGE_LIMIT) {
+        return items
+            .filter(item => item.shrinkageAmount > 0)
+            .sort((a, b) => b.shrinkageAmount - a.shrinkageAmount)
+            .slice(0, limit);
+    }
+};
+
+// ============================================
+// DiscountAnalyzer Module
+// ============================================
+const DiscountAnalyzer = {
+    MEMBER_COLUMN_PATTERN: /^优惠金额\|会员$/,
+    REGULAR_COLUMN_PATTERN: /^优惠金额\|普通$/,
+    
+    /**
+     * 从表头中识别会员优惠和普通优惠列
+     * @param {string[]} columns
+     * @returns {{ memberDiscountColumn: string, regularDiscountColumn: string }} 未找到时为空字符串
+     */
+    detectColumns(columns) {
+        return {
+            memberDiscountColumn: columns.find(col => this.MEMBER_COLUMN_PATTERN.test(col)) || '',
+            regularDiscountColumn: columns.find(col => this.REGULAR_COLUMN_PATTERN.test(col)) || ''
+        };
+    },
+    
+    /**
+     * 配置中是否包含优惠金额列
+     * @param {Object} config
+     * @returns {boolean}
+     */
+    hasDiscountData(config) {
+        return Boolean(config && (config.memberDiscountColumn || config.regularDiscountColumn));
+    },
+    
+    /**
+     * 优惠深度（%）：优惠金额占优惠前金额（销售额 + 优惠）的比例
+     * @returns {number|null} 优惠前金额为 0 时为 null
+     */
+    depth(sales, discount) {
+        const gross = sales + discount;
+        return gross === 0 ? null : discount / gross * 100;
+    },
+    
+    /**
+     * 按商品、品类或品牌汇总月份的优惠
+     * @param {Object} monthData
+     * @param {'product'|'category'|'brand'} [dimension='product']
+     * @returns {Array<{ key: string, category: string, sales: number, quantity: number, memberDiscount: number, regularDiscount: number, discount: number, depth: number|null, memberShare: number|null }>}
+     *   memberShare 为会员优惠占全部优惠的比例（%）
+     */
+    summarizeMonth(monthData, dimension = 'product') {
+        const config = monthData.config;
+        if (!this.hasDiscountData(config)) return [];
+        
+        const value = (row, column) => (column ? NumberParser.toNumber(row[column]) : 0);
+        const summary = new Map();
+        Object.entries(monthData.groupedData).forEach(([category, products]) => {
+            products.forEach(product => {
+                const key = DataProcessor.getDimensionKey(product, category, config, dimension);
+                if (!summary.has(key)) {
+                    summary.set(key, { key, category, sales: 0, quantity: 0, memberDiscount: 0, regularDiscount: 0 });
+                }
+                const item = summary.get(key);
+                item.sales += value(product, config.salesColumn);
+                item.quantity += value(product, config.quantityColumn);
+                item.memberDiscount += value(product, config.memberDiscountColumn);
+                item.regularDiscount += value(product, config.regularDiscountColumn);
+            });
+        });
+        return Array.from(summary.values()).map(item => {
+            const discount = item.memberDiscount + item.regularDiscount;
+            return {
+                ...item,
+                discount,
+                depth: this.depth(item.sales, discount),
+                memberShare: discount === 0 ? null : item.memberDiscount / discount * 100
+            };
+        });
+    },
+    
+    /**
+     * 对比两个月份中都有销售的商品：优惠深度变化（百分点）与销量变化
+     * @param {Object} baseMonth
+     * @param {Object} currentMonth
+     * @param {'product'|'category'|'brand'} [dimension='product']
+     * @returns {Array<{ key: string, category: string, baseDepth: number|null, currentDepth: number|null, depthChange: number|null, baseQuantity: number, currentQuantity: number, quantityChangePct: number|null }>}
+     */
+    analyzeLift(baseMonth, currentMonth, dimension = 'product') {
+        const base = new Map(this.summarizeMonth(baseMonth, dimension).map(item => [item.key, item]));
+        return this.summarizeMonth(currentMonth, dimension)
+            .filter(item => base.has(item.key))
+            .map(item => {
+                const before = base.get(item.key);
+                return {
+                    key: item.key,
+                    category: item.category,
+                    baseDepth: before.depth,
+                    currentDepth: item.depth,
+                    depthChange: before.depth === null || item.depth === null ? null : item.depth - before.depth,
+                    baseQuantity: before.quantity,
+                    currentQuantity: item.quantity,
+                    quantityChangePct: ComparisonEngine.percentChange(before.quantity, item.quantity)
+                };
+            });
+    },
+    
+    /**
+     * 按优惠加深、减弱、基本不变分组统计销量变化，用于判断促销是否带动销量
+     * @param {Array<Object>} rows - analyzeLift 的结果
+     * @param {number} [tolerance=1] - 深度变化在该百分点以内视为不变
+     * @returns {{ deeper: Object, shallower: Object, unchanged: Object }} 每组 { count, baseQuantity, currentQuantity, quantityChangePct }
+     */
+    summarizeLift(rows, tolerance = 1) {
+        const groups = {};
+        ['deeper', 'shallower', 'unchanged'].forEach(name => {
+            groups[name] = { count: 0, baseQuantity: 0, currentQuantity: 0 };
+        });
+        rows.forEach(row => {
+            if (row.depthChange === null) return;
+            const name = row.depthChange > tolerance ? 'deeper' : (row.depthChange < -tolerance ? 'shallower' : 'unchanged');
+            groups[name].count++;
+            groups[name].baseQuantity += row.baseQuantity;
+            groups[name].currentQuantity += row.currentQuantity;
+        });
+        Object.values(groups).forEach(group => {
+            group.quantityChangePct = ComparisonEngine.percentChange(group.baseQuantity, group.currentQuantity);
+        });
+        return groups;
+    }
+};
+
+// ============================================
+// PriceAnalyzer Module
+// ============================================
+const PriceAnalyzer = {
+    DEFAULT_CHANGE_THRESHOLD: 20,
+    
+    /**
+     * 实际成交单价（销售金额 / 销售数量），数量不为正数时无法计算
+     * @returns {number|null}
+     */
+    unitPrice(salesAmount, quantity) {
+        return quantity > 0 ? salesAmount / quantity : null;
+    },
+    
+    /**
+     * 找出两个月份间单价变化超过阈值的商品（或品类、品牌），按变化幅度从大到小排序
+     * @param {Object} baseMonth - 基期
+     * @param {Object} currentMonth - 本期
+     * @param {number} threshold - 变化百分比阈值
+     * @param {'product'|'category'|'brand'|string} [dimension='product']
+     * @returns {Array<{ key: string, category: string, baseMonth: string, currentMonth: string, basePrice: number, currentPrice: number, priceChangePct: number, baseQuantity: number, currentQuantity: number }>}
+     */
+    findPriceChanges(baseMonth, currentMonth, threshold, dimension = 'product') {
+        const base = ComparisonEngine.summarizeMonth(baseMonth, dimension);
+        const rows = [];
+        ComparisonEngine.summarizeMonth(currentMonth, dimension).forEach((item, key) => {
+            const before = base.get(key);
+            if (!before) return;
+            const basePrice = this.unitPrice(before.salesAmount, before.quantity);
+            const currentPrice = this.unitPrice(item.salesAmount, item.quantity);
+            if (basePrice === null || currentPrice === null) return;
+            const priceChangePct = ComparisonEngine.percentChange(basePrice, currentPrice);
+            if (priceChangePct === null || Math.abs(priceChangePct) <= threshold) return;
+            rows.push({
+                key,
+                category: item.category,
+                baseMonth: baseMonth.month,
+                currentMonth: currentMonth.month,
+                basePrice,
+                currentPrice,
+                priceChangePct,
+                baseQuantity: before.quantity,
+                currentQuantity: item.quantity
+            });
+        });
+        return rows.sort((a, b) => Math.abs(b.priceChangePct) - Math.abs(a.priceChangePct));
+    },
+    
+    /**
+     * 月份的环比基期：有账期时为上月（找不到则为 null），没有账期时为排序中的前一个月份
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @param {Object} currentMonth
+     * @returns {Object|null}
+     */
+    findPreviousMonth(monthsData, currentMonth) {
+        if (PeriodHelper.isValid(currentMonth.period)) {
+            return ComparisonEngine.findBaseMonth(monthsData, currentMonth, 'mom');
+        }
+        const index = monthsData.indexOf(currentMonth);
+        return index > 0 ? monthsData[index - 1] : null;
+    },
+    
+    /**
+     * 所有月份的环比单价异动
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @param {number} threshold
+     * @param {'product'|'category'|'brand'|string} [dimension='product']
+     * @returns {Array<Object>} findPriceChanges 的结果按月份先后拼接
+     */
+    scanPriceChanges(monthsData, threshold, dimension = 'product') {
+        const rows = [];
+        monthsData.forEach(monthData => {
+            const previous = this.findPreviousMonth(monthsData, monthData);
+            if (previous) rows.push(...this.findPriceChanges(previous, monthData, threshold, dimension));
+        });
+        return rows;
+    }
+};
+
+// ============================================
+// AbcAnalyzer Module
+// ============================================
+const AbcAnalyzer = {
+    CLASSES: ['A', 'B', 'C'],
+    // A 类覆盖前 80% 的销售额，B 类再覆盖 15%，其余为 C 类
+    DEFAULT_THRESHOLDS: { a: 80, b: 15 },
+    
+    /**
+     * 按累计销售额占比对月份中的商品做 ABC 分类（多门店数据相加）
+     * 商品按销售额从高到低排列，排在它之前的累计占比未达到 A 阈值为 A 类，未达到 A+B 阈值为 B 类，其余为 C 类；
+     * 销售额不为正的商品归为 C 类，也不计入总额。按品类或品牌分类时规则相同
+     * @param {Object} monthData
+     * @param {{ a: number, b: number }} [thresholds]
+     * @param {'product'|'category'|'brand'|string} [dimension='product']
+     * @returns {Array<{ key: string, category: string, salesAmount: number, share: number, cumulativeShare: number, rank: number, abcClass: string }>} 按销售额从高到低排列
+     */
+    classifyMonth(monthData, thresholds = this.DEFAULT_THRESHOLDS, dimension = 'product') {
+        const items = Array.from(ComparisonEngine.summarizeMonth(monthData, dimension).values())
+            .sort((a, b) => b.salesAmount - a.salesAmount);
+        const total = items.reduce((sum, item) => sum + Math.max(item.salesAmount, 0), 0);
+        
+        let cumulative = 0;
+        return items.map((item, index) => {
+            const sales = Math.max(item.salesAmount, 0);
+            const before = cumulative;
+            const share = total > 0 ? sales / total * 100 : 0;
+            cumulative += share;
+            let abcClass = 'C';
+            if (sales > 0 && before < thresholds.a) abcClass = 'A';
+            else if (sales > 0 && before < thresholds.a + thresholds.b) abcClass = 'B';
+            return {
+                key: item.key,
+                category: item.category,
+                salesAmount: item.salesAmount,
+                share,
+                cumulativeShare: cumulative,
+                rank: index + 1,
+                abcClass
+            };
+        });
+    },
+    
+    /**
+     * 商品标识 → ABC 分类
+     * @param {Array<Object>} items - classifyMonth 的结果
+     * @returns {Map<string, string>}
+     */
+    toClassMap(items) {
+        return new Map(items.map(item => [item.key, item.abcClass]));
+    },
+    
+    /**
+     * 各分类的商品数和销售额占比
+     * @param {Array<Object>} items - classifyMonth 的结果
+     * @returns {Object<string, { count: number, salesAmount: number, share: number }>}
+     */
+    summarize(items) {
+        const summary = {};
+        this.CLASSES.forEach(abcClass => { summary[abcClass] = { count: 0, salesAmount: 0, share: 0 }; });
+        items.forEach(item => {
+            const group = summary[item.abcClass];
+            group.count++;
+            group.salesAmount += item.salesAmount;
+            group.share += item.share;
+        });
+        return summary;
+    },
+    
+    /**
+     * 相邻月份（按账期排序）中分类发生变化的商品，只统计两个月都有销售的商品
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @param {{ a: number, b: number }} [thresholds]
+     * @param {'product'|'category'|'brand'|string} [dimension='product']
+     * @returns {Array<{ key: string, category: string, fromMonth: string, toMonth: string, fromClass: string, toClass: string, baseSales: number, currentSales: number }>}
+     */
+    trackMoves(monthsData, thresholds = this.DEFAULT_THRESHOLDS, dimension = 'product') {
+        const moves = [];
+        let previous = null;
+        monthsData.forEach(monthData => {
+            const items = this.classifyMonth(monthData, thresholds, dimension);
+            if (previous) {
+                const before = new Map(previous.items.map(item => [item.key, item]));
+                items.forEach(item => {
+                    const old = before.get(item.key);
+                    if (!old || old.abcClass === item.abcClass) return;
+                    moves.push({
+                        key: item.key,
+                        category: item.category,
+                        fromMonth: previous.month,
+                        toMonth: monthData.month,
+                        fromClass: old.abcClass,
+                        toClass: item.abcClass,
+                        baseSales: old.salesAmount,
+                        currentSales: item.salesAmount
+                    });
+                });
+            }
+            previous = { month: monthData.month, items };
+        });
+        return moves;
+    }
+};
+
+// ============================================
+// LifecycleAnalyzer Module
+// ============================================
+const LifecycleAnalyzer = {
+    STATUS_LABELS: {
+        new: '新品',
+        discontinued: '停售',
+        reactivated: '回归'
+    },
+    
+    /**
+     * 两个期间之间的商品变化：本期有、基期没有的商品，若在基期之前卖过为回归，否则为新品；基期有、本期没有的为停售
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @param {Object} baseMonth - 基期
+     * @param {Object} currentMonth - 本期
+     * @param {'product'|'category'|'brand'|string} [dimension='product'] - 也可按品类、品牌查看
+     * @returns {Array<{ key: string, category: string, status: string, baseSales: number, currentSales: number, lastMonth: string|null }>}
+     *   lastMonth 为回归商品在基期之前最后有销售的月份
+     */
+    compare(monthsData, baseMonth, currentMonth, dimension = 'product') {
+        const base = ComparisonEngine.summarizeMonth(baseMonth, dimension);
+        const current = ComparisonEngine.summarizeMonth(currentMonth, dimension);
+        const lastSeen = this.getLastSeenBefore(monthsData, baseMonth, dimension);
+        const rows = [];
+        
+        current.forEach((item, key) => {
+            if (base.has(key)) return;
+            rows.push({
+                key,
+                category: item.category,
+                status: lastSeen.has(key) ? 'reactivated' : 'new',
+                baseSales: 0,
+                currentSales: item.salesAmount,
+                lastMonth: lastSeen.get(key) ?? null
+            });
+        });
+        base.forEach((item, key) => {
+            if (current.has(key)) return;
+            rows.push({ key, category: item.category, status: 'discontinued', baseSales: item.salesAmount, currentSales: 0, lastMonth: null });
+        });
+        return rows;
+    },
+    
+    /**
+     * 指定月份之前（按账期排序）各商品最后有销售的月份
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @param {Object} monthData
+     * @param {'product'|'category'|'brand'|string} [dimension='product']
+     * @returns {Map<string, string>} 商品标识 → 月份名称
+     */
+    getLastSeenBefore(monthsData, monthData, dimension = 'product') {
+        const lastSeen = new Map();
+        const index = monthsData.indexOf(monthData);
+        monthsData.slice(0, index === -1 ? 0 : index).forEach(earlier => {
+            ComparisonEngine.summarizeMonth(earlier, dimension).forEach((item, key) => lastSeen.set(key, earlier.month));
+        });
+        return lastSeen;
+    },
+    
+    /**
+     * 全部历史中相邻月份（按账期排序）间的新品、停售和回归
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @param {'product'|'category'|'brand'|string} [dimension='product']
+     * @returns {Array<{ key: string, category: string, status: string, month: string, sales: number, lastMonth: string|null }>}
+     *   month 为事件发生的月份（停售为第一个没有销售的月份），sales 为新品/回归当月或停售前一月的销售金额
+     */
+    scanHistory(monthsData, dimension = 'product') {
+        const events = [];
+        const lastSeen = new Map();
+        let previous = null;
+        monthsData.forEach(monthData => {
+            const current = ComparisonEngine.summarizeMonth(monthData, dimension);
+            if (previous) {
+                current.forEach((item, key) => {
+                    if (previous.has(key)) return;
+                    events.push({
+                        key,
+                        category: item.category,
+                        status: lastSeen.has(key) ? 'reactivated' : 'new',
+                        month: monthData.month,
+                        sales: item.salesAmount,
+                        lastMonth: lastSeen.get(key) ?? null
+                    });
+                });
+                previous.forEach((item, key) => {
+                    if (current.has(key)) return;
+                    events.push({ key, category: item.category, status: 'discontinued', month: monthData.month, sales: item.salesAmount, lastMonth: lastSeen.get(key) });
+                });
+            }
+            current.forEach((item, key) => lastSeen.set(key, monthData.month));
+            previous = current;
+        });
+        return events;
+    },
+    
+    /**
+     * 月份区域中的生命周期标记：与前一个月份相比的新品/回归，以及下一个月份没有销售的商品（ending）
+     * 第一个月份不标记新品，最后一个月份不标记 ending
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @returns {Map<string, Map<string, 'new'|'reactivated'|'ending'>>} 月份 id → 商品标识 → 标记
+     */
+    buildMarkers(monthsData) {
+        const summaries = monthsData.map(monthData => ComparisonEngine.summarizeMonth(monthData, 'product'));
+        const everSeen = new Set();
+        const markers = new Map();
+        monthsData.forEach((monthData, index) => {
+            const monthMarkers = new Map();
+            const previous = summaries[index - 1];
+            const next = summaries[index + 1];
+            summaries[index].forEach((item, key) => {
+                if (previous && !previous.has(key)) monthMarkers.set(key, everSeen.has(key) ? 'reactivated' : 'new');
+                else if (next && !next.has(key)) monthMarkers.set(key, 'ending');
+            });
+            summaries[index].forEach((item, key) => everSeen.add(key));
+            markers.set(monthData.id, monthMarkers);
+        });
+        return markers;
+    }
+};
+
+// ============================================
+// CategoryMixAnalyzer Module
+// ============================================
+const CategoryMixAnalyzer = {
+    /**
+     * 各月份每个品类（或品牌）的销售额和占比（%）
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @param {'category'|'brand'} [dimension='category']
+     * @returns {{ categories: string[], months: Array<{ id: string, month: string, total: number, categories: Map<string, { salesAmount: number, share: number }> }> }}
+     *   categories 为品类或品牌，按全部月份销售额合计从高到低排列
+     */
+    summarize(monthsData, dimension = 'category') {
+        const totals = new Map();
+        const months = monthsData.map(monthData => {
+            const summary = ComparisonEngine.summarizeMonth(monthData, dimension);
+            const total = Array.from(summary.values()).reduce((sum, item) => sum + item.salesAmount, 0);
+            const categories = new Map();
+            summary.forEach((item, category) => {
+                categories.set(category, { salesAmount: item.salesAmount, share: total === 0 ? 0 : item.salesAmount / total * 100 });
+                totals.set(category, (totals.get(category) || 0) + item.salesAmount);
+            });
+            return { id: monthData.id, month: monthData.month, total, categories };
+        });
+        const categories = Array.from(totals.keys()).sort((a, b) => totals.get(b) - totals.get(a));
+        return { categories, months };
+    },
+    
+    /**
+     * 各品类（或品牌）占比的变化（百分点）：首月到末月，以及末月相对前一月
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @param {'category'|'brand'} [dimension='category']
+     * @returns {Array<{ category: string, shares: number[], totalChange: number, lastChange: number|null }>}
+     *   shares 与月份一一对应，在某月没有销售时占比为 0
+     */
+    shareChanges(monthsData, dimension = 'category') {
+        const { categories, months } = this.summarize(monthsData, dimension);
+        return categories.map(category => {
+            const shares = months.map(month => month.categories.get(category)?.share ?? 0);
+            const last = shares[shares.length - 1];
+            return {
+                category,
+                shares,
+                totalChange: last - shares[0],
+                lastChange: shares.length > 1 ? last - shares[shares.length - 2] : null
+            };
+        });
+    },
+    
+    /**
+     * 品类（或品牌）下各商品在每个月份的销售额和占该组销售额的比例（%）
+     * @param {Array<Object>} monthsData - 按账期排序的月份
+     * @param {string} group - 品类名或品牌名称
+     * @param {'category'|'brand'|string} [dimension='category']
+     * @returns {Array<{ key: string, sales: number[], shares: number[], total: number }>} 按销售额合计从高到低排列
+     */
+    groupProducts(monthsData, group, dimension = 'category') {
+        const products = new Map();
+        monthsData.forEach((monthData, index) => {
+            const items = [];
+            Object.entries(monthData.groupedData).forEach(([category, rows]) => {
+                rows.forEach(row => {
+                    if (DataProcessor.getDimensionKey(row, category, monthData.config, dimension) === group) items.push(row);
+                });
+            });
+            const categoryTotal = items.reduce((sum, product) => sum + NumberParser.toNumber(product[monthData.config.salesColumn]), 0);
+            items.forEach(product => {
+                const key = DataProcessor.getProductKey(product, monthData.config);
+                if (!products.has(key)) {
+                    products.set(key, { key, sales: monthsData.map(() => 0), shares: monthsData.map(() => 0), total: 0 });
+                }
+                const item = products.get(key);
+                const sales = NumberParser.toNumber(product[monthData.config.salesColumn]);
+                item.sales[index] += sales;
+                item.shares[index] += categoryTotal === 0 ? 0 : sales / categoryTotal * 100;
+                item.total += sales;
+            });
+        });
+        return Array.from(products.values()).sort((a, b) => b.total - a.total);
+    },
+    
+    /**
+     * 只保留钻取路径上各层都匹配的行（如大类「22」下的中类「2210」），用于在上级品类内部查看结构
+     * @param {Array<Object>} monthsData
+     * @param {Array<{ dimension: string, key: string }>} path
+     * @returns {Array<Object>} groupedData 被筛选后的月份
+     */
+    scopeMonths(monthsData, path) {
+        if (path.length === 0) return monthsData;
+        return monthsData.map(monthData => {
+            const groupedData = {};
+            Object.entries(monthData.groupedData).forEach(([category, rows]) => {
+                const matched = rows.filter(row => path.every(step =>
+                    DataProcessor.getDimensionKey(row, category, monthData.config, step.dimension) === step.key));
+                if (matched.length > 0) groupedData[category] = matched;
+            });
+            return { ...monthData, groupedData };
+        });
+    }
+};
+
+// ============================================
+// ChartRenderer Module
+// ============================================
+const ChartRenderer = {
+    chartInstance: null,
+    panelCharts: {},
+    SERIES_COLORS: [
+        '#2196F3', '#FF9800', '#4CAF50', '#F44336', '#9C27B0', '#00BCD4',
+        '#FFC107', '#795548', '#3F51B5', '#8BC34A', '#E91E63', '#607D8B'
+    ],
+    OTHER_SERIES_COLOR: '#BDBDBD',
+    
+    /**
+     * 绘制商品销售趋势，并在右侧坐标轴绘制成交单价；数据包含报损金额时同时绘制报损趋势，包含毛利率时绘制毛利率趋势
+     * @param {HTMLCanvasElement} canvas
+     * @param {Array<{ month: string, salesAmount: number, unitPrice?: number|null, marginRate?: number|null, shrinkageAmount?: number }>} data
+     * @param {string} productName
+     */
+    renderTrendChart(canvas, data, productName) {
+        this.destroyChart();
+        const ctx = canvas.getContext('2d');
+        const hasMargin = data.some(d => d.marginRate !== undefined && d.marginRate !== null);
+        const hasShrinkage = data.some(d => d.shrinkageAmount);
+        const hasUnitPrice = data.some(d => d.unitPrice !== undefined && d.unitPrice !== null);
+        
+        const datasets = [{
+            label: productName,
+            data: data.map(d => d.salesAmount),
+            borderColor: '#2196F3',
+            backgroundColor: 'rgba(33, 150, 243, 0.1)',
+            borderWidth: 2,
+            fill: true,
+            tension: 0.1,
+            pointBackgroundColor: '#2196F3',
+            pointBorderColor: '#fff',
+            pointBorderWidth: 2,
+            pointRadius: 6,
+            pointHoverRadius: 8,
+            yAxisID: 'y'
+        }];
+        if (hasShrinkage) {
+            datasets.push({
+                label: '报损金额',
+                data: data.map(d => (d.shrinkageAmount === undefined ? null : d.shrinkageAmount)),
+                borderColor: '#F44336',
+                backgroundColor: 'rgba(244, 67, 54, 0.1)',
+                borderWidth: 2,
+                fill: false,
+                tension: 0.1,
+                pointRadius: 5,
+                spanGaps: true,
+                yAxisID: 'y'
+            });
+        }
+        if (hasUnitPrice) {
+            datasets.push({
+                label: '单价',
+                data: data.map(d => (d.unitPrice === undefined ? null : d.unitPrice)),
+                borderColor: '#4CAF50',
+                backgroundColor: 'rgba(76, 175, 80, 0.1)',
+                borderWidth: 2,
+                fill: false,
+                tension: 0.1,
+                pointRadius: 5,
+                spanGaps: true,
+                yAxisID: 'y2'
+            });
+        }
+        if (hasMargin) {
+            datasets.push({
+                label: '毛利率',
+                data: data.map(d => (d.marginRate === undefined ? null : d.marginRate)),
+                borderColor: '#FF9800',
+                backgroundColor: 'rgba(255, 152, 0, 0.1)',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                fill: false,
+                tension: 0.1,
+                pointRadius: 5,
+                spanGaps: true,
+                yAxisID: 'y1'
+            });
+        }
+        
+        const scales = {
+            x: { title: { display: true, text: '月份' }, grid: { display: false } },
+            y: {
+                title: { display: true, text: '销售金额' },
+                beginAtZero: true,
+                ticks: { callback: (value) => '¥' + value.toLocaleString() }
+            }
+        };
+        // 单价与销售金额同为金额，放在左侧；右侧留给毛利率，两条副坐标轴的刻度不会重叠
+        if (hasUnitPrice) {
+            scales.y2 = {
+                position: 'left',
+                title: { display: true, text: '单价' },
+                grid: { drawOnChartArea: false },
+                ticks: { callback: (value) => '¥' + value.toLocaleString() }
+            };
+        }
+        if (hasMargin) {
+            scales.y1 = {
+                position: 'right',
+                title: { display: true, text: '毛利率' },
+                grid: { drawOnChartArea: false },
+                ticks: { callback: (value) => value + '%' }
+            };
+        }
+        
+        this.chartInstance = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: data.map(d => d.month),
+                datasets
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: true,
+                plugins: {
+                    legend: { display: datasets.length > 1 },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                if (context.dataset.yAxisID === 'y1') return `毛利率: ${context.parsed.y.toFixed(1)}%`;
+                                if (context.dataset.yAxisID === 'y2') return `单价: ¥${context.parsed.y.toFixed(2)}`;
+                                return `${context.datasetIndex === 0 ? '销售金额' : context.dataset.label}: ¥${context.parsed.y.toLocaleString()}`;
+                            }
+                        }
+                    }
+                },
+                scales
+            }
+        });
+    },
+    
+    /**
+     * 在分析面板的画布上绘制图表，同一画布上的旧图表会先销毁
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} chartConfig - Chart.js 配置
+     */
+    renderPanelChart(canvas, chartConfig) {
+        this.destroyPanelChart(canvas.id);
+        this.panelCharts[canvas.id] = new Chart(canvas.getContext('2d'), chartConfig);
+    },
+    
+    /**
+     * 绘制各品类占比随月份的变化：堆积面积图或 100% 堆积柱状图
+     * 超出颜色数量的品类合并为"其他"
+     * @param {HTMLCanvasElement} canvas
+     * @param {{ categories: string[], months: Array<{ month: string, categories: Map<string, { share: number }> }> }} mix - CategoryMixAnalyzer.summarize 的结果
+     * @param {'area'|'bar'} type
+     * @param {Function} [onCategoryClick] - 点击某个品类的区域或柱子时回调，参数为品类名（"其他"不回调）
+     */
+    renderCategoryShareChart(canvas, mix, type, onCategoryClick) {
+        const shown = mix.categories.slice(0, this.SERIES_COLORS.length);
+        const others = mix.categories.slice(this.SERIES_COLORS.length);
+        const shareOf = (month, category) => month.categories.get(category)?.share ?? 0;
+        const datasets = shown.map((category, index) => ({
+            label: category,
+            data: mix.months.map(month => shareOf(month, category)),
+            backgroundColor: this.SERIES_COLORS[index] + (type === 'area' ? '99' : 'CC'),
+            borderColor: this.SERIES_COLORS[index],
+            borderWidth: 1,
+            fill: true,
+            pointRadius: type === 'area' ? 2 : 0
+        }));
+        if (others.length > 0) {
+            datasets.push({
+                label: '其他',
+                data: mix.months.map(month => others.reduce((sum, category) => sum + shareOf(month, category), 0)),
+                backgroundColor: this.OTHER_SERIES_COLOR,
+                borderColor: this.OTHER_SERIES_COLOR,
+                borderWidth: 1,
+                fill: true,
+                pointRadius: type === 'area' ? 2 : 0
+            });
+        }
+        
+        this.renderPanelChart(canvas, {
+            type: type === 'area' ? 'line' : 'bar',
+            data: { labels: mix.months.map(month => month.month), datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'nearest', intersect: type === 'bar' },
+                onClick: (event, elements) => {
+                    if (!onCategoryClick || elements.length === 0) return;
+                    const category = shown[elements[0].datasetIndex];
+                    if (category) onCategoryClick(category);
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(1)}%`
+                        }
+                    }
+                },
+                scales: {
+                    x: { stacked: true },
+                    y: { stacked: true, min: 0, max: 100, ticks: { callback: (value) => value + '%' } }
+                }
+            }
+        });
+    },
+    
+    destroyPanelChart(canvasId) {
+        if (this.panelCharts[canvasId]) {
+            this.panelCharts[canvasId].destroy();
+            delete this.panelCharts[canvasId];
+        }
+    },
+    
+    /**
+     * 绘制销售额-毛利率散点图，低于阈值的点标为红色
+     * @param {HTMLCanvasElement} canvas
+     * @param {Array<{ name: string, salesAmount: number, marginRate: number }>} points
+     * @param {number} threshold - 低毛利阈值（%）
+     */
+    renderMarginScatter(canvas, points, threshold) {
+        const toPoint = p => ({ x: p.salesAmount, y: p.marginRate, name: p.name });
+        this.renderPanelChart(canvas, {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    {
+                        label: `毛利率 ≥ ${threshold}%`,
+                        data: points.filter(p => p.marginRate >= threshold).map(toPoint),
+                        backgroundColor: 'rgba(33, 150, 243, 0.6)'
+                    },
+                    {
+                        label: `毛利率 < ${threshold}%`,
+                        data: points.filter(p => p.marginRate < threshold).map(toPoint),
+                        backgroundColor: 'rgba(244, 67, 54, 0.7)'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.raw.name}: ¥${context.raw.x.toLocaleString()}，${context.raw.y.toFixed(1)}%`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: { display: true, text: '销售金额' },
+                        ticks: { callback: (value) => '¥' + value.toLocaleString() }
+                    },
+                    y: {
+                        title: { display: true, text: '毛利率' },
+                        ticks: { callback: (value) => value + '%' }
+                    }
+                }
+            }
+        });
+    },
+    
+    destroyChart() {
+        if (this.chartInstance) {
+            this.chartInstance.destroy();
+            this.chartInstance = null;
+        }
+    }
+};
+
+
+// ============================================
+// UI Module
+// ============================================
+const UI = {
+    currentParseResult: null,
+    currentColumns: [],
+    inferredPeriod: null,
+    pendingImport: null,
+    VALIDATION_MAX_ROWS: 200,
+    pendingDeleteId: null,
+    storeViewMode: 'combined',
+    monthStoreFilters: {},
+    monthBrandFilters: {},
+    // 月份区域的分组层级，从外到内
+    groupLevels: [{ type: 'category' }],
+    collapsedGroups: new Set(),
+    activeAnalysisPanel: null,
+    ANALYSIS_MAX_ROWS: 300,
+    lowMarginThreshold: MarginAnalyzer.DEFAULT_LOW_MARGIN_THRESHOLD,
+    priceChangeThreshold: PriceAnalyzer.DEFAULT_CHANGE_THRESHOLD,
+    abcThresholds: { ...AbcAnalyzer.DEFAULT_THRESHOLDS },
+    lifecycleMarkers: new Map(),
+    mixDrillCategory: null,
+    // 结构占比面板沿品类层级的钻取路径 [{ dimension, key }]
+    mixDrillPath: [],
+    // 可切换到品类层级的分析维度下拉框
+    HIERARCHY_DIMENSION_SELECTS: [
+        'comparison-dimension', 'margin-dimension', 'loss-dimension', 'discount-dimension',
+        'price-dimension', 'abc-dimension', 'lifecycle-dimension', 'mix-dimension'
+    ],
+    DIMENSION_LABELS: { product: '商品', category: '品类', brand: '品牌' },
+    PARETO_MAX_ITEMS: 200,
+    
+    // 列映射配置中的列角色 → 列选择下拉框；OPTIONAL_COLUMN_ROLES 中的角色可以不选
+    COLUMN_ROLE_SELECTS: {
+        categoryColumn: 'category-column',
+        salesColumn: 'sales-column',
+        quantityColumn: 'quantity-column',
+        productNameColumn: 'product-column',
+        productCodeColumn: 'product-code-column',
+        storeCodeColumn: 'store-code-column',
+        storeNameColumn: 'store-name-column',
+        costColumn: 'cost-column',
+        profitColumn: 'profit-column',
+        shrinkageQuantityColumn: 'shrinkage-quantity-column',
+        shrinkageAmountColumn: 'shrinkage-amount-column',
+        giftQuantityColumn: 'gift-quantity-column',
+        giftAmountColumn: 'gift-amount-column',
+        concessionQuantityColumn: 'concession-quantity-column',
+        concessionAmountColumn: 'concession-amount-column',
+        memberDiscountColumn: 'member-discount-column',
+        regularDiscountColumn: 'regular-discount-column',
+        brandCodeColumn: 'brand-code-column',
+        brandNameColumn: 'brand-name-column',
+        categoryCodeColumn: 'category-code-column'
+    },
+    OPTIONAL_COLUMN_ROLES: [
+        'productCodeColumn', 'storeCodeColumn', 'storeNameColumn', 'costColumn', 'profitColumn',
+        'shrinkageQuantityColumn', 'shrinkageAmountColumn', 'giftQuantityColumn', 'giftAmountColumn',
+        'concessionQuantityColumn', 'concessionAmountColumn', 'memberDiscountColumn', 'regularDiscountColumn',
+        'brandCodeColumn', 'brandNameColumn', 'categoryCodeColumn'
+    ],
+    
+    /**
+     * 分析维度的显示名称（品类层级显示层级名，如"大类"）
+     * @param {string} dimension
+     * @returns {string}
+     */
+    getDimensionLabel(dimension) {
+        const prefixLength = CategoryHierarchy.parseDimension(dimension);
+        return prefixLength ? CategoryHierarchy.getLevelName(prefixLength) : this.DIMENSION_LABELS[dimension];
+    },
+    
+    /**
+     * 分析表格中的名称单元格：商品显示名称并可点击查看趋势，品类和品牌直接显示
+     * @param {string} key
+     * @param {string} dimension
+     * @returns {Object|string}
+     */
+    dimensionNameCell(key, dimension) {
+        return dimension === 'product'
+            ? { text: StateManager.getProductDisplayName(key), onClick: () => this.showTrendChart(key) }
+            : key;
+    },
+    
+    showMessage(message, type = 'success') {
+        const container = document.getElementById('message-container');
+        const msgEl = document.createElement('div');
+        msgEl.className = `message ${type}`;
+        msgEl.textContent = message;
+        container.appendChild(msgEl);
+        setTimeout(() => msgEl.remove(), 3000);
+    },
+    
+    /**
+     * 显示列选择区域
+     * @param {string[]} columns - 可选列
+     * @param {Array} [sheets] - 工作簿中的所有工作表，多于一个时显示工作表选择
+     */
+    showColumnSelection(columns, sheets = []) {
+        const section = document.getElementById('column-selection');
+        
+        this.renderSheetSelection(sheets);
+        this.populateColumnOptions(columns);
+        this.applyColumnConfig({
+            ...StoreHelper.detectColumns(columns),
+            ...MarginAnalyzer.detectColumns(columns),
+            ...LossAnalyzer.detectColumns(columns),
+            ...DiscountAnalyzer.detectColumns(columns),
+            ...BrandHelper.detectColumns(columns),
+            categoryCodeColumn: DataProcessor.detectCategoryCodeColumn(columns),
+            productCodeColumn: DataProcessor.detectProductKeyColumn(columns)
+        });
+        this.renderHeaderRowOptions(sheets);
+        this.renderTemplateOptions(columns);
+        
+        const result = this.currentParseResult || {};
+        this.inferredPeriod = PeriodHelper.inferPeriod(result.fileName, result.data, columns);
+        document.getElementById('month-name').value = PeriodHelper.format(this.inferredPeriod);
+        section.style.display = 'block';
+    },
+    
+    /**
+     * 读取列选择区域中的列映射配置
+     * @returns {{ selectedColumns: string[], categoryColumn: string, salesColumn: string, quantityColumn: string, productNameColumn: string }} 以及 COLUMN_ROLE_SELECTS 中的其他列角色（未选时为空字符串）
+     */
+    readColumnConfig() {
+        const config = { selectedColumns: this.getSelectedColumns() };
+        Object.entries(this.COLUMN_ROLE_SELECTS).forEach(([role, id]) => {
+            config[role] = document.getElementById(id).value;
+        });
+        return config;
+    },
+    
+    /**
+     * 将列映射配置应用到列选择区域（忽略当前文件中不存在的列）
+     * @param {Object} config - 列映射配置
+     */
+    applyColumnConfig(config) {
+        Object.entries(this.COLUMN_ROLE_SELECTS).forEach(([role, id]) => {
+            const col = config[role];
+            const select = document.getElementById(id);
+            if (col && Array.from(select.options).some(option => option.value === col)) {
+                select.value = col;
+            }
+        });
+        
+        if (Array.isArray(config.selectedColumns)) {
+            document.querySelectorAll('#column-checkboxes input[type="checkbox"]').forEach(cb => {
+                cb.checked = config.selectedColumns.includes(cb.value);
+            });
+        }
+    },
+    
+    /**
+     * 填充模板下拉框，并自动应用与当前表头匹配的模板
+     * @param {string[]} columns - 当前文件的表头
+     */
+    renderTemplateOptions(columns) {
+        const select = document.getElementById('template-select');
+        const suggestion = document.getElementById('template-suggestion');
+        const match = TemplateManager.findMatchingTemplate(columns);
+        
+        select.innerHTML = '<option value="">不使用模板</option>';
+        TemplateManager.getTemplates().forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.name;
+            option.textContent = template.name;
+            select.appendChild(option);
+        });
+        
+        if (match) {
+            select.value = match.template.name;
+            this.applyColumnConfig(match.template.config);
+            document.getElementById('template-suggestion-text').textContent =
+                `已识别匹配的模板「${match.template.name}」，列映射已自动填写`;
+            suggestion.style.display = 'flex';
+        } else {
+            suggestion.style.display = 'none';
+        }
+        
+        document.getElementById('template-name').value = match ? match.template.name : '';
+    },
+    
+    /**
+     * 应用下拉框中选中的模板
+     */
+    handleTemplateSelect() {
+        const template = TemplateManager.getTemplate(document.getElementById('template-select').value);
+        if (template) {
+            this.applyColumnConfig(template.config);
+            document.getElementById('template-name').value = template.name;
+        }
+    },
+    
+    /**
+     * 将当前列映射保存为模板
+     */
+    async handleSaveTemplate() {
+        const name = document.getElementById('template-name').value;
+        const config = this.readColumnConfig();
+        
+        if (TemplateManager.getMappedColumns(config).length < 4) {
+            this.showMessage('请先选择品类、商品名称、销售数量和销售金额列', 'warning');
+            return;
+        }
+        
+        const result = await TemplateManager.saveTemplate(name, this.currentColumns, config);
+        if (!result.success) {
+            this.showMessage(result.error, 'warning');
+            return;
+        }
+        
+        this.renderTemplateOptions(this.currentColumns);
+        document.getElementById('template-select').value = name.trim();
+        this.showMessage(`模板「${name.trim()}」已保存`, 'success');
+    },
+    
+    /**
+     * 删除下拉框中选中的模板
+     */
+    async handleDeleteTemplate() {
+        const name = document.getElementById('template-select').value;
+        if (!name) {
+            this.showMessage('请先选择要删除的模板', 'warning');
+            return;
+        }
+        
+        await TemplateManager.deleteTemplate(name);
+        this.renderTemplateOptions(this.currentColumns);
+        this.showMessage(`模板「${name}」已删除`, 'success');
+    },
+    
+    /**
+     * 显示自动识别的表头位置（从 1 开始的行号和是否双层表头）
+     * @param {Array<{ headerRow?: number, headerRowCount?: number, error?: string }>} sheets
+     */
+    renderHeaderRowOptions(sheets) {
+        const sheet = sheets.find(s => !s.error) || sheets[0] || {};
+        document.getElementById('header-row').value = (sheet.headerRow || 0) + 1;
+        document.getElementById('header-two-level').checked = sheet.headerRowCount === 2;
+    },
+    
+    /**
+     * 按手动指定的表头位置重新解析所有工作表并刷新列选项
+     */
+    applyHeaderOverride() {
+        const result = this.currentParseResult;
+        if (!result || !result.sheets) return;
+        
+        const headerRow = parseInt(document.getElementById('header-row').value, 10) - 1;
+        if (isNaN(headerRow) || headerRow < 0) {
+            this.showMessage('请输入有效的表头行号', 'warning');
+            return;
+        }
+        const headerRowCount = document.getElementById('header-two-level').checked ? 2 : 1;
+        
+        const selectedNames = this.getSelectedSheets().map(sheet => sheet.name);
+        result.sheets = result.sheets.map(sheet =>
+            FileHandler.parseSheet(sheet.name, sheet.rows, { headerRow, headerRowCount })
+        );
+        
+        const firstValid = result.sheets.find(sheet => !sheet.error);
+        result.columns = firstValid ? firstValid.columns : [];
+        result.data = firstValid ? firstValid.data : [];
+        
+        this.renderSheetSelection(result.sheets, selectedNames);
+        this.handleSheetSelectionChange();
+        
+        if (!firstValid) {
+            this.showMessage(result.sheets[0]?.error || '文件中没有有效的列名', 'warning');
+        }
+    },
+    
+    /**
+     * 填充列复选框和特殊列下拉框，尽量保留已选的特殊列
+     * @param {string[]} columns - 可选列
+     */
+    populateColumnOptions(columns) {
+        const checkboxContainer = document.getElementById('column-checkboxes');
+        this.currentColumns = columns;
+        const optionalSelects = this.OPTIONAL_COLUMN_ROLES.map(role => this.COLUMN_ROLE_SELECTS[role]);
+        const selects = Object.values(this.COLUMN_ROLE_SELECTS);
+        
+        checkboxContainer.innerHTML = '';
+        selects.forEach(id => {
+            const select = document.getElementById(id);
+            const previous = select.value;
+            select.innerHTML = optionalSelects.includes(id)
+                ? '<option value="">不使用</option>'
+                : '<option value="">请选择...</option>';
+            columns.forEach(col => {
+                const option = document.createElement('option');
+                option.value = col;
+                option.textContent = col;
+                select.appendChild(option);
+            });
+            if (previous && columns.includes(previous)) {
+                select.value = previous;
+            }
+        });
+        
+        columns.forEach(col => {
+            const label = document.createElement('label');
+            label.className = 'column-checkbox';
+            label.innerHTML = `<input type="checkbox" value="${col}" checked> ${col}`;
+            checkboxContainer.appendChild(label);
+        });
+    },
+    
+    /**
+     * 渲染工作表选择（仅在工作簿包含多个工作表时显示）
+     * @param {Array<{ name: string, data: Array, error?: string }>} sheets
+     * @param {string[]} [selectedNames] - 需保持选中的工作表，默认选中第一个有效工作表
+     */
+    renderSheetSelection(sheets, selectedNames = null) {
+        const container = document.getElementById('sheet-selection');
+        const checkboxContainer = document.getElementById('sheet-checkboxes');
+        
+        checkboxContainer.innerHTML = '';
+        
+        if (sheets.length <= 1) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const firstValid = sheets.find(sheet => !sheet.error);
+        sheets.forEach(sheet => {
+            const label = document.createElement('label');
+            label.className = 'column-checkbox sheet-checkbox';
+            
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = sheet.name;
+            input.checked = selectedNames ? selectedNames.includes(sheet.name) && !sheet.error : sheet === firstValid;
+            input.disabled = !!sheet.error;
+            input.addEventListener('change', () => this.handleSheetSelectionChange());
+            
+            const text = document.createElement('span');
+            text.textContent = sheet.error
+                ? `${sheet.name}（${sheet.error}）`
+                : `${sheet.name}（${sheet.data.length}行）`;
+            
+            label.appendChild(input);
+            label.appendChild(text);
+            checkboxContainer.appendChild(label);
+        });
+        
+        container.style.display = 'block';
+    },
+    
+    /**
+     * 工作表选择变化时，用选中工作表的列并集刷新列选项
+     */
+    handleSheetSelectionChange() {
+        const sheets = this.getSelectedSheets();
+        this.populateColumnOptions(FileHandler.mergeSheetColumns(sheets));
+    },
+    
+    /**
+     * 获取选中的工作表；未显示工作表选择时返回第一个有效工作表
+     * @returns {Array}
+     */
+    getSelectedSheets() {
+        const result = this.currentParseResult;
+        if (!result) return [];
+        
+        const sheets = result.sheets || [];
+        if (sheets.length <= 1) {
+            return [{ name: sheets[0]?.name || '', columns: result.columns, data: result.data }];
+        }
+        
+        const checked = document.querySelectorAll('#sheet-checkboxes input[type="checkbox"]:checked');
+        const names = Array.from(checked).map(cb => cb.value);
+        return sheets.filter(sheet => names.includes(sheet.name));
+    },
+    
+    /**
+     * 获取多工作表导入方式
+     * @returns {string} 'merge' | 'separate'
+     */
+    getSheetImportMode() {
+        const checked = document.querySelector('input[name="sheet-import-mode"]:checked');
+        return checked ? checked.value : 'merge';
+    },
+    
+    /**
+     * 确认列选择：生成待导入批次并检查数据，有问题时显示检查报告，否则直接导入
+     */
+    async handleConfirmColumns() {
+        const monthName = document.getElementById('month-name').value.trim();
+        const columnConfig = this.readColumnConfig();
+        const {
+            selectedColumns,
+            categoryColumn,
+            salesColumn,
+            quantityColumn,
+            productNameColumn: productColumn
+        } = columnConfig;
+        const optionalColumns = this.OPTIONAL_COLUMN_ROLES.filter(role => columnConfig[role]);
+        
+        if (!monthName) { this.showMessage('请输入月份名称', 'warning'); return; }
+        if (!categoryColumn) { this.showMessage('请选择品类列', 'warning'); return; }
+        if (!salesColumn) { this.showMessage('请选择销售金额列', 'warning'); return; }
+        if (!productColumn) { this.showMessage('请选择商品名称列', 'warning'); return; }
+        if (!quantityColumn) { this.showMessage('请选择销售数量列', 'warning'); return; }
+        if (selectedColumns.length === 0) { this.showMessage('请至少选择一列数据', 'warning'); return; }
+        
+        const selectedSheets = this.getSelectedSheets();
+        if (selectedSheets.length === 0) { this.showMessage('请至少选择一个工作表', 'warning'); return; }
+        
+        const allColumns = new Set(selectedColumns);
+        [categoryColumn, salesColumn, productColumn, quantityColumn, ...optionalColumns.map(role => columnConfig[role])]
+            .forEach(c => allColumns.add(c));
+        
+        const config = {
+            selectedColumns: Array.from(allColumns),
+            categoryColumn,
+            salesColumn,
+            quantityColumn,
+            productNameColumn: productColumn
+        };
+        optionalColumns.forEach(role => { config[role] = columnConfig[role]; });
+        
+        const { batches, report } = FileHandler.buildImportBatches(
+            selectedSheets,
+            this.getSheetImportMode(),
+            monthName,
+            [categoryColumn, salesColumn, productColumn, quantityColumn]
+        );
+        
+        if (batches.length === 0) {
+            this.showMessage(`导入失败：${FileHandler.formatImportReport(report)}`, 'error');
+            return;
+        }
+        
+        this.pendingImport = {
+            batches,
+            report,
+            config,
+            monthName,
+            // 优先使用月份名称中的年月（用户可能手动修改），否则使用自动识别的账期
+            period: PeriodHelper.parseFromText(monthName) || this.inferredPeriod,
+            sheetCount: selectedSheets.length,
+            issues: [],
+            excluded: new Set()
+        };
+        
+        this.validatePendingImport();
+        if (this.pendingImport.issues.length === 0) {
+            await this.commitPendingImport();
+        } else {
+            this.showValidationReport();
+        }
+    },
+    
+    /**
+     * 检查所有待导入批次，问题记录在 pendingImport.issues 中（带 batchIndex）
+     */
+    validatePendingImport() {
+        const pending = this.pendingImport;
+        pending.issues = [];
+        pending.batches.forEach((batch, batchIndex) => {
+            ImportValidator.validate(batch.data, pending.config).forEach(issue => {
+                pending.issues.push({ ...issue, batchIndex });
+            });
+        });
+    },
+    
+    /**
+     * 显示导入前的数据检查报告：每个问题行可排除或直接修改单元格
+     */
+    showValidationReport() {
+        const pending = this.pendingImport;
+        const section = document.getElementById('validation-report');
+        const table = document.getElementById('validation-table');
+        const config = pending.config;
+        const editColumns = [
+            config.categoryColumn,
+            config.productNameColumn,
+            config.productCodeColumn,
+            config.quantityColumn,
+            config.salesColumn
+        ].filter((col, idx, arr) => col && arr.indexOf(col) === idx);
+        
+        const byRow = ImportValidator.groupByRow(pending.issues);
+        const summary = ImportValidator.summarize(pending.issues);
+        const rowKeys = Array.from(byRow.keys());
+        const shownKeys = rowKeys.slice(0, this.VALIDATION_MAX_ROWS);
+        
+        document.getElementById('validation-summary').textContent =
+            `共 ${rowKeys.length} 行存在问题：` +
+            Object.entries(summary).map(([type, count]) => `${ImportValidator.ISSUE_LABELS[type]} ${count}处`).join('，') +
+            (rowKeys.length > shownKeys.length ? `（仅显示前 ${shownKeys.length} 行）` : '');
+        
+        table.innerHTML = '';
+        const headerRow = document.createElement('tr');
+        ['排除', '位置', '问题', ...editColumns].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+        
+        shownKeys.forEach(key => {
+            const [batchIndex, rowIndex] = key.split(':').map(n => parseInt(n, 10));
+            const batch = pending.batches[batchIndex];
+            const row = batch.data[rowIndex];
+            const rowIssues = byRow.get(key);
+            const tr = document.createElement('tr');
+            
+            const excludeCell = document.createElement('td');
+            const excludeInput = document.createElement('input');
+            excludeInput.type = 'checkbox';
+            excludeInput.checked = pending.excluded.has(key);
+            excludeInput.addEventListener('change', () => {
+                if (excludeInput.checked) pending.excluded.add(key);
+                else pending.excluded.delete(key);
+                tr.classList.toggle('excluded', excludeInput.checked);
+            });
+            excludeCell.appendChild(excludeInput);
+            tr.appendChild(excludeCell);
+            
+            const positionCell = document.createElement('td');
+            positionCell.textContent = pending.batches.length > 1 ? `${batch.month} 第${rowIndex + 1}条` : `第${rowIndex + 1}条`;
+            tr.appendChild(positionCell);
+            
+            const issueCell = document.createElement('td');
+            issueCell.className = 'validation-issues';
+            issueCell.textContent = rowIssues.map(issue => ImportValidator.ISSUE_LABELS[issue.type]).join('、');
+            tr.appendChild(issueCell);
+            
+            const flaggedColumns = rowIssues.map(issue => issue.column);
+            editColumns.forEach(col => {
+                const td = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = row[col] !== undefined && row[col] !== null ? row[col] : '';
+                if (flaggedColumns.includes(col)) input.classList.add('error');
+                input.addEventListener('change', () => { row[col] = input.value; });
+                td.appendChild(input);
+                tr.appendChild(td);
+            });
+            
+            tr.classList.toggle('excluded', pending.excluded.has(key));
+            table.appendChild(tr);
+        });
+        
+        section.style.display = 'block';
+        section.scrollIntoView?.({ behavior: 'smooth' });
+    },
+    
+    /**
+     * 按修改后的数据重新检查，已修复的行自动从报告中移除
+     */
+    recheckPendingImport() {
+        if (!this.pendingImport) return;
+        this.validatePendingImport();
+        if (this.pendingImport.issues.length === 0) {
+            this.showMessage('所有问题已修复', 'success');
+        }
+        this.showValidationReport();
+    },
+    
+    /**
+     * 排除所有存在问题的行
+     */
+    excludeAllFlaggedRows() {
+        if (!this.pendingImport) return;
+        ImportValidator.groupByRow(this.pendingImport.issues).forEach((issues, key) => {
+            this.pendingImport.excluded.add(key);
+        });
+        this.showValidationReport();
+    },
+    
+    /**
+     * 显示导入进度条
+     * @param {number} percent - 0-100
+     * @param {string} stage - 当前阶段说明
+     */
+    showImportProgress(percent, stage) {
+        const value = Math.max(0, Math.min(100, Math.round(percent)));
+        document.getElementById('import-progress').style.display = 'flex';
+        document.getElementById('import-progress-fill').style.width = `${value}%`;
+        document.getElementById('import-progress-text').textContent = `${stage} ${value}%`;
+    },
+    
+    hideImportProgress() {
+        document.getElementById('import-progress').style.display = 'none';
+    },
+    
+    hideValidationReport() {
+        document.getElementById('validation-report').style.display = 'none';
+    },
+    
+    /**
+     * 导入待导入批次（跳过被排除的行）
+     */
+    async commitPendingImport() {
+        const pending = this.pendingImport;
+        if (!pending) return;
+        
+        const { config, report, monthName, period } = pending;
+        const batches = pending.batches.map((batch, batchIndex) => ({
+            ...batch,
+            data: batch.data.filter((row, rowIndex) => !pending.excluded.has(`${batchIndex}:${rowIndex}`))
+        })).filter(batch => batch.data.length > 0);
+        
+        if (batches.length === 0) {
+            this.showMessage('所有数据行均已排除，没有可导入的数据', 'warning');
+            return;
+        }
+        
+        // 先处理完所有批次再保存，取消时不会留下部分导入的月份
+        const groupedBatches = [];
+        for (let i = 0; i < batches.length; i++) {
+            const base = i / batches.length * 100;
+            const groupedData = await ImportWorker.processData(batches[i].data, config, (percent, stage) => {
+                this.showImportProgress(base + percent / batches.length, `${batches[i].month}：${stage}`);
+            });
+            if (!groupedData) {
+                this.hideImportProgress();
+                this.showMessage(ImportWorker.CANCELLED_ERROR, 'warning');
+                return;
+            }
+            groupedBatches.push(groupedData);
+        }
+        this.hideImportProgress();
+        
+        const baseId = Date.now().toString();
+        for (let i = 0; i < batches.length; i++) {
+            const batch = batches[i];
+            const groupedData = groupedBatches[i];
+            
+            const monthData = {
+                id: batches.length > 1 ? `${baseId}-${i}` : baseId,
+                month: batch.month,
+                // 分开导入的工作表各自识别账期，识别不到时使用整个文件的账期
+                period: batch.period || period,
+                color: StateManager.getNextColor(),
+                importedAt: new Date(),
+                config,
+                groupedData,
+                rawData: batch.data
+            };
+            
+            // 添加数据（如果已登录会自动同步到云端）
+            await StateManager.addMonthData(monthData);
+        }
+        
+        this.hideValidationReport();
+        this.hideColumnSelection();
+        this.renderMonthsData(true); // Scroll to latest
+        
+        const unparsed = NumberParser.countUnparsed(
+            batches.flatMap(batch => batch.data),
+            [config.salesColumn, config.quantityColumn]
+        );
+        if (unparsed.total > 0) {
+            const detail = Object.entries(unparsed.byColumn).map(([col, count]) => `${col} ${count}个`).join('，');
+            this.showMessage(`有 ${unparsed.total} 个单元格无法解析为数值，已按 0 处理（${detail}）`, 'warning');
+        }
+        if (pending.excluded.size > 0) {
+            this.showMessage(`已排除 ${pending.excluded.size} 行问题数据`, 'warning');
+        }
+        
+        const hasSheetErrors = report.some(item => item.error);
+        if (pending.sheetCount > 1 || hasSheetErrors) {
+            this.showMessage(`导入完成：${FileHandler.formatImportReport(report)}`, hasSheetErrors ? 'warning' : 'success');
+        } else {
+            this.showMessage(`${monthName} 数据导入成功！`, 'success');
+        }
+        this.currentParseResult = null;
+        this.pendingImport = null;
+    },
+    
+    hideColumnSelection() {
+        document.getElementById('column-selection').style.display = 'none';
+        this.hideValidationReport();
+    },
+    
+    getSelectedColumns() {
+        const checkboxes = document.querySelectorAll('#column-checkboxes input[type="checkbox"]:checked');
+        return Array.from(checkboxes).map(cb => cb.value);
+    },
+    
+    renderMonthsData(scrollToEnd = false) {
+        const container = document.getElementById('months-container');
+        const sliderNav = document.getElementById('slider-nav');
+        const sliderInfo = document.getElementById('slider-info');
+        const allData = StateManager.getAllMonthsData();
+        
+        container.innerHTML = '';
+        document.getElementById('analysis-toolbar').style.display = allData.length > 0 ? 'flex' : 'none';
+        
+        if (allData.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>暂无数据，请上传Excel文件开始</p></div>';
+            sliderNav.style.display = 'none';
+            this.hideAnalysisPanel();
+            return;
+        }
+        
+        const hasCategoryCodes = allData.some(monthData => monthData.config.categoryCodeColumn);
+        this.renderHierarchyDimensionOptions(hasCategoryCodes);
+        this.refreshAnalysisPanel();
+        this.lifecycleMarkers = LifecycleAnalyzer.buildMarkers(StateManager.getMonthsInPeriodOrder());
+        
+        const hasMultiStore = allData.some(monthData => StoreHelper.getStores(monthData).length > 1);
+        const splitStores = hasMultiStore && this.storeViewMode === 'split';
+        const storeViewControl = document.getElementById('store-view-control');
+        if (storeViewControl) {
+            storeViewControl.style.display = hasMultiStore ? 'flex' : 'none';
+            document.getElementById('store-view-mode').value = this.storeViewMode;
+        }
+        const hasGroupOptions = hasCategoryCodes || allData.some(monthData => BrandHelper.hasBrandColumns(monthData.config));
+        document.getElementById('group-levels-control').style.display = hasGroupOptions ? 'flex' : 'none';
+        this.renderGroupLevelOptions();
+        
+        // Show slider nav if more than 1 month (or stores / grouping can be switched)
+        sliderNav.style.display = allData.length > 1 || hasMultiStore || hasGroupOptions ? 'flex' : 'none';
+        sliderInfo.textContent = `共 ${allData.length} 个月份`;
+        
+        allData.forEach(monthData => {
+            const stores = StoreHelper.getStores(monthData);
+            if (splitStores && stores.length > 1) {
+                // 按门店并排：每个门店一个区域
+                stores.forEach(store => container.appendChild(this.createMonthRegion(monthData, store)));
+            } else {
+                container.appendChild(this.createMonthRegion(monthData));
+            }
+        });
+        
+        // Scroll to end (latest) if requested
+        if (scrollToEnd) {
+            setTimeout(() => {
+                container.scrollLeft = container.scrollWidth;
+            }, 100);
+        }
+        
+        this.updateSliderButtons();
+    },
+    
+    updateSliderButtons() {
+        const container = document.getElementById('months-container');
+        const prevBtn = document.getElementById('slider-prev');
+        const nextBtn = document.getElementById('slider-next');
+        
+        if (!prevBtn || !nextBtn) return;
+        
+        prevBtn.disabled = container.scrollLeft <= 0;
+        nextBtn.disabled = container.scrollLeft >= container.scrollWidth - container.clientWidth - 10;
+    },
+    
+    scrollSlider(direction) {
+        const container = document.getElementById('months-container');
+        const scrollAmount = 360; // Width of one card + gap
+        container.scrollBy({ left: direction * scrollAmount, behavior: 'smooth' });
+        setTimeout(() => this.updateSliderButtons(), 300);
+    },
+    
+    /**
+     * 创建月份区域
+     * @param {Object} monthData
+     * @param {{ key: string, name: string }} [store] - 按门店并排时指定门店，否则使用该月份的门店筛选
+     * @returns {HTMLElement}
+     */
+    createMonthRegion(monthData, store = null) {
+        const region = document.createElement('div');
+        region.className = 'month-region';
+        region.style.backgroundColor = monthData.color;
+        
+        const stores = store ? [] : StoreHelper.getStores(monthData);
+        let storeKey = store ? store.key : (this.monthStoreFilters[monthData.id] ?? null);
+        if (!store && !stores.some(s => s.key === storeKey)) storeKey = null;
+        let groupedData = StoreHelper.getGroupedData(monthData, storeKey);
+        
+        const hasBrands = BrandHelper.hasBrandColumns(monthData.config);
+        const brands = hasBrands ? BrandHelper.getBrands(groupedData, monthData.config) : [];
+        // 按门店并排时每个门店区域单独筛选品牌
+        const brandFilterKey = store ? `${monthData.id}:${store.key}` : monthData.id;
+        let brandName = this.monthBrandFilters[brandFilterKey] ?? null;
+        if (!brands.some(b => b.name === brandName)) brandName = null;
+        if (brandName !== null) groupedData = BrandHelper.filterGroupedData(groupedData, monthData.config, brandName);
+        const abcClasses = AbcAnalyzer.toClassMap(AbcAnalyzer.classifyMonth({ ...monthData, groupedData }, this.abcThresholds));
+        const lifecycleMarkers = this.lifecycleMarkers.get(monthData.id) || new Map();
+        
+        // Header with delete button
+        const header = document.createElement('div');
+        header.className = 'month-header';
+        
+        const title = document.createElement('span');
+        title.textContent = store ? `${monthData.month} · ${store.name}` : monthData.month;
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'month-delete-btn';
+        deleteBtn.innerHTML = '🗑️';
+        deleteBtn.title = '删除此月份数据';
+        deleteBtn.addEventListener('click', () => this.confirmDelete(monthData.id, monthData.month));
+        
+        header.appendChild(title);
+        header.appendChild(deleteBtn);
+        region.appendChild(header);
+        
+        // 门店选择（该月份包含多个门店时）
+        if (stores.length > 1) {
+            const storeSelect = document.createElement('select');
+            storeSelect.className = 'month-store-select';
+            storeSelect.innerHTML = '<option value="">全部门店</option>';
+            stores.forEach(s => {
+                const option = document.createElement('option');
+                option.value = s.key;
+                option.textContent = s.name;
+                storeSelect.appendChild(option);
+            });
+            storeSelect.value = storeKey ?? '';
+            storeSelect.addEventListener('change', () => {
+                if (storeSelect.value) this.monthStoreFilters[monthData.id] = storeSelect.value;
+                else delete this.monthStoreFilters[monthData.id];
+                region.replaceWith(this.createMonthRegion(monthData));
+            });
+            region.appendChild(storeSelect);
+        }
+        
+        // 品牌筛选（该月份包含品牌列时）
+        if (brands.length > 1) {
+            const brandSelect = document.createElement('select');
+            brandSelect.className = 'month-brand-select';
+            brandSelect.innerHTML = '<option value="">全部品牌</option>';
+            brands.forEach(b => {
+                const option = document.createElement('option');
+                option.value = b.name;
+                option.textContent = b.name;
+                brandSelect.appendChild(option);
+            });
+            brandSelect.value = brandName ?? '';
+            brandSelect.addEventListener('change', () => {
+                if (brandSelect.value) this.monthBrandFilters[brandFilterKey] = brandSelect.value;
+                else delete this.monthBrandFilters[brandFilterKey];
+                region.replaceWith(this.createMonthRegion(monthData, store));
+            });
+            region.appendChild(brandSelect);
+        }
+        
+        // 多层分组（默认按品类）
+        const context = { monthData, storeKey, abcClasses, lifecycleMarkers, regionKey: brandFilterKey };
+        const tree = DataProcessor.buildGroupTree(groupedData, monthData.config, this.groupLevels);
+        tree.forEach(node => region.appendChild(this.createGroupNode(node, context, node.key)));
+        
+        return region;
+    },
+    
+    /**
+     * 创建分组节点：标题显示小计，点击标题折叠/展开，内部为下一层分组或商品列表
+     * @param {Object} node - DataProcessor.buildGroupTree 的节点
+     * @param {Object} context - 月份区域的渲染上下文
+     * @param {string} path - 从最外层到该节点的分组名路径，用于记住折叠状态
+     * @param {number} [depth=0] - 嵌套层数
+     * @returns {HTMLElement}
+     */
+    createGroupNode(node, context, path, depth = 0) {
+        const collapseKey = `${context.regionKey}|${path}`;
+        const group = document.createElement('div');
+        group.className = depth === 0 ? 'category-group' : 'category-group nested-group';
+        if (this.collapsedGroups.has(collapseKey)) group.classList.add('collapsed');
+        
+        const title = document.createElement('div');
+        title.className = 'category-title';
+        
+        const name = document.createElement('span');
+        name.className = 'group-name';
+        name.textContent = node.key;
+        
+        const subtotal = document.createElement('span');
+        subtotal.className = 'group-subtotal';
+        subtotal.textContent = `${node.productCount}项 · ${Math.round(node.quantity * 100) / 100}件 · ¥${(Math.round(node.salesAmount * 100) / 100).toLocaleString()}`;
+        
+        title.appendChild(name);
+        title.appendChild(subtotal);
+        title.addEventListener('click', () => {
+            const collapsed = group.classList.toggle('collapsed');
+            if (collapsed) this.collapsedGroups.add(collapseKey);
+            else this.collapsedGroups.delete(collapseKey);
+        });
+        group.appendChild(title);
+        
+        const body = document.createElement('div');
+        body.className = 'group-body';
+        if (node.children.length > 0) {
+            node.children.forEach(child => body.appendChild(this.createGroupNode(child, context, `${path}\u0000${child.key}`, depth + 1)));
+        } else {
+            const productList = document.createElement('ul');
+            productList.className = 'product-list';
+            node.products.forEach(product => productList.appendChild(this.createProductItem(product, context)));
+            body.appendChild(productList);
+        }
+        group.appendChild(body);
+        return group;
+    },
+    
+    /**
+     * 创建月份区域中的商品行（含 ABC 分类、生命周期和低毛利标记）
+     * @param {Object} product - 商品行
+     * @param {{ monthData: Object, storeKey: string|null, abcClasses: Map, lifecycleMarkers: Map }} context
+     * @returns {HTMLElement}
+     */
+    createProductItem(product, context) {
+        const { monthData, storeKey, abcClasses, lifecycleMarkers } = context;
+        const markerLabels = { new: '新品', reactivated: '回归', ending: '下月未售' };
+        const productKey = DataProcessor.getProductKey(product, monthData.config);
+        const productName = StateManager.getProductDisplayName(productKey);
+        const quantity = NumberParser.toNumber(product[monthData.config.quantityColumn]);
+        const salesAmount = NumberParser.toNumber(product[monthData.config.salesColumn]);
+        
+        const item = document.createElement('li');
+        item.className = 'product-item';
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'product-name';
+        nameSpan.textContent = productName;
+        nameSpan.addEventListener('click', () => this.showTrendChart(productKey, storeKey));
+        
+        const abcClass = abcClasses.get(productKey);
+        if (abcClass) {
+            const abcBadge = document.createElement('span');
+            abcBadge.className = `abc-badge abc-${abcClass.toLowerCase()}`;
+            abcBadge.textContent = abcClass;
+            abcBadge.title = `${abcClass} 类商品`;
+            nameSpan.prepend(abcBadge);
+        }
+        
+        const marker = lifecycleMarkers.get(productKey);
+        if (marker) {
+            const markerBadge = document.createElement('span');
+            markerBadge.className = `lifecycle-badge lifecycle-${marker}`;
+            markerBadge.textContent = markerLabels[marker];
+            nameSpan.appendChild(markerBadge);
+        }
+        
+        if (MarginAnalyzer.hasMarginData(monthData.config)) {
+            const margin = MarginAnalyzer.getRowMargin(product, monthData.config);
+            const rate = MarginAnalyzer.marginRate(margin.sales, margin.profit);
+            if (rate !== null && rate < this.lowMarginThreshold) {
+                item.classList.add('low-margin');
+                const badge = document.createElement('span');
+                badge.className = 'margin-badge';
+                badge.textContent = `毛利 ${rate.toFixed(1)}%`;
+                badge.title = `毛利率低于 ${this.lowMarginThreshold}%`;
+                nameSpan.appendChild(badge);
+            }
+        }
+        
+        const infoDiv = document.createElement('div');
+        infoDiv.className = 'product-info';
+        
+        const quantitySpan = document.createElement('span');
+        quantitySpan.className = 'product-quantity';
+        quantitySpan.textContent = `${quantity}件`;
+        
+        const salesSpan = document.createElement('span');
+        salesSpan.className = 'product-sales';
+        salesSpan.textContent = `¥${salesAmount.toLocaleString()}`;
+        
+        infoDiv.appendChild(quantitySpan);
+        infoDiv.appendChild(salesSpan);
+        
+        item.appendChild(nameSpan);
+        item.appendChild(infoDiv);
+        return item;
+    },
+    
+    /**
+     * 分组层级选项值（如 "categoryCodePrefix:2"）转为层级定义
+     * @param {string} value
+     * @returns {{ type: string, length?: number }|null}
+     */
+    parseGroupLevel(value) {
+        if (!value) return null;
+        const [type, length] = value.split(':');
+        return length ? { type, length: parseInt(length, 10) } : { type };
+    },
+    
+    formatGroupLevel(level) {
+        return level.length ? `${level.type}:${level.length}` : level.type;
+    },
+    
+    /**
+     * 分组层级选项：品类层级的各上级层级、品类和品牌
+     * @returns {Array<{ value: string, label: string }>}
+     */
+    getGroupLevelOptions() {
+        return [
+            ...CategoryHierarchy.getLevels().map(level => ({ value: level.dimension, label: level.name })),
+            { value: 'category', label: '品类' },
+            { value: 'brand', label: '品牌' }
+        ];
+    },
+    
+    /**
+     * 在分析维度下拉框的"品类"之前加入品类层级的上级层级（有品类编码列时），用于上卷到大类、中类
+     * @param {boolean} hasCategoryCodes
+     */
+    renderHierarchyDimensionOptions(hasCategoryCodes) {
+        this.HIERARCHY_DIMENSION_SELECTS.forEach(id => {
+            const select = document.getElementById(id);
+            const previous = select.value;
+            select.querySelectorAll('option[data-hierarchy]').forEach(option => option.remove());
+            if (hasCategoryCodes) {
+                const categoryOption = select.querySelector('option[value="category"]');
+                CategoryHierarchy.getLevels().forEach(level => {
+                    const option = document.createElement('option');
+                    option.value = level.dimension;
+                    option.textContent = level.name;
+                    option.dataset.hierarchy = 'true';
+                    select.insertBefore(option, categoryOption);
+                });
+            }
+            select.value = previous;
+            if (!select.value) select.value = 'category';
+        });
+    },
+    
+    /**
+     * 按当前分组层级填充分组层级下拉框（第一层必选，其余可不选）
+     */
+    renderGroupLevelOptions() {
+        document.querySelectorAll('.group-level-select').forEach((select, index) => {
+            select.innerHTML = index === 0 ? '' : '<option value="">不分组</option>';
+            this.getGroupLevelOptions().forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            const level = this.groupLevels[index];
+            select.value = level ? this.formatGroupLevel(level) : '';
+        });
+    },
+    
+    /**
+     * 读取分组层级下拉框，去掉重复层级后重新渲染月份区域
+     */
+    handleGroupLevelsChange() {
+        const seen = new Set();
+        const levels = [];
+        for (const select of document.querySelectorAll('.group-level-select')) {
+            if (!select.value) break;
+            if (seen.has(select.value)) continue;
+            seen.add(select.value);
+            levels.push(this.parseGroupLevel(select.value));
+        }
+        this.groupLevels = levels.length > 0 ? levels : [{ type: 'category' }];
+        this.collapsedGroups.clear();
+        this.renderMonthsData();
+    },
+    
+    /**
+     * 显示分析面板（同一时间只显示一个）
+     * @param {string} panelId
+     */
+    showAnalysisPanel(panelId) {
+        document.querySelectorAll('.analysis-panel').forEach(panel => {
+            panel.style.display = panel.id === panelId ? 'block' : 'none';
+        });
+        document.querySelectorAll('.analysis-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.panel === panelId);
+        });
+        this.activeAnalysisPanel = panelId;
+        this.refreshAnalysisPanel();
+    },
+    
+    hideAnalysisPanel() {
+        document.querySelectorAll('.analysis-panel').forEach(panel => { panel.style.display = 'none'; });
+        Object.keys(ChartRenderer.panelCharts).forEach(id => ChartRenderer.destroyPanelChart(id));
+        document.querySelectorAll('.analysis-btn').forEach(btn => btn.classList.remove('active'));
+        this.activeAnalysisPanel = null;
+    },
+    
+    /**
+     * 按当前数据重新渲染打开的分析面板
+     */
+    refreshAnalysisPanel() {
+        const renderers = {
+            'comparison-panel': () => this.renderComparison(),
+            'margin-panel': () => this.renderMargin(),
+            'loss-panel': () => this.renderLoss(),
+            'discount-panel': () => this.renderDiscount(),
+            'price-panel': () => this.renderPriceChanges(),
+            'abc-panel': () => this.renderAbc(),
+            'lifecycle-panel': () => this.renderLifecycle(),
+            'mix-panel': () => this.renderCategoryMix(),
+            'hierarchy-panel': () => this.renderHierarchy(),
+            'alias-panel': () => this.renderAliases()
+        };
+        const render = renderers[this.activeAnalysisPanel];
+        if (render) render();
+    },
+    
+    /**
+     * 填充月份下拉框，尽量保留原选择
+     * @param {HTMLSelectElement} select
+     * @param {Array<Object>} months
+     * @param {string} [defaultId] - 原选择无效时选中的月份
+     * @param {string} [allLabel] - 提供时在最前面加入值为空的"全部月份"选项，原选择无效时选中该项
+     */
+    populateMonthSelect(select, months, defaultId, allLabel) {
+        const previous = select.value;
+        select.innerHTML = '';
+        if (allLabel) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = allLabel;
+            select.appendChild(option);
+        }
+        months.forEach(monthData => {
+            const option = document.createElement('option');
+            option.value = monthData.id;
+            option.textContent = monthData.month;
+            select.appendChild(option);
+        });
+        if (months.some(monthData => monthData.id === previous)) {
+            select.value = previous;
+        } else if (defaultId) {
+            select.value = defaultId;
+        }
+    },
+    
+    /**
+     * 渲染分析表格
+     * @param {HTMLTableElement} table
+     * @param {string[]} headers
+     * @param {Array<Array<string | { text?: string, element?: HTMLElement, className?: string, onClick?: Function }>>} rows
+     */
+    renderAnalysisTable(table, headers, rows) {
+        table.innerHTML = '';
+        const headerRow = document.createElement('tr');
+        headers.forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+        
+        rows.forEach(cells => {
+            const tr = document.createElement('tr');
+            cells.forEach(cell => {
+                const td = document.createElement('td');
+                const { text, element, className, onClick } = typeof cell === 'object' && cell !== null ? cell : { text: cell };
+                if (element) td.appendChild(element);
+                else td.textContent = text;
+                if (className) td.className = className;
+                if (onClick) {
+                    td.classList.add('clickable');
+                    td.addEventListener('click', onClick);
+                }
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
+    },
+    
+    /**
+     * 格式化变化值，返回带正负号的文本和对应样式
+     * @param {number|null} value
+     * @param {{ percent?: boolean, currency?: boolean }} [options]
+     * @returns {{ text: string, className: string }}
+     */
+    formatChange(value, options = {}) {
+        if (value === null || value === undefined) return { text: '—', className: '' };
+        const rounded = Math.round(value * 100) / 100;
+        const sign = rounded > 0 ? '+' : (rounded < 0 ? '-' : '');
+        const body = options.percent
+            ? `${Math.abs(rounded).toFixed(1)}%`
+            : `${options.currency ? '¥' : ''}${Math.abs(rounded).toLocaleString()}`;
+        return {
+            text: `${sign}${body}`,
+            className: rounded > 0 ? 'change-up' : (rounded < 0 ? 'change-down' : '')
+        };
+    },
+    
+    /**
+     * 渲染期间对比面板
+     */
+    renderComparison() {
+        const months = StateManager.getMonthsInPeriodOrder();
+        const mode = document.getElementById('comparison-mode').value;
+        const currentSelect = document.getElementById('comparison-current');
+        const baseSelect = document.getElementById('comparison-base');
+        const summary = document.getElementById('comparison-summary');
+        const table = document.getElementById('comparison-table');
+        
+        this.populateMonthSelect(currentSelect, months, months[months.length - 1]?.id);
+        this.populateMonthSelect(baseSelect, months, months[months.length - 2]?.id);
+        
+        const currentMonth = months.find(monthData => monthData.id === currentSelect.value);
+        let baseMonth = months.find(monthData => monthData.id === baseSelect.value);
+        
+        baseSelect.disabled = mode !== 'custom';
+        if (mode !== 'custom' && currentMonth) {
+            baseMonth = ComparisonEngine.findBaseMonth(months, currentMonth, mode);
+            if (baseMonth) baseSelect.value = baseMonth.id;
+        }
+        
+        if (!currentMonth || !baseMonth) {
+            table.innerHTML = '';
+            summary.textContent = mode === 'custom'
+                ? '请选择本期和基期'
+                : `没有找到${mode === 'yoy' ? '去年同月' : '上月'}的数据（需要月份带有账期）`;
+            return;
+        }
+        if (currentMonth === baseMonth) {
+            table.innerHTML = '';
+            summary.textContent = '本期和基期相同，请选择不同的月份';
+            return;
+        }
+        
+        const dimension = document.getElementById('comparison-dimension').value;
+        const [field, direction] = document.getElementById('comparison-sort').value.split(':');
+        const rows = ComparisonEngine.sortRows(ComparisonEngine.compare(baseMonth, currentMonth, dimension), field, direction);
+        const totals = ComparisonEngine.totals(rows);
+        const salesPct = this.formatChange(totals.salesChangePct, { percent: true }).text;
+        const quantityPct = this.formatChange(totals.quantityChangePct, { percent: true }).text;
+        
+        summary.textContent = `${baseMonth.month} → ${currentMonth.month}：销售金额 ¥${totals.baseSales.toLocaleString()} → ¥${totals.currentSales.toLocaleString()}（${salesPct}），` +
+            `销售数量 ${totals.baseQuantity.toLocaleString()} → ${totals.currentQuantity.toLocaleString()}（${quantityPct}）` +
+            (rows.length > this.ANALYSIS_MAX_ROWS ? `，仅显示前 ${this.ANALYSIS_MAX_ROWS} 项` : '');
+        
+        const statusLabels = { new: '（新增）', gone: '（本期无销售）', both: '' };
+        const headers = [this.getDimensionLabel(dimension), ...(dimension === 'product' ? ['品类'] : []),
+            '基期金额', '本期金额', '金额变化', '金额变化率', '基期数量', '本期数量', '数量变化', '数量变化率'];
+        const tableRows = rows.slice(0, this.ANALYSIS_MAX_ROWS).map(row => {
+            const name = dimension === 'product' ? StateManager.getProductDisplayName(row.key) : row.key;
+            const nameCell = dimension === 'product'
+                ? { text: name + statusLabels[row.status], onClick: () => this.showTrendChart(row.key) }
+                : name + statusLabels[row.status];
+            return [
+                nameCell,
+                ...(dimension === 'product' ? [row.category] : []),
+                `¥${row.baseSales.toLocaleString()}`,
+                `¥${row.currentSales.toLocaleString()}`,
+                this.formatChange(row.salesChange, { currency: true }),
+                this.formatChange(row.salesChangePct, { percent: true }),
+                row.baseQuantity.toLocaleString(),
+                row.currentQuantity.toLocaleString(),
+                this.formatChange(row.quantityChange),
+                this.formatChange(row.quantityChangePct, { percent: true })
+            ];
+        });
+        this.renderAnalysisTable(table, headers, tableRows);
+    },
+    
+    /**
+     * 渲染毛利分析面板：按商品/品类查看某月毛利（表格或销售额-毛利率散点图），或按月份查看毛利趋势
+     */
+    renderMargin() {
+        const months = StateManager.getMonthsInPeriodOrder().filter(monthData => MarginAnalyzer.hasMarginData(monthData.config));
+        const monthSelect = document.getElementById('margin-month');
+        const dimension = document.getElementById('margin-dimension').value;
+        const view = document.getElementById('margin-view').value;
+        const summary = document.getElementById('margin-summary');
+        const alerts = document.getElementById('margin-alerts');
+        const table = document.getElementById('margin-table');
+        const canvas = document.getElementById('margin-chart');
+        const threshold = this.lowMarginThreshold;
+        
+        this.populateMonthSelect(monthSelect, months, months[months.length - 1]?.id);
+        monthSelect.disabled = dimension === 'month';
+        ChartRenderer.destroyPanelChart(canvas.id);
+        table.innerHTML = '';
+        alerts.textContent = '';
+        canvas.style.display = 'none';
+        
+        if (months.length === 0) {
+            summary.textContent = '没有包含成本或毛利列的月份，请在导入时选择销售成本列或毛利金额列';
+            return;
+        }
+        
+        const formatRate = rate => (rate === null ? '—' : `${rate.toFixed(1)}%`);
+        const rateCell = rate => ({ text: formatRate(rate), className: rate !== null && rate < threshold ? 'change-down' : '' });
+        
+        if (dimension === 'month') {
+            const items = MarginAnalyzer.summarizeMonths(months);
+            const low = MarginAnalyzer.findLowMargin(items, threshold);
+            summary.textContent = `共 ${items.length} 个月份有毛利数据`;
+            alerts.textContent = low.length > 0
+                ? `毛利率低于 ${threshold}% 的月份：${low.map(item => `${item.month}（${formatRate(item.marginRate)}）`).join('、')}`
+                : '';
+            if (view === 'chart') {
+                canvas.style.display = 'block';
+                ChartRenderer.renderPanelChart(canvas, {
+                    type: 'line',
+                    data: {
+                        labels: items.map(item => item.month),
+                        datasets: [{
+                            label: '毛利率',
+                            data: items.map(item => item.marginRate),
+                            borderColor: '#FF9800',
+                            backgroundColor: 'rgba(255, 152, 0, 0.1)',
+                            fill: true,
+                            tension: 0.1
+                        }]
+                    },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        scales: { y: { ticks: { callback: (value) => value + '%' } } }
+                    }
+                });
+                return;
+            }
+            this.renderAnalysisTable(table, ['月份', '销售金额', '销售成本', '毛利金额', '毛利率'], items.map(item => [
+                item.month,
+                `¥${item.salesAmount.toLocaleString()}`,
+                `¥${item.cost.toLocaleString()}`,
+                `¥${item.profit.toLocaleString()}`,
+                rateCell(item.marginRate)
+            ]));
+            return;
+        }
+        
+        const monthData = months.find(m => m.id === monthSelect.value);
+        const items = MarginAnalyzer.summarizeMonth(monthData, dimension)
+            .sort((a, b) => b.salesAmount - a.salesAmount);
+        const low = MarginAnalyzer.findLowMargin(items, threshold);
+        const getName = item => (dimension === 'product' ? StateManager.getProductDisplayName(item.key) : item.key);
+        const totalSales = items.reduce((sum, item) => sum + item.salesAmount, 0);
+        const totalProfit = items.reduce((sum, item) => sum + item.profit, 0);
+        
+        summary.textContent = `${monthData.month}：销售金额 ¥${totalSales.toLocaleString()}，毛利金额 ¥${totalProfit.toLocaleString()}，` +
+            `毛利率 ${formatRate(MarginAnalyzer.marginRate(totalSales, totalProfit))}` +
+            (view === 'table' && items.length > this.ANALYSIS_MAX_ROWS ? `，仅显示前 ${this.ANALYSIS_MAX_ROWS} 项` : '');
+        alerts.textContent = low.length > 0
+            ? `${low.length} 个${this.getDimensionLabel(dimension)}毛利率低于 ${threshold}%，最低：` +
+                low.slice(0, 5).map(item => `${getName(item)}（${formatRate(item.marginRate)}）`).join('、')
+            : '';
+        
+        if (view === 'chart') {
+            canvas.style.display = 'block';
+            const points = items
+                .filter(item => item.marginRate !== null)
+                .map(item => ({ name: getName(item), salesAmount: item.salesAmount, marginRate: item.marginRate }));
+            ChartRenderer.renderMarginScatter(canvas, points, threshold);
+            return;
+        }
+        
+        const headers = [this.getDimensionLabel(dimension), ...(dimension === 'product' ? ['品类'] : []),
+            '销售金额', '销售成本', '毛利金额', '毛利率'];
+        const tableRows = items.slice(0, this.ANALYSIS_MAX_ROWS).map(item => [
+            dimension === 'product'
+                ? { text: getName(item), onClick: () => this.showTrendChart(item.key) }
+                : getName(item),
+            ...(dimension === 'product' ? [item.category] : []),
+            `¥${item.salesAmount.toLocaleString()}`,
+            `¥${item.cost.toLocaleString()}`,
+            `¥${item.profit.toLocaleString()}`,
+            rateCell(item.marginRate)
+        ]);
+        this.renderAnalysisTable(table, headers, tableRows);
+    },
+    
+    /**
+     * 渲染损耗分析面板：按品类查看某月报损和赠送/让利，查看报损最多的商品，或按月份查看损耗趋势
+     */
+    renderLoss() {
+        const months = StateManager.getMonthsInPeriodOrder().filter(monthData => LossAnalyzer.hasLossData(monthData.config));
+        const monthSelect = document.getElementById('loss-month');
+        const dimension = document.getElementById('loss-dimension').value;
+        const view = document.getElementById('loss-view').value;
+        const summary = document.getElementById('loss-summary');
+        const table = document.getElementById('loss-table');
+        const canvas = document.getElementById('loss-chart');
+        
+        this.populateMonthSelect(monthSelect, months, months[months.length - 1]?.id);
+        monthSelect.disabled = dimension === 'month';
+        ChartRenderer.destroyPanelChart(canvas.id);
+        table.innerHTML = '';
+        canvas.style.display = 'none';
+        
+        if (months.length === 0) {
+            summary.textContent = '没有包含报损、赠送或让利列的月份，请在导入时选择对应的列';
+            return;
+        }
+        
+        const money = value => `¥${(Math.round(value * 100) / 100).toLocaleString()}`;
+        const formatRate = rate => (rate === null ? '—' : `${rate.toFixed(2)}%`);
+        const describe = item => `销售金额 ${money(item.sales)}，报损 ${money(item.shrinkageAmount)}（报损率 ${formatRate(item.shrinkageRate)}），` +
+            `赠送 ${money(item.giftAmount)}，让利 ${money(item.concessionAmount)}，合计损耗率 ${formatRate(item.lossRate)}`;
+        const showChart = config => {
+            canvas.style.display = 'block';
+            ChartRenderer.renderPanelChart(canvas, {
+                ...config,
+                options: { responsive: true, maintainAspectRatio: false, ...config.options }
+            });
+        };
+        
+        if (dimension === 'month') {
+            const items = LossAnalyzer.summarizeMonths(months);
+            summary.textContent = `共 ${items.length} 个月份有损耗数据`;
+            if (view === 'chart') {
+                showChart({
+                    type: 'line',
+                    data: {
+                        labels: items.map(item => item.month),
+                        datasets: [
+                            { label: '报损金额', data: items.map(item => item.shrinkageAmount), borderColor: '#F44336', yAxisID: 'y' },
+                            { label: '赠送+让利金额', data: items.map(item => item.giftAmount + item.concessionAmount), borderColor: '#FF9800', yAxisID: 'y' },
+                            { label: '报损率', data: items.map(item => item.shrinkageRate), borderColor: '#9C27B0', borderDash: [6, 4], yAxisID: 'y1' }
+                        ]
+                    },
+                    options: {
+                        scales: {
+                            y: { beginAtZero: true, ticks: { callback: (value) => '¥' + value.toLocaleString() } },
+                            y1: { position: 'right', grid: { drawOnChartArea: false }, ticks: { callback: (value) => value + '%' } }
+                        }
+                    }
+                });
+                return;
+            }
+            this.renderAnalysisTable(table, ['月份', '销售金额', '报损数量', '报损金额', '报损率', '赠送金额', '让利金额', '合计损耗', '损耗率'],
+                items.map(item => [
+                    item.month,
+                    money(item.sales),
+                    item.shrinkageQuantity.toLocaleString(),
+                    money(item.shrinkageAmount),
+                    formatRate(item.shrinkageRate),
+                    money(item.giftAmount),
+                    money(item.concessionAmount),
+                    money(item.totalLoss),
+                    formatRate(item.lossRate)
+                ]));
+            return;
+        }
+        
+        const monthData = months.find(m => m.id === monthSelect.value);
+        const total = LossAnalyzer.summarizeMonths([monthData])[0];
+        summary.textContent = `${monthData.month}：${describe(total)}`;
+        
+        if (dimension === 'product') {
+            const items = LossAnalyzer.topShrinkage(LossAnalyzer.summarizeMonth(monthData, 'product'));
+            const getName = item => StateManager.getProductDisplayName(item.key);
+            if (view === 'chart') {
+                showChart({
+                    type: 'bar',
+                    data: {
+                        labels: items.map(getName),
+                        datasets: [{ label: '报损金额', data: items.map(item => item.shrinkageAmount), backgroundColor: 'rgba(244, 67, 54, 0.7)' }]
+                    },
+                    options: { indexAxis: 'y', plugins: { legend: { display: false } } }
+                });
+                return;
+            }
+            this.renderAnalysisTable(table, ['商品', '品类', '销售金额', '报损数量', '报损金额', '报损率'], items.map(item => [
+                { text: getName(item), onClick: () => this.showTrendChart(item.key) },
+                item.category,
+                money(item.sales),
+                item.shrinkageQuantity.toLocaleString(),
+                money(item.shrinkageAmount),
+                formatRate(item.shrinkageRate)
+            ]));
+            return;
+        }
+        
+        const items = LossAnalyzer.summarizeMonth(monthData, dimension).sort((a, b) => b.totalLoss - a.totalLoss);
+        if (view === 'chart') {
+            showChart({
+                type: 'bar',
+                data: {
+                    labels: items.map(item => item.key),
+                    datasets: [
+                        { label: '报损', data: items.map(item => item.shrinkageAmount), backgroundColor: 'rgba(244, 67, 54, 0.7)' },
+                        { label: '赠送', data: items.map(item => item.giftAmount), backgroundColor: 'rgba(255, 152, 0, 0.7)' },
+                        { label: '让利', data: items.map(item => item.concessionAmount), backgroundColor: 'rgba(33, 150, 243, 0.7)' }
+                    ]
+                },
+                options: { scales: { x: { stacked: true }, y: { stacked: true } } }
+            });
+            return;
+        }
+        this.renderAnalysisTable(table, [this.getDimensionLabel(dimension), '销售金额', '报损数量', '报损金额', '报损率', '赠送金额', '让利金额', '合计损耗', '损耗率'],
+            items.map(item => [
+                item.key,
+                money(item.sales),
+                item.shrinkageQuantity.toLocaleString(),
+                money(item.shrinkageAmount),
+                formatRate(item.shrinkageRate),
+                money(item.giftAmount),
+                money(item.concessionAmount),
+                money(item.totalLoss),
+                formatRate(item.lossRate)
+            ]));
     },
     
-    renderMonthsData(scrollToEnd = false) {
-        const container = document.getElementById('months-container');
-        const sliderNav = document.getElementById('slider-nav');
-        const sliderInfo = document.getElementById('slider-info');
-        const allData = StateManager.getAllMonthsData();
+    /**
+     * 渲染优惠分析面板：按商品/品类查看某月优惠深度和会员/普通优惠构成，或对比两个月份优惠深度与销量的变化
+     */
+    renderDiscount() {
+        const months = StateManager.getMonthsInPeriodOrder().filter(monthData => DiscountAnalyzer.hasDiscountData(monthData.config));
+        const monthSelect = document.getElementById('discount-month');
+        const baseSelect = document.getElementById('discount-base');
+        const dimension = document.getElementById('discount-dimension').value;
+        const mode = document.getElementById('discount-mode').value;
+        const view = document.getElementById('discount-view').value;
+        const summary = document.getElementById('discount-summary');
+        const table = document.getElementById('discount-table');
+        const canvas = document.getElementById('discount-chart');
         
-        container.innerHTML = '';
+        this.populateMonthSelect(monthSelect, months, months[months.length - 1]?.id);
+        this.populateMonthSelect(baseSelect, months, months[months.length - 2]?.id);
+        baseSelect.disabled = mode !== 'lift';
+        ChartRenderer.destroyPanelChart(canvas.id);
+        table.innerHTML = '';
+        canvas.style.display = 'none';
         
-        if (allData.length === 0) {
-            container.innerHTML = '<div class="empty-state"><p>暂无数据，请上传Excel文件开始</p></div>';
-            sliderNav.style.display = 'none';
+        if (months.length === 0) {
+            summary.textContent = '没有包含优惠金额列的月份，请在导入时选择会员优惠或普通优惠列';
             return;
         }
         
-        // Show slider nav if more than 1 month
-        sliderNav.style.display = allData.length > 1 ? 'flex' : 'none';
-        sliderInfo.textContent = `共 ${allData.length} 个月份`;
-        
-        allData.forEach(monthData => {
-            container.appendChild(this.createMonthRegion(monthData));
-        });
+        const money = value => `¥${(Math.round(value * 100) / 100).toLocaleString()}`;
+        const formatRate = rate => (rate === null ? '—' : `${rate.toFixed(1)}%`);
+        const getName = key => (dimension === 'product' ? StateManager.getProductDisplayName(key) : key);
+        const nameCell = key => (dimension === 'product' ? { text: getName(key), onClick: () => this.showTrendChart(key) } : getName(key));
+        const monthData = months.find(m => m.id === monthSelect.value);
         
-        // Scroll to end (latest) if requested
-        if (scrollToEnd) {
-            setTimeout(() => {
-                container.scrollLeft = container.scrollWidth;
-            }, 100);
+        if (mode === 'lift') {
+            const baseMonth = months.find(m => m.id === baseSelect.value);
+            if (!baseMonth || baseMonth === monthData) {
+                summary.textContent = '请选择不同的本期和基期';
+                return;
+            }
+            const rows = DiscountAnalyzer.analyzeLift(baseMonth, monthData, dimension)
+                .sort((a, b) => (b.depthChange ?? -Infinity) - (a.depthChange ?? -Infinity));
+            const groups = DiscountAnalyzer.summarizeLift(rows);
+            const describeGroup = (label, group) =>
+                `${label} ${group.count} 项，销量 ${this.formatChange(group.quantityChangePct, { percent: true }).text}`;
+            summary.textContent = `${baseMonth.month} → ${monthData.month}：` + [
+                describeGroup('优惠加深', groups.deeper),
+                describeGroup('优惠减弱', groups.shallower),
+                describeGroup('基本不变', groups.unchanged)
+            ].join('；') + (view === 'table' && rows.length > this.ANALYSIS_MAX_ROWS ? `，仅显示前 ${this.ANALYSIS_MAX_ROWS} 项` : '');
+            
+            if (view === 'chart') {
+                canvas.style.display = 'block';
+                const points = rows
+                    .filter(row => row.depthChange !== null && row.quantityChangePct !== null)
+                    .map(row => ({ x: row.depthChange, y: row.quantityChangePct, name: getName(row.key) }));
+                ChartRenderer.renderPanelChart(canvas, {
+                    type: 'scatter',
+                    data: { datasets: [{ label: this.getDimensionLabel(dimension), data: points, backgroundColor: 'rgba(33, 150, 243, 0.6)' }] },
+                    options: {
+                        responsive: true,
+                        maintainAspectRatio: false,
+                        plugins: {
+                            tooltip: {
+                                callbacks: {
+                                    label: (context) => `${context.raw.name}: 优惠深度 ${context.raw.x.toFixed(1)} 个百分点，销量 ${context.raw.y.toFixed(1)}%`
+                                }
+                            }
+                        },
+                        scales: {
+                            x: { title: { display: true, text: '优惠深度变化（百分点）' } },
+                            y: { title: { display: true, text: '销量变化' }, ticks: { callback: (value) => value + '%' } }
+                        }
+                    }
+                });
+                return;
+            }
+            this.renderAnalysisTable(table, [this.getDimensionLabel(dimension), '基期优惠深度', '本期优惠深度', '深度变化', '基期数量', '本期数量', '数量变化率'],
+                rows.slice(0, this.ANALYSIS_MAX_ROWS).map(row => [
+                    nameCell(row.key),
+                    formatRate(row.baseDepth),
+                    formatRate(row.currentDepth),
+                    row.depthChange === null ? '—' : `${row.depthChange > 0 ? '+' : ''}${row.depthChange.toFixed(1)}`,
+                    row.baseQuantity.toLocaleString(),
+                    row.currentQuantity.toLocaleString(),
+                    this.formatChange(row.quantityChangePct, { percent: true })
+                ]));
+            return;
         }
         
-        this.updateSliderButtons();
+        const items = DiscountAnalyzer.summarizeMonth(monthData, dimension).sort((a, b) => b.discount - a.discount);
+        const total = items.reduce((sum, item) => ({
+            sales: sum.sales + item.sales,
+            memberDiscount: sum.memberDiscount + item.memberDiscount,
+            regularDiscount: sum.regularDiscount + item.regularDiscount
+        }), { sales: 0, memberDiscount: 0, regularDiscount: 0 });
+        const totalDiscount = total.memberDiscount + total.regularDiscount;
+        summary.textContent = `${monthData.month}：优惠合计 ${money(totalDiscount)}，优惠深度 ${formatRate(DiscountAnalyzer.depth(total.sales, totalDiscount))}，` +
+            `会员优惠 ${money(total.memberDiscount)}（${formatRate(totalDiscount === 0 ? null : total.memberDiscount / totalDiscount * 100)}），普通优惠 ${money(total.regularDiscount)}` +
+            (view === 'table' && items.length > this.ANALYSIS_MAX_ROWS ? `，仅显示前 ${this.ANALYSIS_MAX_ROWS} 项` : '');
+        
+        if (view === 'chart') {
+            canvas.style.display = 'block';
+            const top = items.slice(0, 30);
+            ChartRenderer.renderPanelChart(canvas, {
+                type: 'bar',
+                data: {
+                    labels: top.map(item => getName(item.key)),
+                    datasets: [
+                        { label: '会员优惠', data: top.map(item => item.memberDiscount), backgroundColor: 'rgba(156, 39, 176, 0.7)' },
+                        { label: '普通优惠', data: top.map(item => item.regularDiscount), backgroundColor: 'rgba(255, 152, 0, 0.7)' }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: { x: { stacked: true }, y: { stacked: true, ticks: { callback: (value) => '¥' + value.toLocaleString() } } }
+                }
+            });
+            return;
+        }
+        this.renderAnalysisTable(table, [this.getDimensionLabel(dimension), ...(dimension === 'product' ? ['品类'] : []),
+            '销售金额', '会员优惠', '普通优惠', '优惠合计', '优惠深度', '会员优惠占比'],
+            items.slice(0, this.ANALYSIS_MAX_ROWS).map(item => [
+                nameCell(item.key),
+                ...(dimension === 'product' ? [item.category] : []),
+                money(item.sales),
+                money(item.memberDiscount),
+                money(item.regularDiscount),
+                money(item.discount),
+                formatRate(item.depth),
+                formatRate(item.memberShare)
+            ]));
     },
     
-    updateSliderButtons() {
-        const container = document.getElementById('months-container');
-        const prevBtn = document.getElementById('slider-prev');
-        const nextBtn = document.getElementById('slider-next');
+    /**
+     * 渲染单价异动面板：列出环比成交单价变化超过阈值的商品（或品类、品牌）
+     */
+    renderPriceChanges() {
+        const months = StateManager.getMonthsInPeriodOrder();
+        const monthSelect = document.getElementById('price-month');
+        const dimension = document.getElementById('price-dimension').value;
+        const label = this.getDimensionLabel(dimension);
+        const summary = document.getElementById('price-summary');
+        const table = document.getElementById('price-table');
+        const threshold = this.priceChangeThreshold;
         
-        if (!prevBtn || !nextBtn) return;
+        this.populateMonthSelect(monthSelect, months, null, '全部月份');
+        table.innerHTML = '';
         
-        prevBtn.disabled = container.scrollLeft <= 0;
-        nextBtn.disabled = container.scrollLeft >= container.scrollWidth - container.clientWidth - 10;
+        const currentMonth = months.find(monthData => monthData.id === monthSelect.value);
+        let rows;
+        if (currentMonth) {
+            const previous = PriceAnalyzer.findPreviousMonth(months, currentMonth);
+            if (!previous) {
+                summary.textContent = `没有找到${currentMonth.month}的上月数据`;
+                return;
+            }
+            rows = PriceAnalyzer.findPriceChanges(previous, currentMonth, threshold, dimension);
+        } else {
+            rows = PriceAnalyzer.scanPriceChanges(months, threshold, dimension);
+        }
+        
+        summary.textContent = `单价环比变化超过 ${threshold}% 的${label}共 ${rows.length} 项` +
+            (rows.length > this.ANALYSIS_MAX_ROWS ? `，仅显示前 ${this.ANALYSIS_MAX_ROWS} 项` : '');
+        const price = value => `¥${value.toFixed(2)}`;
+        this.renderAnalysisTable(table, ['月份', label, ...(dimension === 'product' ? ['品类'] : []),
+            '上月单价', '本月单价', '单价变化率', '上月数量', '本月数量'],
+            rows.slice(0, this.ANALYSIS_MAX_ROWS).map(row => [
+                `${row.baseMonth} → ${row.currentMonth}`,
+                this.dimensionNameCell(row.key, dimension),
+                ...(dimension === 'product' ? [row.category] : []),
+                price(row.basePrice),
+                price(row.currentPrice),
+                this.formatChange(row.priceChangePct, { percent: true }),
+                row.baseQuantity.toLocaleString(),
+                row.currentQuantity.toLocaleString()
+            ]));
     },
     
-    scrollSlider(direction) {
-        const container = document.getElementById('months-container');
-        const scrollAmount = 360; // Width of one card + gap
-        container.scrollBy({ left: direction * scrollAmount, behavior: 'smooth' });
-        setTimeout(() => this.updateSliderButtons(), 300);
+    /**
+     * 渲染 ABC 分析面板：某月的帕累托图或分类明细，或相邻月份间分类变化的商品
+     */
+    renderAbc() {
+        const months = StateManager.getMonthsInPeriodOrder();
+        const monthSelect = document.getElementById('abc-month');
+        const mode = document.getElementById('abc-mode').value;
+        const dimension = document.getElementById('abc-dimension').value;
+        const label = this.getDimensionLabel(dimension);
+        const summary = document.getElementById('abc-summary');
+        const table = document.getElementById('abc-table');
+        const canvas = document.getElementById('abc-chart');
+        const thresholds = this.abcThresholds;
+        
+        this.populateMonthSelect(monthSelect, months, months[months.length - 1]?.id);
+        monthSelect.disabled = mode === 'moves';
+        ChartRenderer.destroyPanelChart(canvas.id);
+        table.innerHTML = '';
+        canvas.style.display = 'none';
+        
+        const money = value => `¥${(Math.round(value * 100) / 100).toLocaleString()}`;
+        const categoryColumn = dimension === 'product' ? ['品类'] : [];
+        const categoryCell = item => (dimension === 'product' ? [item.category] : []);
+        
+        if (mode === 'moves') {
+            const moves = AbcAnalyzer.trackMoves(months, thresholds, dimension);
+            const rank = abcClass => AbcAnalyzer.CLASSES.indexOf(abcClass);
+            const upgrades = moves.filter(move => rank(move.toClass) < rank(move.fromClass)).length;
+            summary.textContent = `分类变化的${label}共 ${moves.length} 项：升级 ${upgrades} 项，降级 ${moves.length - upgrades} 项` +
+                (moves.length > this.ANALYSIS_MAX_ROWS ? `，仅显示前 ${this.ANALYSIS_MAX_ROWS} 项` : '');
+            this.renderAnalysisTable(table, ['月份', label, ...categoryColumn, '原分类', '新分类', '基期金额', '本期金额'],
+                moves.slice(0, this.ANALYSIS_MAX_ROWS).map(move => [
+                    `${move.fromMonth} → ${move.toMonth}`,
+                    this.dimensionNameCell(move.key, dimension),
+                    ...categoryCell(move),
+                    move.fromClass,
+                    { text: move.toClass, className: rank(move.toClass) < rank(move.fromClass) ? 'change-up' : 'change-down' },
+                    money(move.baseSales),
+                    money(move.currentSales)
+                ]));
+            return;
+        }
+        
+        const monthData = months.find(m => m.id === monthSelect.value);
+        if (!monthData) {
+            summary.textContent = '';
+            return;
+        }
+        const items = AbcAnalyzer.classifyMonth(monthData, thresholds, dimension);
+        const groups = AbcAnalyzer.summarize(items);
+        summary.textContent = `${monthData.month}：` + AbcAnalyzer.CLASSES.map(abcClass =>
+            `${abcClass} 类 ${groups[abcClass].count} 个${label}（销售额占 ${groups[abcClass].share.toFixed(1)}%）`
+        ).join('，');
+        
+        if (mode === 'pareto') {
+            const shown = items.slice(0, this.PARETO_MAX_ITEMS);
+            if (items.length > shown.length) summary.textContent += `，图中显示前 ${shown.length} 个${label}`;
+            const colors = { A: 'rgba(76, 175, 80, 0.7)', B: 'rgba(255, 152, 0, 0.7)', C: 'rgba(158, 158, 158, 0.7)' };
+            canvas.style.display = 'block';
+            ChartRenderer.renderPanelChart(canvas, {
+                type: 'bar',
+                data: {
+                    labels: shown.map(item => (dimension === 'product' ? StateManager.getProductDisplayName(item.key) : item.key)),
+                    datasets: [
+                        {
+                            type: 'line',
+                            label: '累计占比',
+                            data: shown.map(item => item.cumulativeShare),
+                            borderColor: '#2196F3',
+                            pointRadius: 0,
+                            yAxisID: 'y1'
+                        },
+                        {
+                            label: '销售金额',
+                            data: shown.map(item => item.salesAmount),
+                            backgroundColor: shown.map(item => colors[item.abcClass]),
+                            yAxisID: 'y'
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        x: { ticks: { display: false } },
+                        y: { beginAtZero: true, ticks: { callback: (value) => '¥' + value.toLocaleString() } },
+                        y1: { position: 'right', min: 0, max: 100, grid: { drawOnChartArea: false }, ticks: { callback: (value) => value + '%' } }
+                    }
+                }
+            });
+            return;
+        }
+        
+        this.renderAnalysisTable(table, ['排名', label, ...categoryColumn, '销售金额', '占比', '累计占比', '分类'],
+            items.slice(0, this.ANALYSIS_MAX_ROWS).map(item => [
+                String(item.rank),
+                this.dimensionNameCell(item.key, dimension),
+                ...categoryCell(item),
+                money(item.salesAmount),
+                `${item.share.toFixed(2)}%`,
+                `${item.cumulativeShare.toFixed(1)}%`,
+                item.abcClass
+            ]));
     },
     
-    createMonthRegion(monthData) {
-        const region = document.createElement('div');
-        region.className = 'month-region';
-        region.style.backgroundColor = monthData.color;
+    /**
+     * 渲染商品生命周期面板：两个期间之间或全部历史中的新品、停售和回归商品（或品类、品牌）
+     */
+    renderLifecycle() {
+        const months = StateManager.getMonthsInPeriodOrder();
+        const mode = document.getElementById('lifecycle-mode').value;
+        const dimension = document.getElementById('lifecycle-dimension').value;
+        const label = this.getDimensionLabel(dimension);
+        const categoryColumn = dimension === 'product' ? ['品类'] : [];
+        const categoryCell = row => (dimension === 'product' ? [row.category] : []);
+        const status = document.getElementById('lifecycle-status').value;
+        const currentSelect = document.getElementById('lifecycle-current');
+        const baseSelect = document.getElementById('lifecycle-base');
+        const summary = document.getElementById('lifecycle-summary');
+        const table = document.getElementById('lifecycle-table');
         
-        // Header with delete button
-        const header = document.createElement('div');
-        header.className = 'month-header';
+        this.populateMonthSelect(currentSelect, months, months[months.length - 1]?.id);
+        this.populateMonthSelect(baseSelect, months, months[months.length - 2]?.id);
+        currentSelect.disabled = mode === 'history';
+        baseSelect.disabled = mode === 'history';
+        table.innerHTML = '';
         
-        const title = document.createElement('span');
-        title.textContent = monthData.month;
+        const money = value => `¥${(Math.round(value * 100) / 100).toLocaleString()}`;
+        const labels = LifecycleAnalyzer.STATUS_LABELS;
+        const statusCell = value => ({ text: labels[value], className: value === 'discontinued' ? 'change-down' : 'change-up' });
+        const describe = rows => Object.keys(labels)
+            .map(key => `${labels[key]} ${rows.filter(row => row.status === key).length} 个`)
+            .join('，');
+        let rows;
         
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'month-delete-btn';
-        deleteBtn.innerHTML = '🗑️';
-        deleteBtn.title = '删除此月份数据';
-        deleteBtn.addEventListener('click', () => this.confirmDelete(monthData.id, monthData.month));
+        if (mode === 'history') {
+            rows = LifecycleAnalyzer.scanHistory(months, dimension);
+            summary.textContent = `全部 ${months.length} 个月份：${describe(rows)}`;
+        } else {
+            const currentMonth = months.find(m => m.id === currentSelect.value);
+            const baseMonth = months.find(m => m.id === baseSelect.value);
+            if (!currentMonth || !baseMonth || currentMonth === baseMonth) {
+                summary.textContent = '请选择不同的本期和基期';
+                return;
+            }
+            rows = LifecycleAnalyzer.compare(months, baseMonth, currentMonth, dimension)
+                .sort((a, b) => (b.currentSales + b.baseSales) - (a.currentSales + a.baseSales));
+            summary.textContent = `${baseMonth.month} → ${currentMonth.month}：${describe(rows)}`;
+        }
         
-        header.appendChild(title);
-        header.appendChild(deleteBtn);
-        region.appendChild(header);
+        if (status) rows = rows.filter(row => row.status === status);
+        if (rows.length > this.ANALYSIS_MAX_ROWS) summary.textContent += `，仅显示前 ${this.ANALYSIS_MAX_ROWS} 项`;
         
-        // Categories
-        Object.entries(monthData.groupedData).forEach(([category, products]) => {
-            const categoryGroup = document.createElement('div');
-            categoryGroup.className = 'category-group';
-            
-            const categoryTitle = document.createElement('div');
-            categoryTitle.className = 'category-title';
-            categoryTitle.textContent = category;
-            categoryGroup.appendChild(categoryTitle);
-            
-            const productList = document.createElement('ul');
-            productList.className = 'product-list';
-            
-            products.forEach(product => {
-                const productName = product[monthData.config.productNameColumn] || '';
-                const quantity = parseFloat(product[monthData.config.quantityColumn]) || 0;
-                const salesAmount = parseFloat(product[monthData.config.salesColumn]) || 0;
-                
-                const item = document.createElement('li');
-                item.className = 'product-item';
-                
-                const nameSpan = document.createElement('span');
-                nameSpan.className = 'product-name';
-                nameSpan.textContent = productName;
-                nameSpan.addEventListener('click', () => this.showTrendChart(productName));
-                
-                const infoDiv = document.createElement('div');
-                infoDiv.className = 'product-info';
-                
-                const quantitySpan = document.createElement('span');
-                quantitySpan.className = 'product-quantity';
-                quantitySpan.textContent = `${quantity}件`;
-                
-                const salesSpan = document.createElement('span');
-                salesSpan.className = 'product-sales';
-                salesSpan.textContent = `¥${salesAmount.toLocaleString()}`;
-                
-                infoDiv.appendChild(quantitySpan);
-                infoDiv.appendChild(salesSpan);
-                
-                item.appendChild(nameSpan);
-                item.appendChild(infoDiv);
-                productList.appendChild(item);
-            });
-            
-            categoryGroup.appendChild(productList);
-            region.appendChild(categoryGroup);
+        if (mode === 'history') {
+            this.renderAnalysisTable(table, ['月份', label, ...categoryColumn, '状态', '销售金额', '上次销售月份'],
+                rows.slice(0, this.ANALYSIS_MAX_ROWS).map(row => [
+                    row.month,
+                    this.dimensionNameCell(row.key, dimension),
+                    ...categoryCell(row),
+                    statusCell(row.status),
+                    money(row.sales),
+                    row.lastMonth || '—'
+                ]));
+            return;
+        }
+        this.renderAnalysisTable(table, [label, ...categoryColumn, '状态', '基期金额', '本期金额', '上次销售月份'],
+            rows.slice(0, this.ANALYSIS_MAX_ROWS).map(row => [
+                this.dimensionNameCell(row.key, dimension),
+                ...categoryCell(row),
+                statusCell(row.status),
+                money(row.baseSales),
+                money(row.currentSales),
+                row.lastMonth || '—'
+            ]));
+    },
+    
+    /**
+     * 渲染结构占比面板：各品类或品牌占比随月份的变化（图表和占比变化表），点击品类/品牌查看其商品和趋势
+     */
+    renderCategoryMix() {
+        const path = this.mixDrillPath;
+        const months = CategoryMixAnalyzer.scopeMonths(StateManager.getMonthsInPeriodOrder(), path);
+        const dimension = this.getMixDimension();
+        const label = this.getDimensionLabel(dimension);
+        const scope = path.map(step => `${this.getDimensionLabel(step.dimension)}「${step.key}」`).join(' › ');
+        const chartType = document.getElementById('mix-chart-type').value;
+        const summary = document.getElementById('mix-summary');
+        const table = document.getElementById('mix-table');
+        const canvas = document.getElementById('mix-chart');
+        const backBtn = document.getElementById('mix-back');
+        const trendBtn = document.getElementById('mix-trend');
+        const category = this.mixDrillCategory;
+        const percent = value => `${value.toFixed(1)}%`;
+        const points = value => (value === null ? { text: '—', className: '' } : {
+            text: `${value > 0 ? '+' : ''}${value.toFixed(1)}`,
+            className: value > 0 ? 'change-up' : (value < 0 ? 'change-down' : '')
         });
         
-        return region;
+        if (category) {
+            const products = CategoryMixAnalyzer.groupProducts(months, category, dimension);
+            backBtn.style.display = 'inline-block';
+            trendBtn.style.display = 'inline-block';
+            ChartRenderer.destroyPanelChart(canvas.id);
+            canvas.style.display = 'none';
+            summary.textContent = `${scope ? `${scope} › ` : ''}${label}「${category}」共 ${products.length} 个商品，数值为占该${label}销售额的比例` +
+                (products.length > this.ANALYSIS_MAX_ROWS ? `，仅显示前 ${this.ANALYSIS_MAX_ROWS} 项` : '');
+            this.renderAnalysisTable(table, ['商品', ...months.map(m => m.month), '占比变化（百分点）'],
+                products.slice(0, this.ANALYSIS_MAX_ROWS).map(product => [
+                    { text: StateManager.getProductDisplayName(product.key), onClick: () => this.showTrendChart(product.key) },
+                    ...product.shares.map(percent),
+                    points(months.length > 1 ? product.shares[product.shares.length - 1] - product.shares[0] : null)
+                ]));
+            return;
+        }
+        
+        backBtn.style.display = path.length > 0 ? 'inline-block' : 'none';
+        trendBtn.style.display = path.length > 0 ? 'inline-block' : 'none';
+        // 上级品类钻取到下一层级，品类和品牌钻取到商品
+        const isHierarchyLevel = CategoryHierarchy.parseDimension(dimension) !== null;
+        const drill = name => {
+            if (isHierarchyLevel) this.mixDrillPath = [...path, { dimension, key: name }];
+            else this.mixDrillCategory = name;
+            this.renderCategoryMix();
+        };
+        const mix = CategoryMixAnalyzer.summarize(months, dimension);
+        const target = isHierarchyLevel ? this.getDimensionLabel(CategoryHierarchy.getNextDimension(dimension)) : '商品';
+        summary.textContent = `${scope ? `${scope}：` : ''}共 ${mix.categories.length} 个${label}，点击${label}查看其${target}`;
+        canvas.style.display = 'block';
+        ChartRenderer.renderCategoryShareChart(canvas, mix, chartType, drill);
+        
+        const rows = CategoryMixAnalyzer.shareChanges(months, dimension)
+            .sort((a, b) => Math.abs(b.totalChange) - Math.abs(a.totalChange));
+        if (rows.length > this.ANALYSIS_MAX_ROWS) summary.textContent += `，表格仅显示前 ${this.ANALYSIS_MAX_ROWS} 项`;
+        this.renderAnalysisTable(table, [label, ...months.map(m => m.month), '首末月变化（百分点）', '较上月变化（百分点）'],
+            rows.slice(0, this.ANALYSIS_MAX_ROWS).map(row => [
+                { text: row.category, onClick: () => drill(row.category) },
+                ...row.shares.map(percent),
+                points(months.length > 1 ? row.totalChange : null),
+                points(row.lastChange)
+            ]));
     },
-
     
     confirmDelete(monthId, monthName) {
         this.pendingDeleteId = monthId;
@@ -1650,14 +6721,26 @@ const UI = {
         this.hideConfirmModal();
     },
     
-    showTrendChart(productName) {
-        const trendData = StateManager.getProductTrendData(productName);
+    /**
+     * 显示商品销售趋势
+     * @param {string} productKey - 商品标识
+     * @param {string|null} [storeKey] - 只显示指定门店的趋势
+     */
+    showTrendChart(productKey, storeKey = null) {
+        const trendData = StateManager.getProductTrendData(productKey, storeKey);
+        const productName = StateManager.getProductDisplayName(productKey);
         const modal = document.getElementById('chart-modal');
         const chartTitle = document.getElementById('chart-title');
         const chartMessage = document.getElementById('chart-message');
         const canvas = document.getElementById('trend-chart');
         
-        chartTitle.textContent = `${productName} - 销售趋势`;
+        // 标题显示门店名称，找不到门店时才显示门店标识
+        const store = storeKey !== null
+            ? StateManager.monthsData.flatMap(monthData => StoreHelper.getStores(monthData)).find(s => s.key === storeKey)
+            : null;
+        chartTitle.textContent = storeKey !== null
+            ? `${productName}（${store ? store.name : storeKey}）- 销售趋势`
+            : `${productName} - 销售趋势`;
         
         if (trendData.length < 2) {
             canvas.style.display = 'none';
@@ -1672,6 +6755,203 @@ const UI = {
         modal.style.display = 'flex';
     },
     
+    /**
+     * 渲染品类层级面板：按当前规则列出各上级品类，可编辑名称
+     */
+    renderHierarchy() {
+        const months = StateManager.getMonthsInPeriodOrder();
+        const summary = document.getElementById('hierarchy-summary');
+        const table = document.getElementById('hierarchy-table');
+        document.getElementById('hierarchy-rule').value = CategoryHierarchy.getRuleText();
+        
+        if (!months.some(monthData => monthData.config.categoryCodeColumn)) {
+            summary.textContent = '当前数据没有品类编码列，请在导入时选择"品类编码列"';
+            table.innerHTML = '';
+            return;
+        }
+        
+        const nodes = CategoryHierarchy.buildTree(months);
+        const levelNames = CategoryHierarchy.getLevels().map(level => level.name).join(' → ');
+        summary.textContent = `层级：${levelNames} → 品类，共 ${nodes.length} 个上级品类。名称修改后在各视图中显示为"编码 名称"`;
+        this.renderAnalysisTable(table, ['层级', '编码', '名称', '品类数', '销售金额'], nodes.map(node => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'hierarchy-name-input';
+            input.value = node.name;
+            input.placeholder = '未命名';
+            input.addEventListener('change', () => {
+                CategoryHierarchy.setName(node.prefix, input.value);
+                this.mixDrillPath = [];
+                this.renderMonthsData();
+            });
+            return [
+                CategoryHierarchy.LEVEL_NAMES[node.depth],
+                { text: `${'　'.repeat(node.depth)}${node.prefix}`, className: 'hierarchy-code' },
+                { element: input },
+                node.categoryCount.toLocaleString(),
+                `¥${(Math.round(node.salesAmount * 100) / 100).toLocaleString()}`
+            ];
+        }));
+    },
+    
+    /**
+     * 应用品类层级规则，并去掉分组层级中已不存在的层级
+     */
+    handleHierarchyRuleChange() {
+        const result = CategoryHierarchy.setRule(document.getElementById('hierarchy-rule').value);
+        if (!result.success) {
+            this.showMessage(result.error, 'error');
+            document.getElementById('hierarchy-rule').value = CategoryHierarchy.getRuleText();
+            return;
+        }
+        const groupLevels = this.groupLevels.filter(level =>
+            level.type !== 'categoryCodePrefix' || CategoryHierarchy.lengths.includes(level.length));
+        this.groupLevels = groupLevels.length > 0 ? groupLevels : [{ type: 'category' }];
+        this.mixDrillPath = [];
+        this.mixDrillCategory = null;
+        this.renderMonthsData();
+        this.showMessage('品类层级已更新', 'success');
+    },
+    
+    /**
+     * 数据中出现过的原始商品标识或品类名（未解析别名），用于名称合并的输入提示
+     * @param {'product'|'category'} kind
+     * @returns {Map<string, string>} 原始值 → 显示名称
+     */
+    getAliasCandidates(kind) {
+        const candidates = new Map();
+        StateManager.getMonthsInPeriodOrder().forEach(monthData => {
+            const config = monthData.config;
+            Object.entries(monthData.groupedData).forEach(([category, rows]) => {
+                rows.forEach(row => {
+                    if (kind === 'category') {
+                        const original = config.categoryColumn && config.categoryColumn in row
+                            ? String(row[config.categoryColumn] || '未分类')
+                            : category;
+                        candidates.set(original, original);
+                        return;
+                    }
+                    const name = String(row[config.productNameColumn] ?? '');
+                    const code = config.productCodeColumn ? String(row[config.productCodeColumn] ?? '').trim() : '';
+                    candidates.set(code || name, code ? `${name}（${code}）` : name);
+                });
+            });
+        });
+        return candidates;
+    },
+    
+    /**
+     * 渲染名称合并面板：合并表单和已有的别名（可取消合并）
+     */
+    renderAliases() {
+        const kind = document.getElementById('alias-kind').value;
+        const kindLabel = AliasManager.KIND_LABELS[kind];
+        const summary = document.getElementById('alias-summary');
+        const table = document.getElementById('alias-table');
+        const datalist = document.getElementById('alias-options');
+        
+        datalist.innerHTML = '';
+        this.getAliasCandidates(kind).forEach((label, value) => {
+            const option = document.createElement('option');
+            option.value = value;
+            if (label !== value) option.label = label;
+            datalist.appendChild(option);
+        });
+        
+        const aliases = AliasManager.getAliases(kind);
+        summary.textContent = aliases.length > 0
+            ? `共 ${aliases.length} 个${kindLabel}别名，合并后所有月份和视图按合并后的${kindLabel}统计`
+            : `还没有${kindLabel}别名。ERP 改名后，把旧名称${kind === 'product' ? '或编码' : ''}合并到新名称即可跨月份对比`;
+        const getName = value => (kind === 'product' ? StateManager.getProductDisplayName(value) : value);
+        this.renderAnalysisTable(table, ['旧名称/编码', `合并到的${kindLabel}`, '操作'], aliases.map(entry => [
+            entry.alias,
+            entry.canonical === getName(entry.canonical) ? entry.canonical : `${getName(entry.canonical)}（${entry.canonical}）`,
+            { text: '取消合并', onClick: () => this.handleAliasUnmerge(kind, entry.alias) }
+        ]));
+    },
+    
+    /**
+     * 合并名称后按新的别名重新分组所有月份
+     */
+    async handleAliasMerge() {
+        const kind = document.getElementById('alias-kind').value;
+        const sourceInput = document.getElementById('alias-source');
+        const targetInput = document.getElementById('alias-target');
+        const result = await AliasManager.merge(kind, sourceInput.value, targetInput.value);
+        if (!result.success) {
+            this.showMessage(result.error, 'error');
+            return;
+        }
+        sourceInput.value = '';
+        targetInput.value = '';
+        StateManager.applyAliases();
+        this.renderMonthsData();
+        this.showMessage('已合并', 'success');
+    },
+    
+    async handleAliasUnmerge(kind, alias) {
+        await AliasManager.unmerge(kind, alias);
+        StateManager.applyAliases();
+        this.renderMonthsData();
+        this.showMessage(`已取消合并「${alias}」`, 'success');
+    },
+    
+    /**
+     * 结构占比面板当前的维度：沿品类层级钻取后为路径末端的下一层级
+     * @returns {string}
+     */
+    getMixDimension() {
+        const last = this.mixDrillPath[this.mixDrillPath.length - 1];
+        return last ? CategoryHierarchy.getNextDimension(last.dimension) : document.getElementById('mix-dimension').value;
+    },
+    
+    /**
+     * 结构占比面板返回上一层：先退出商品明细，再沿品类层级上卷
+     */
+    rollUpCategoryMix() {
+        if (this.mixDrillCategory) this.mixDrillCategory = null;
+        else this.mixDrillPath = this.mixDrillPath.slice(0, -1);
+        this.renderCategoryMix();
+    },
+    
+    /**
+     * 显示结构占比面板当前钻取对象（品类/品牌或上级品类）的销售趋势
+     */
+    showMixTrendChart() {
+        if (this.mixDrillCategory) {
+            this.showGroupTrendChart(this.getMixDimension(), this.mixDrillCategory);
+            return;
+        }
+        const last = this.mixDrillPath[this.mixDrillPath.length - 1];
+        if (last) this.showGroupTrendChart(last.dimension, last.key);
+    },
+    
+    /**
+     * 显示品类、品牌或上级品类的销售趋势
+     * @param {string} dimension
+     * @param {string} group - 品类名或品牌名称
+     */
+    showGroupTrendChart(dimension, group) {
+        const mix = CategoryMixAnalyzer.summarize(StateManager.getMonthsInPeriodOrder(), dimension);
+        const trendData = mix.months
+            .filter(month => month.categories.has(group))
+            .map(month => ({ month: month.month, salesAmount: month.categories.get(group).salesAmount }));
+        const canvas = document.getElementById('trend-chart');
+        const chartMessage = document.getElementById('chart-message');
+        
+        document.getElementById('chart-title').textContent = `${this.getDimensionLabel(dimension)}「${group}」- 销售趋势`;
+        if (trendData.length < 2) {
+            canvas.style.display = 'none';
+            chartMessage.style.display = 'block';
+            chartMessage.textContent = `该${this.getDimensionLabel(dimension)}仅在一个月份有数据，无法生成趋势图`;
+        } else {
+            canvas.style.display = 'block';
+            chartMessage.style.display = 'none';
+            ChartRenderer.renderTrendChart(canvas, trendData, group);
+        }
+        document.getElementById('chart-modal').style.display = 'flex';
+    },
+    
     hideChartModal() {
         document.getElementById('chart-modal').style.display = 'none';
         ChartRenderer.destroyChart();
@@ -1725,8 +7005,8 @@ const UI = {
                     
                     const nameSpan = document.createElement('span');
                     nameSpan.className = 'product-name';
-                    nameSpan.textContent = product.productName;
-                    nameSpan.addEventListener('click', () => this.showTrendChart(product.productName));
+                    nameSpan.textContent = StateManager.getProductDisplayName(product.productKey);
+                    nameSpan.addEventListener('click', () => this.showTrendChart(product.productKey));
                     
                     const infoDiv = document.createElement('div');
                     infoDiv.className = 'product-info';
@@ -1777,12 +7057,19 @@ document.addEventListener('DOMContentLoaded', async () => {
             // 云端加载失败，使用本地数据
             StateManager.init();
         }
+        await TemplateManager.initFromCloud();
+        CategoryHierarchy.loadLocal();
+        await AliasManager.initFromCloud();
         AuthUI.updateSyncStatus('synced');
     } else {
         // 未登录，使用本地存储数据
         StateManager.init();
+        TemplateManager.loadLocal();
+        CategoryHierarchy.loadLocal();
+        AliasManager.loadLocal();
         AuthUI.updateHeaderUserStatus(null);
     }
+    StateManager.applyAliases();
     
     UI.renderMonthsData();
     
@@ -1794,16 +7081,24 @@ document.addEventListener('DOMContentLoaded', async () => {
         const file = e.target.files[0];
         if (!file) return;
         
-        if (!FileHandler.isValidExcelFile(file)) {
-            UI.showMessage('请上传有效的Excel文件（.xls或.xlsx格式）', 'error');
+        if (!FileHandler.isValidImportFile(file)) {
+            UI.showMessage('请上传有效的Excel或CSV文件（.xls、.xlsx、.csv或.tsv格式）', 'error');
             fileInput.value = '';
             return;
         }
         
         uploadArea.classList.add('loading');
-        const result = await FileHandler.parseExcelFile(file);
+        UI.showImportProgress(0, '读取文件');
+        const result = await ImportWorker.parseFile(file, (percent, stage) => UI.showImportProgress(percent, stage));
+        UI.hideImportProgress();
         uploadArea.classList.remove('loading');
         
+        if (result.cancelled) {
+            UI.showMessage(result.error, 'warning');
+            fileInput.value = '';
+            return;
+        }
+        
         if (result.error) {
             UI.showMessage(result.error, 'error');
             fileInput.value = '';
@@ -1811,10 +7106,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
         
         UI.currentParseResult = result;
-        UI.showColumnSelection(result.columns);
+        UI.showColumnSelection(result.columns, result.sheets);
         fileInput.value = '';
     });
     
+    document.getElementById('cancel-import').addEventListener('click', () => ImportWorker.cancel());
+    
     // Drag and drop
     uploadArea.addEventListener('dragover', (e) => {
         e.preventDefault();
@@ -1836,52 +7133,26 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
     
     // Confirm columns
-    document.getElementById('confirm-columns').addEventListener('click', async () => {
-        const monthName = document.getElementById('month-name').value.trim();
-        const categoryColumn = document.getElementById('category-column').value;
-        const salesColumn = document.getElementById('sales-column').value;
-        const productColumn = document.getElementById('product-column').value;
-        const quantityColumn = document.getElementById('quantity-column').value;
-        const selectedColumns = UI.getSelectedColumns();
-        
-        if (!monthName) { UI.showMessage('请输入月份名称', 'warning'); return; }
-        if (!categoryColumn) { UI.showMessage('请选择品类列', 'warning'); return; }
-        if (!salesColumn) { UI.showMessage('请选择销售金额列', 'warning'); return; }
-        if (!productColumn) { UI.showMessage('请选择商品名称列', 'warning'); return; }
-        if (!quantityColumn) { UI.showMessage('请选择销售数量列', 'warning'); return; }
-        if (selectedColumns.length === 0) { UI.showMessage('请至少选择一列数据', 'warning'); return; }
-        
-        const allColumns = new Set(selectedColumns);
-        [categoryColumn, salesColumn, productColumn, quantityColumn].forEach(c => allColumns.add(c));
-        
-        const config = {
-            selectedColumns: Array.from(allColumns),
-            categoryColumn,
-            salesColumn,
-            quantityColumn,
-            productNameColumn: productColumn
-        };
-        
-        const groupedData = DataProcessor.processData(UI.currentParseResult.data, config);
-        
-        const monthData = {
-            id: Date.now().toString(),
-            month: monthName,
-            color: StateManager.getNextColor(),
-            importedAt: new Date(),
-            config,
-            groupedData,
-            rawData: UI.currentParseResult.data
-        };
-        
-        // 添加数据（如果已登录会自动同步到云端）
-        await StateManager.addMonthData(monthData);
-        UI.hideColumnSelection();
-        UI.renderMonthsData(true); // Scroll to latest
-        UI.showMessage(`${monthName} 数据导入成功！`, 'success');
-        UI.currentParseResult = null;
+    document.getElementById('confirm-columns').addEventListener('click', () => UI.handleConfirmColumns());
+    
+    // Validation report
+    document.getElementById('validation-recheck').addEventListener('click', () => UI.recheckPendingImport());
+    document.getElementById('validation-exclude-all').addEventListener('click', () => UI.excludeAllFlaggedRows());
+    document.getElementById('validation-confirm').addEventListener('click', () => UI.commitPendingImport());
+    document.getElementById('validation-back').addEventListener('click', () => UI.hideValidationReport());
+    
+    // Mapping templates
+    document.getElementById('template-select').addEventListener('change', () => UI.handleTemplateSelect());
+    document.getElementById('save-template').addEventListener('click', () => UI.handleSaveTemplate());
+    document.getElementById('delete-template').addEventListener('click', () => UI.handleDeleteTemplate());
+    document.getElementById('template-quick-import').addEventListener('click', () => {
+        document.getElementById('confirm-columns').click();
     });
     
+    // Header row override
+    document.getElementById('header-row').addEventListener('change', () => UI.applyHeaderOverride());
+    document.getElementById('header-two-level').addEventListener('change', () => UI.applyHeaderOverride());
+    
     // Cancel columns
     document.getElementById('cancel-columns').addEventListener('click', () => {
         UI.hideColumnSelection();
@@ -1934,6 +7205,90 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
     
+    // Analysis panels
+    document.querySelectorAll('.analysis-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (UI.activeAnalysisPanel === btn.dataset.panel) UI.hideAnalysisPanel();
+            else UI.showAnalysisPanel(btn.dataset.panel);
+        });
+    });
+    document.querySelectorAll('.analysis-close').forEach(btn => {
+        btn.addEventListener('click', () => UI.hideAnalysisPanel());
+    });
+    ['comparison-mode', 'comparison-current', 'comparison-base', 'comparison-dimension', 'comparison-sort'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => UI.renderComparison());
+    });
+    ['margin-month', 'margin-dimension', 'margin-view'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => UI.renderMargin());
+    });
+    ['loss-month', 'loss-dimension', 'loss-view'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => UI.renderLoss());
+    });
+    ['discount-mode', 'discount-month', 'discount-base', 'discount-dimension', 'discount-view'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => UI.renderDiscount());
+    });
+    ['price-month', 'price-dimension'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => UI.renderPriceChanges());
+    });
+    document.getElementById('price-threshold').addEventListener('change', (e) => {
+        const threshold = parseFloat(e.target.value);
+        if (isNaN(threshold) || threshold < 0) {
+            e.target.value = UI.priceChangeThreshold;
+            return;
+        }
+        UI.priceChangeThreshold = threshold;
+        UI.renderPriceChanges();
+    });
+    ['abc-mode', 'abc-month', 'abc-dimension'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => UI.renderAbc());
+    });
+    ['abc-a', 'abc-b'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            const a = parseFloat(document.getElementById('abc-a').value);
+            const b = parseFloat(document.getElementById('abc-b').value);
+            if (isNaN(a) || isNaN(b) || a <= 0 || b < 0 || a + b > 100) {
+                UI.showMessage('A 类和 B 类占比须为正数，且合计不超过 100%', 'warning');
+                document.getElementById('abc-a').value = UI.abcThresholds.a;
+                document.getElementById('abc-b').value = UI.abcThresholds.b;
+                return;
+            }
+            UI.abcThresholds = { a, b };
+            UI.renderMonthsData();
+        });
+    });
+    ['lifecycle-mode', 'lifecycle-current', 'lifecycle-base', 'lifecycle-dimension', 'lifecycle-status'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => UI.renderLifecycle());
+    });
+    document.getElementById('mix-chart-type').addEventListener('change', () => UI.renderCategoryMix());
+    document.getElementById('mix-dimension').addEventListener('change', () => {
+        UI.mixDrillCategory = null;
+        UI.mixDrillPath = [];
+        UI.renderCategoryMix();
+    });
+    document.getElementById('mix-trend').addEventListener('click', () => UI.showMixTrendChart());
+    document.getElementById('hierarchy-apply').addEventListener('click', () => UI.handleHierarchyRuleChange());
+    document.getElementById('alias-kind').addEventListener('change', () => UI.renderAliases());
+    document.getElementById('alias-merge').addEventListener('click', () => UI.handleAliasMerge());
+    document.getElementById('mix-back').addEventListener('click', () => UI.rollUpCategoryMix());
+    document.getElementById('margin-threshold').addEventListener('change', (e) => {
+        const threshold = parseFloat(e.target.value);
+        if (isNaN(threshold)) {
+            e.target.value = UI.lowMarginThreshold;
+            return;
+        }
+        UI.lowMarginThreshold = threshold;
+        UI.renderMonthsData();
+    });
+    
+    // Store view
+    document.getElementById('store-view-mode').addEventListener('change', (e) => {
+        UI.storeViewMode = e.target.value;
+        UI.renderMonthsData();
+    });
+    document.querySelectorAll('.group-level-select').forEach(select => {
+        select.addEventListener('change', () => UI.handleGroupLevelsChange());
+    });
+    
     // Slider navigation
     document.getElementById('slider-prev').addEventListener('click', () => UI.scrollSlider(-1));
     document.getElementById('slider-next').addEventListener('click', () => UI.scrollSlider(1));
@@ -1956,5 +7311,5 @@ document.addEventListener('DOMContentLoaded', async () => {
 
 // Export for testing
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { AuthManager, CloudSyncManager, LocalCacheManager, AuthUI, FileHandler, DataProcessor, StateManager, SearchEngine, ChartRenderer, StorageManager, COLOR_PALETTE };
+    module.exports = { AuthManager, CloudSyncManager, LocalCacheManager, AuthUI, UserStorage, TemplateManager, AliasManager, PeriodHelper, NumberParser, FileHandler, ImportValidator, DataProcessor, StoreHelper, BrandHelper, CategoryHierarchy, ImportWorker, StateManager, SearchEngine, ComparisonEngine, MarginAnalyzer, LossAnalyzer, DiscountAnalyzer, PriceAnalyzer, AbcAnalyzer, LifecycleAnalyzer, CategoryMixAnalyzer, ChartRenderer, StorageManager, COLOR_PALETTE };
 }
@@ -0,0 +1,28 @@
+// ============================================
+// 导入解析 Worker
+// 复用 app.js 中的 FileHandler 和 DataProcessor，避免解析大文件时阻塞页面
+// 消息格式：{ id, type: 'parseFile' | 'processData', payload }
+// 返回：{ id, type: 'progress', percent, stage } / { id, type: 'result', result } / { id, type: 'error', error }
+// ============================================
+importScripts('https://cdn.sheetjs.com/xlsx-0.20.1/package/dist/xlsx.full.min.js', 'app.js');
+
+self.onmessage = async (e) => {
+    const { id, type, payload } = e.data;
+    const onProgress = (percent, stage) => self.postMessage({ id, type: 'progress', percent, stage });
+    
+    try {
+        let result;
+        if (type === 'parseFile') {
+            onProgress(0, '读取文件');
+            const buffer = await payload.file.arrayBuffer();
+            result = FileHandler.parseBuffer(buffer, payload.file.name, onProgress);
+        } else if (type === 'processData') {
+            result = DataProcessor.processData(payload.data, payload.config, onProgress);
+        } else {
+            throw new Error(`未知任务类型：${type}`);
+        }
+        self.postMessage({ id, type: 'result', result });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', error: err.message });
+    }
+};
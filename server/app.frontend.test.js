@@ -33,7 +33,7 @@ global.localStorage = localStorageMock;
 global.fetch = jest.fn();
 
 // 导入被测模块
-const { AuthManager } = require('../app');
+const { AuthManager, PeriodHelper } = require('../app');
 
 beforeEach(() => {
     localStorageMock.clear();
@@ -42,6 +42,23 @@ beforeEach(() => {
     AuthManager.currentUser = null;
 });
 
+// 分析类测试共用的列映射，各测试只覆盖自己需要的列
+const BASE_CONFIG = { productNameColumn: '商品', quantityColumn: '数量', salesColumn: '金额' };
+
+/**
+ * 构造分析类测试用的月份数据
+ * 有账期时月份名称按账期格式化，否则为“{id}月”
+ */
+function makeMonth(id, { period = null, groupedData = {}, config = {} } = {}) {
+    return {
+        id,
+        month: period ? PeriodHelper.format(period) : `${id}月`,
+        period,
+        config: { ...BASE_CONFIG, ...config },
+        groupedData
+    };
+}
+
 /**
  * **Feature: user-auth-cloud-storage, Property 3: 短密码被拒绝**
  * 
@@ -462,3 +479,1617 @@ describe('Property 8: 登出清除会话和缓存', () => {
         );
     });
 });
+
+
+/**
+ * FileHandler 多工作表导入测试
+ * 
+ * 测试工作表解析、合并导入和分别导入的批次划分
+ */
+describe('FileHandler 多工作表导入', () => {
+    const { FileHandler } = require('../app');
+    const requiredColumns = ['品类', '商品', '数量', '金额'];
+    
+    const makeSheet = (name, rowCount, columns = requiredColumns) => ({
+        name,
+        columns,
+        data: Array.from({ length: rowCount }, (_, i) => {
+            const row = {};
+            columns.forEach(col => { row[col] = `${name}-${col}-${i}`; });
+            return row;
+        })
+    });
+    
+    test('parseSheetRows 使用第一行作为表头并跳过空行', () => {
+        const result = FileHandler.parseSheetRows([
+            ['品类', '商品'],
+            ['水果', '苹果'],
+            [],
+            ['', null],
+            ['蔬菜', '白菜']
+        ]);
+        
+        expect(result.error).toBeUndefined();
+        expect(result.columns).toEqual(['品类', '商品']);
+        expect(result.data).toEqual([
+            { '品类': '水果', '商品': '苹果' },
+            { '品类': '蔬菜', '商品': '白菜' }
+        ]);
+    });
+    
+    test('parseSheetRows 对空工作表返回错误', () => {
+        expect(FileHandler.parseSheetRows([]).error).toBe('文件中没有数据，请检查文件内容');
+        expect(FileHandler.parseSheetRows([['品类']]).error).toBe('文件中没有数据行');
+    });
+    
+    test('合并导入时所有工作表的行合并为一个月份', () => {
+        fc.assert(
+            fc.property(
+                fc.array(fc.integer({ min: 1, max: 20 }), { minLength: 1, maxLength: 5 }),
+                (rowCounts) => {
+                    const sheets = rowCounts.map((count, i) => makeSheet(`Sheet${i + 1}`, count));
+                    const { batches, report } = FileHandler.buildImportBatches(sheets, 'merge', '2025年3月', requiredColumns);
+                    
+                    const total = rowCounts.reduce((sum, n) => sum + n, 0);
+                    expect(batches.length).toBe(1);
+                    expect(batches[0].month).toBe('2025年3月');
+                    expect(batches[0].data.length).toBe(total);
+                    expect(report.map(r => r.rowCount)).toEqual(rowCounts);
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+    
+    test('分别导入时每个工作表生成一个月份', () => {
+        const sheets = [makeSheet('门店A', 3), makeSheet('门店B', 5)];
+        const { batches } = FileHandler.buildImportBatches(sheets, 'separate', '2025年3月', requiredColumns);
+        
+        expect(batches.map(b => b.month)).toEqual(['2025年3月 门店A', '2025年3月 门店B']);
+        expect(batches.map(b => b.data.length)).toEqual([3, 5]);
+    });
+    
+    test('分别导入时按工作表名称或日期列识别各自的账期', () => {
+        const dated = { name: '明细', columns: [...requiredColumns, '销售日期'], data: [{ '销售日期': '2025-02-14' }, { '销售日期': '2025-02-20' }] };
+        const sheets = [makeSheet('2025年1月', 2), dated, makeSheet('门店C', 1)];
+        const { batches } = FileHandler.buildImportBatches(sheets, 'separate', '2025年3月', requiredColumns);
+        
+        expect(batches.map(b => b.period)).toEqual([{ year: 2025, month: 1 }, { year: 2025, month: 2 }, null]);
+        expect(FileHandler.buildImportBatches(sheets, 'merge', '2025年3月', requiredColumns).batches[0].period).toBeNull();
+    });
+    
+    test('缺少必选列或解析失败的工作表被跳过并记录在报告中', () => {
+        const sheets = [
+            makeSheet('完整', 2),
+            makeSheet('缺列', 2, ['品类', '商品']),
+            { name: '空表', columns: [], data: [], error: '文件中没有数据行' }
+        ];
+        const { batches, report } = FileHandler.buildImportBatches(sheets, 'separate', '3月', requiredColumns);
+        
+        expect(batches.length).toBe(1);
+        expect(report[1].error).toBe('缺少列：数量、金额');
+        expect(report[2].error).toBe('文件中没有数据行');
+        expect(FileHandler.formatImportReport(report)).toBe('完整：2行；缺列：缺少列：数量、金额；空表：文件中没有数据行');
+    });
+    
+    test('mergeSheetColumns 按首次出现顺序合并列名', () => {
+        const columns = FileHandler.mergeSheetColumns([
+            { columns: ['a', 'b'] },
+            { columns: ['b', 'c'] }
+        ]);
+        expect(columns).toEqual(['a', 'b', 'c']);
+    });
+});
+
+
+/**
+ * FileHandler 表头识别测试
+ * 
+ * 测试标题行/空行跳过、双层表头展平和手动指定表头行
+ */
+describe('FileHandler 表头识别', () => {
+    const { FileHandler } = require('../app');
+    
+    test('跳过标题行和空行找到真实表头', () => {
+        const rows = [
+            ['2025年3月销售报表'],
+            [],
+            ['导出时间：2025-04-01'],
+            ['品类', '商品', '销售数量', '销售金额'],
+            ['水果', '苹果', 10, '120.50'],
+            ['蔬菜', '白菜', 5, '30.00']
+        ];
+        
+        expect(FileHandler.detectHeaderRow(rows)).toEqual({ headerRow: 3, headerRowCount: 1 });
+        
+        const result = FileHandler.parseSheetRows(rows);
+        expect(result.headerRow).toBe(3);
+        expect(result.columns).toEqual(['品类', '商品', '销售数量', '销售金额']);
+        expect(result.data.length).toBe(2);
+        expect(result.data[0]['销售金额']).toBe('120.50');
+    });
+    
+    test('双层表头展平为 "上层|下层" 形式的列名', () => {
+        const rows = [
+            ['商品', '', '销售数量', '销售金额', ''],
+            ['编码', '名称', '', '含税', '无税'],
+            ['100280', '苹果', '10.000', 120.5, '106.64']
+        ];
+        
+        expect(FileHandler.detectHeaderRow(rows)).toEqual({ headerRow: 0, headerRowCount: 2 });
+        
+        const result = FileHandler.parseSheetRows(rows);
+        expect(result.columns).toEqual(['商品|编码', '商品|名称', '销售数量', '销售金额|含税', '销售金额|无税']);
+        expect(result.data).toEqual([{
+            '商品|编码': '100280',
+            '商品|名称': '苹果',
+            '销售数量': '10.000',
+            '销售金额|含税': 120.5,
+            '销售金额|无税': '106.64'
+        }]);
+    });
+    
+    test('空表头列不会导致后续列错位，重名列追加序号', () => {
+        const result = FileHandler.parseSheetRows([
+            ['品类', '', '金额', '金额'],
+            ['水果', 'x', 1, 2]
+        ]);
+        
+        expect(result.columns).toEqual(['品类', '金额', '金额_2']);
+        expect(result.data[0]).toEqual({ '品类': '水果', '金额': 1, '金额_2': 2 });
+    });
+    
+    test('手动指定表头行覆盖自动识别', () => {
+        const rows = [
+            ['a', 'b', 'c'],
+            ['品类', '商品', '金额'],
+            ['水果', '苹果', 1]
+        ];
+        const result = FileHandler.parseSheetRows(rows, { headerRow: 1, headerRowCount: 1 });
+        
+        expect(result.headerRow).toBe(1);
+        expect(result.columns).toEqual(['品类', '商品', '金额']);
+        expect(result.data.length).toBe(1);
+        
+        expect(FileHandler.parseSheetRows(rows, { headerRow: 5 }).error).toBe('表头行超出数据范围');
+    });
+    
+    test('展平后的列名是稳定的：相同表头总是得到相同列名', () => {
+        fc.assert(
+            fc.property(
+                fc.array(fc.constantFrom('', '销售金额', '含税', '无税', '商品', '编码'), { minLength: 1, maxLength: 8 }),
+                fc.array(fc.constantFrom('', '含税', '无税', '名称'), { minLength: 1, maxLength: 8 }),
+                (top, bottom) => {
+                    const first = FileHandler.flattenHeaderRows([top, bottom]);
+                    const second = FileHandler.flattenHeaderRows([[...top], [...bottom]]);
+                    expect(first).toEqual(second);
+                    
+                    const named = first.filter(name => name);
+                    expect(new Set(named).size).toBe(named.length);
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+});
+
+
+/**
+ * FileHandler CSV/TSV 导入测试
+ * 
+ * 测试编码识别、分隔符识别和引号字段解析
+ */
+describe('FileHandler CSV/TSV 导入', () => {
+    const { FileHandler } = require('../app');
+    
+    // GBK 编码的 "品类,商品\n水果,苹果\n"
+    const gbkBytes = Uint8Array.from([
+        0xC6, 0xB7, 0xC0, 0xE0, 0x2C, 0xC9, 0xCC, 0xC6, 0xB7, 0x0A,
+        0xCB, 0xAE, 0xB9, 0xFB, 0x2C, 0xC6, 0xBB, 0xB9, 0xFB, 0x0A
+    ]);
+    
+    test('识别 GBK 编码', () => {
+        const { text, encoding } = FileHandler.decodeText(gbkBytes);
+        expect(encoding).toBe('gb18030');
+        expect(text).toBe('品类,商品\n水果,苹果\n');
+    });
+    
+    test('识别 UTF-8 编码并去除 BOM', () => {
+        const utf8 = new TextEncoder().encode('品类,商品\n');
+        const withBom = Uint8Array.from([0xEF, 0xBB, 0xBF, ...utf8]);
+        
+        expect(FileHandler.decodeText(utf8)).toEqual({ text: '品类,商品\n', encoding: 'utf-8' });
+        expect(FileHandler.decodeText(withBom)).toEqual({ text: '品类,商品\n', encoding: 'utf-8' });
+    });
+    
+    test('识别逗号、制表符和分号分隔符', () => {
+        expect(FileHandler.detectDelimiter('商品|名称,销售金额\n苹果,"1,234.50"\n')).toBe(',');
+        expect(FileHandler.detectDelimiter('报表标题\n商品\t金额\n苹果\t1,234.50\n')).toBe('\t');
+        expect(FileHandler.detectDelimiter('商品;金额\n苹果;12,50\n')).toBe(';');
+    });
+    
+    test('解析引号字段、转义引号和字段内换行', () => {
+        const rows = FileHandler.parseDelimitedText('a,b,c\r\n"x,1","say ""hi""","line1\nline2"\r\n', ',');
+        expect(rows).toEqual([
+            ['a', 'b', 'c'],
+            ['x,1', 'say "hi"', 'line1\nline2']
+        ]);
+    });
+    
+    test('任意字段经 CSV 转义后可以无损解析', () => {
+        fc.assert(
+            fc.property(
+                fc.array(fc.array(fc.string({ minLength: 1 }), { minLength: 1, maxLength: 5 }), { minLength: 1, maxLength: 5 }),
+                (rows) => {
+                    const text = rows
+                        .map(row => row.map(field => `"${field.replace(/"/g, '""')}"`).join(','))
+                        .join('\n');
+                    expect(FileHandler.parseDelimitedText(text, ',')).toEqual(rows);
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+    
+    test('isValidImportFile 接受 Excel、CSV 和 TSV 文件', () => {
+        expect(FileHandler.isValidImportFile({ name: 'pos.CSV' })).toBe(true);
+        expect(FileHandler.isValidImportFile({ name: 'pos.tsv' })).toBe(true);
+        expect(FileHandler.isValidImportFile({ name: '2025.3月.xlsx' })).toBe(true);
+        expect(FileHandler.isValidImportFile({ name: 'notes.txt' })).toBe(false);
+    });
+});
+
+
+/**
+ * UserStorage 按用户分开的本地设置测试
+ */
+describe('UserStorage 按用户分开的本地设置', () => {
+    const { AuthManager, UserStorage } = require('../app');
+    
+    test('按当前用户区分存储键，未登录时使用 local', () => {
+        expect(UserStorage.key('prefix_')).toBe('prefix_local');
+        
+        AuthManager.currentUser = { id: 7, username: 'a' };
+        UserStorage.save('prefix_', { a: 1 }, '设置');
+        expect(localStorage.getItem('prefix_7')).toBe('{"a":1}');
+        expect(UserStorage.load('prefix_', '设置')).toEqual({ a: 1 });
+        
+        UserStorage.remove('prefix_', 7);
+        expect(UserStorage.load('prefix_', '设置')).toBeNull();
+    });
+    
+    test('保存的内容无法解析时返回 null', () => {
+        localStorage.setItem('prefix_local', '{bad');
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        
+        expect(UserStorage.load('prefix_', '设置')).toBeNull();
+        expect(console.error).toHaveBeenCalledWith('读取设置失败:', expect.any(Error));
+        console.error.mockRestore();
+    });
+});
+
+
+/**
+ * TemplateManager 列映射模板测试
+ * 
+ * 测试模板的本地保存、按用户隔离和表头匹配
+ */
+describe('TemplateManager 列映射模板', () => {
+    const { AuthManager, TemplateManager, LocalCacheManager } = require('../app');
+    
+    const header = ['品类|名称', '商品|名称', '商品|编码', '销售数量', '销售金额|含税', '销售金额|无税'];
+    const config = {
+        selectedColumns: ['品类|名称', '商品|名称', '销售数量', '销售金额|含税'],
+        categoryColumn: '品类|名称',
+        productNameColumn: '商品|名称',
+        quantityColumn: '销售数量',
+        salesColumn: '销售金额|含税'
+    };
+    
+    beforeEach(() => {
+        TemplateManager.templates = [];
+    });
+    
+    test('保存模板后可以从本地存储加载，同名模板被覆盖', async () => {
+        await TemplateManager.saveTemplate('ERP月报', header, config);
+        await TemplateManager.saveTemplate('ERP月报', header, { ...config, salesColumn: '销售金额|无税' });
+        
+        TemplateManager.templates = [];
+        TemplateManager.loadLocal();
+        
+        expect(TemplateManager.getTemplates().length).toBe(1);
+        expect(TemplateManager.getTemplate('ERP月报').config.salesColumn).toBe('销售金额|无税');
+    });
+    
+    test('模板按用户分别存储', async () => {
+        AuthManager.currentUser = { id: 1, username: 'a' };
+        await TemplateManager.saveTemplate('用户1模板', header, config);
+        
+        AuthManager.currentUser = { id: 2, username: 'b' };
+        TemplateManager.loadLocal();
+        expect(TemplateManager.getTemplates()).toEqual([]);
+        
+        AuthManager.currentUser = { id: 1, username: 'a' };
+        TemplateManager.loadLocal();
+        expect(TemplateManager.getTemplates().map(t => t.name)).toEqual(['用户1模板']);
+    });
+    
+    test('清除用户缓存时删除该用户的模板', async () => {
+        AuthManager.currentUser = { id: 1, username: 'a' };
+        await TemplateManager.saveTemplate('用户1模板', header, config);
+        
+        LocalCacheManager.clearUserCache(1);
+        expect(localStorage.getItem('sales_data_templates_1')).toBeNull();
+        TemplateManager.loadLocal();
+        expect(TemplateManager.getTemplates()).toEqual([]);
+    });
+    
+    test('表头相同或仅多出少量列时推荐模板', async () => {
+        await TemplateManager.saveTemplate('ERP月报', header, config);
+        
+        expect(TemplateManager.findMatchingTemplate([...header].reverse()).template.name).toBe('ERP月报');
+        expect(TemplateManager.findMatchingTemplate([...header, '备注']).score).toBeGreaterThanOrEqual(0.8);
+    });
+    
+    test('缺少映射列或表头差异较大时不推荐模板', async () => {
+        await TemplateManager.saveTemplate('ERP月报', header, config);
+        
+        expect(TemplateManager.findMatchingTemplate(header.filter(c => c !== '销售数量'))).toBeNull();
+        expect(TemplateManager.findMatchingTemplate([...header, 'a', 'b', 'c', 'd'])).toBeNull();
+    });
+    
+    test('空模板名称被拒绝', async () => {
+        const result = await TemplateManager.saveTemplate('   ', header, config);
+        expect(result.success).toBe(false);
+        expect(TemplateManager.getTemplates()).toEqual([]);
+    });
+    
+    test('从云端加载前先同步离线时保存和删除的模板', async () => {
+        AuthManager.token = 'token';
+        AuthManager.currentUser = { id: 1, username: 'tester' };
+        LocalCacheManager.addPendingOperation({ type: 'uploadTemplate', data: { name: 'ERP月报', columns: header, config }, timestamp: Date.now() });
+        LocalCacheManager.addPendingOperation({ type: 'deleteTemplate', name: '旧模板', timestamp: Date.now() });
+        global.fetch
+            .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true, id: 1 }) })
+            .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) })
+            .mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({ success: true, data: [{ name: 'ERP月报', columns: header, config, updatedAt: '2025-03-01T00:00:00.000Z' }] })
+            });
+        
+        expect(await TemplateManager.initFromCloud()).toBe(true);
+        expect(global.fetch.mock.calls.map(([, options]) => options.method)).toEqual(['POST', 'DELETE', 'GET']);
+        expect(LocalCacheManager.getPendingOperations()).toEqual([]);
+        expect(TemplateManager.getTemplates().map(t => t.name)).toEqual(['ERP月报']);
+    });
+    
+    test('离线时保存的模板未能同步时不用云端模板覆盖本地', async () => {
+        AuthManager.token = 'token';
+        AuthManager.currentUser = { id: 1, username: 'tester' };
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.fetch.mockRejectedValueOnce(new Error('offline')).mockRejectedValueOnce(new Error('offline'));
+        try {
+            await TemplateManager.saveTemplate('ERP月报', header, config);
+            expect(LocalCacheManager.getPendingOperations().map(op => op.type)).toEqual(['uploadTemplate']);
+            
+            expect(await TemplateManager.initFromCloud()).toBe(false);
+            expect(global.fetch.mock.calls.map(([, options]) => options.method)).toEqual(['POST', 'POST']);
+            expect(TemplateManager.getTemplates().map(t => t.name)).toEqual(['ERP月报']);
+        } finally {
+            errorSpy.mockRestore();
+        }
+    });
+});
+
+
+/**
+ * PeriodHelper 账期识别测试
+ * 
+ * 测试从文件名、月份名称和日期列中识别年月
+ */
+describe('PeriodHelper 账期识别', () => {
+    const { PeriodHelper } = require('../app');
+    
+    test('从常见文件名中识别年月', () => {
+        expect(PeriodHelper.parseFromText('2025.3月.xlsx')).toEqual({ year: 2025, month: 3 });
+        expect(PeriodHelper.parseFromText('2025.10月(1).xlsx')).toEqual({ year: 2025, month: 10 });
+        expect(PeriodHelper.parseFromText('销售明细_2024年12月.xls')).toEqual({ year: 2024, month: 12 });
+        expect(PeriodHelper.parseFromText('pos-2025-03.csv')).toEqual({ year: 2025, month: 3 });
+        expect(PeriodHelper.parseFromText('export_202507.csv')).toEqual({ year: 2025, month: 7 });
+    });
+    
+    test('无法识别年月时返回 null', () => {
+        expect(PeriodHelper.parseFromText('销售明细.xlsx')).toBeNull();
+        expect(PeriodHelper.parseFromText('2025.13月.xlsx')).toBeNull();
+        expect(PeriodHelper.parseFromText('')).toBeNull();
+    });
+    
+    test('任意有效年月格式化后可以解析回相同账期', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: 2000, max: 2099 }),
+                fc.integer({ min: 1, max: 12 }),
+                (year, month) => {
+                    const period = { year, month };
+                    expect(PeriodHelper.parseFromText(PeriodHelper.format(period))).toEqual(period);
+                    expect(PeriodHelper.fromKey(PeriodHelper.toKey(period))).toEqual(period);
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+    
+    test('从日期列中取出现最多的年月（支持 Excel 序列号和日期字符串）', () => {
+        const data = [
+            { '销售日期': 45717 },          // 2025-03-01
+            { '销售日期': '2025-03-15' },
+            { '销售日期': '2025/04/01' },
+            { '销售日期': '' }
+        ];
+        expect(PeriodHelper.parseFromDateColumns(data, ['销售日期'])).toEqual({ year: 2025, month: 3 });
+        expect(PeriodHelper.parseFromDateColumns(data, ['商品'])).toBeNull();
+    });
+    
+    test('文件名优先于日期列', () => {
+        const data = [{ '日期': '2025-04-01' }];
+        expect(PeriodHelper.inferPeriod('2025.3月.xlsx', data, ['日期'])).toEqual({ year: 2025, month: 3 });
+        expect(PeriodHelper.inferPeriod('明细.xlsx', data, ['日期'])).toEqual({ year: 2025, month: 4 });
+    });
+});
+
+
+/**
+ * NumberParser 数值解析测试
+ * 
+ * 测试文本格式金额的解析和无法解析单元格的统计
+ */
+describe('NumberParser 数值解析', () => {
+    const { NumberParser, DataProcessor } = require('../app');
+    
+    test('解析 ERP 导出的文本金额', () => {
+        expect(NumberParser.parse('4732.180')).toBe(4732.18);
+        expect(NumberParser.parse('1,234.50')).toBe(1234.5);
+        expect(NumberParser.parse('¥2,000')).toBe(2000);
+        expect(NumberParser.parse('￥2,000.00元')).toBe(2000);
+        expect(NumberParser.parse('(12.00)')).toBe(-12);
+        expect(NumberParser.parse('12.00-')).toBe(-12);
+        expect(NumberParser.parse('-¥1,000')).toBe(-1000);
+        expect(NumberParser.parse('１，２３４．５')).toBe(1234.5);
+        expect(NumberParser.parse('（３５．００）')).toBe(-35);
+        expect(NumberParser.parse('1.234,50')).toBe(1234.5);
+        expect(NumberParser.parse('12,5')).toBe(12.5);
+        expect(NumberParser.parse(' 1 234 ')).toBe(1234);
+        expect(NumberParser.parse('-0.01')).toBe(-0.01);
+        expect(NumberParser.parse('12.5%')).toBe(12.5);
+        expect(NumberParser.parse(42)).toBe(42);
+    });
+    
+    test('空单元格和无法解析的文本返回 null', () => {
+        ['', '  ', null, undefined, 'abc', '12abc', '--', NaN, Infinity].forEach(value => {
+            expect(NumberParser.parse(value)).toBeNull();
+        });
+        expect(NumberParser.toNumber('abc')).toBe(0);
+        expect(NumberParser.toNumber('', 5)).toBe(5);
+    });
+    
+    test('任意数值经千分位和货币格式化后可以解析回原值', () => {
+        fc.assert(
+            fc.property(
+                fc.integer({ min: -1e9, max: 1e9 }),
+                fc.integer({ min: 0, max: 99 }),
+                (integer, cents) => {
+                    const value = Math.sign(integer || 1) * (Math.abs(integer) + cents / 100);
+                    const formatted = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2 });
+                    
+                    expect(NumberParser.parse(value < 0 ? `(¥${formatted})` : `¥${formatted}`)).toBeCloseTo(value, 2);
+                    expect(NumberParser.parse(String(value))).toBeCloseTo(value, 2);
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+    
+    test('统计无法解析的单元格（空单元格不计入）', () => {
+        const rows = [
+            { '金额': '1,000', '数量': '2' },
+            { '金额': 'N/A', '数量': '' },
+            { '金额': '--', '数量': 'x' }
+        ];
+        expect(NumberParser.countUnparsed(rows, ['金额', '数量'])).toEqual({
+            total: 3,
+            byColumn: { '金额': 2, '数量': 1 }
+        });
+    });
+    
+    test('按销售金额排序时正确处理带格式的金额', () => {
+        const grouped = { '水果': [
+            { name: 'a', amount: '900.00' },
+            { name: 'b', amount: '¥1,200.00' },
+            { name: 'c', amount: '(50.00)' }
+        ] };
+        const sorted = DataProcessor.sortBySalesAmount(grouped, 'amount');
+        expect(sorted['水果'].map(p => p.name)).toEqual(['b', 'a', 'c']);
+    });
+});
+
+/**
+ * ImportValidator 导入数据检查测试
+ * 
+ * 验证导入前能找出商品名称为空、非数值、负数量、重复编码和品类为空的行
+ */
+describe('ImportValidator 导入数据检查', () => {
+    const { ImportValidator } = require('../app');
+    
+    const config = {
+        categoryColumn: '品类',
+        productNameColumn: '商品',
+        quantityColumn: '数量',
+        salesColumn: '金额',
+        productCodeColumn: '编码'
+    };
+    
+    test('识别各类问题行', () => {
+        const rows = [
+            { '品类': '水果', '商品': '苹果', '数量': '2', '金额': '10.00', '编码': 'A1' },
+            { '品类': '水果', '商品': '', '数量': '1', '金额': '5', '编码': 'A2' },
+            { '品类': '', '商品': '香蕉', '数量': '-3', '金额': 'abc', '编码': 'A1' },
+            { '品类': '蔬菜', '商品': '白菜', '数量': '(1)', '金额': '', '编码': 'B1' }
+        ];
+        const issues = ImportValidator.validate(rows, config);
+        const types = issues.map(issue => `${issue.rowIndex}:${issue.type}`);
+        
+        expect(types).toEqual(expect.arrayContaining([
+            '0:duplicateCode',
+            '1:missingName',
+            '2:blankCategory',
+            '2:invalidNumber',
+            '2:negativeQuantity',
+            '2:duplicateCode',
+            '3:negativeQuantity'
+        ]));
+        expect(issues).toHaveLength(7);
+        // 空金额不视为非数值
+        expect(issues.some(issue => issue.rowIndex === 3 && issue.type === 'invalidNumber')).toBe(false);
+    });
+    
+    test('未选择编码列时不检查重复编码', () => {
+        const rows = [
+            { '品类': '水果', '商品': '苹果', '数量': '1', '金额': '1', '编码': 'A1' },
+            { '品类': '水果', '商品': '苹果', '数量': '1', '金额': '1', '编码': 'A1' }
+        ];
+        const { productCodeColumn, ...withoutCode } = config;
+        expect(ImportValidator.validate(rows, withoutCode)).toEqual([]);
+    });
+    
+    test('按行分组和按类型计数', () => {
+        const issues = [
+            { batchIndex: 0, rowIndex: 2, type: 'blankCategory' },
+            { batchIndex: 0, rowIndex: 2, type: 'invalidNumber' },
+            { batchIndex: 1, rowIndex: 2, type: 'invalidNumber' }
+        ];
+        const byRow = ImportValidator.groupByRow(issues);
+        expect(Array.from(byRow.keys())).toEqual(['0:2', '1:2']);
+        expect(byRow.get('0:2')).toHaveLength(2);
+        expect(ImportValidator.summarize(issues)).toEqual({ blankCategory: 1, invalidNumber: 2 });
+    });
+});
+
+
+/**
+ * ImportWorker 后台解析测试
+ * 
+ * 测试 Worker 消息处理、进度回调、取消和不支持 Worker 时的主线程回退
+ */
+describe('ImportWorker 后台解析', () => {
+    const { ImportWorker, FileHandler } = require('../app');
+    
+    class FakeWorker {
+        constructor() {
+            this.messages = [];
+            this.terminated = false;
+            FakeWorker.instances.push(this);
+        }
+        postMessage(message) { this.messages.push(message); }
+        terminate() { this.terminated = true; }
+        reply(data) { this.onmessage({ data }); }
+    }
+    
+    beforeEach(() => {
+        FakeWorker.instances = [];
+        global.Worker = FakeWorker;
+        ImportWorker.worker = null;
+        ImportWorker.currentJob = null;
+        ImportWorker.disabled = false;
+    });
+    
+    afterEach(() => {
+        delete global.Worker;
+    });
+    
+    test('解析 CSV 文件内容时报告进度并保持结果结构', () => {
+        const buffer = new TextEncoder().encode('品类,商品,金额\n水果,苹果,10\n').buffer;
+        const progress = [];
+        const result = FileHandler.parseBuffer(buffer, 'pos.csv', (percent) => progress.push(percent));
+        
+        expect(result.columns).toEqual(['品类', '商品', '金额']);
+        expect(result.data).toEqual([{ '品类': '水果', '商品': '苹果', '金额': '10' }]);
+        expect(result.fileName).toBe('pos.csv');
+        expect(result.error).toBeUndefined();
+        expect(progress[progress.length - 1]).toBe(100);
+    });
+    
+    test('转发 Worker 进度并返回解析结果', async () => {
+        const file = { name: 'a.xlsx' };
+        const progress = [];
+        const promise = ImportWorker.parseFile(file, (percent, stage) => progress.push([percent, stage]));
+        
+        const worker = FakeWorker.instances[0];
+        const { id, type, payload } = worker.messages[0];
+        expect(type).toBe('parseFile');
+        expect(payload.file).toBe(file);
+        
+        worker.reply({ id, type: 'progress', percent: 40, stage: '解析工作表' });
+        worker.reply({ id, type: 'result', result: { columns: ['a'], data: [], fileName: 'a.xlsx' } });
+        
+        await expect(promise).resolves.toEqual({ columns: ['a'], data: [], fileName: 'a.xlsx' });
+        expect(progress).toEqual([[40, '解析工作表']]);
+    });
+    
+    test('取消后终止 Worker 并返回取消结果，下次任务重新创建 Worker', async () => {
+        const promise = ImportWorker.parseFile({ name: 'a.xlsx' });
+        const worker = FakeWorker.instances[0];
+        
+        expect(ImportWorker.cancel()).toBe(true);
+        const result = await promise;
+        expect(result.cancelled).toBe(true);
+        expect(result.error).toBe(ImportWorker.CANCELLED_ERROR);
+        expect(worker.terminated).toBe(true);
+        expect(ImportWorker.cancel()).toBe(false);
+        
+        const processing = ImportWorker.processData([], {});
+        expect(FakeWorker.instances).toHaveLength(2);
+        ImportWorker.cancel();
+        await expect(processing).resolves.toBeNull();
+    });
+    
+    test('不支持 Worker 时在主线程处理数据', async () => {
+        delete global.Worker;
+        const config = { selectedColumns: ['品类', '商品', '金额'], categoryColumn: '品类', salesColumn: '金额' };
+        const data = [
+            { '品类': '水果', '商品': '苹果', '金额': '5' },
+            { '品类': '水果', '商品': '梨', '金额': '8' }
+        ];
+        
+        const grouped = await ImportWorker.processData(data, config);
+        expect(grouped['水果'].map(row => row['商品'])).toEqual(['梨', '苹果']);
+    });
+});
+
+
+/**
+ * StoreHelper 门店维度测试
+ * 
+ * 测试门店列识别、按门店筛选和多门店合并
+ */
+describe('StoreHelper 门店维度', () => {
+    const { StoreHelper, StateManager } = require('../app');
+    
+    const config = {
+        categoryColumn: '品类',
+        productNameColumn: '商品',
+        quantityColumn: '数量',
+        salesColumn: '金额',
+        storeCodeColumn: '组织|编码',
+        storeNameColumn: '组织|名称'
+    };
+    const monthData = {
+        id: '1',
+        month: '2025年3月',
+        config,
+        groupedData: {
+            '水果': [
+                { '组织|编码': '01', '组织|名称': '一店', '商品': '苹果', '数量': '2', '金额': '10' },
+                { '组织|编码': '02', '组织|名称': '二店', '商品': '苹果', '数量': '3', '金额': '15' },
+                { '组织|编码': '02', '组织|名称': '二店', '商品': '梨', '数量': '1', '金额': '12' }
+            ],
+            '蔬菜': [
+                { '组织|编码': '01', '组织|名称': '一店', '商品': '白菜', '数量': '4', '金额': '8' }
+            ]
+        }
+    };
+    
+    test('识别组织列', () => {
+        expect(StoreHelper.detectColumns(['组织|编码', '组织|名称', '商品|名称'])).toEqual({
+            storeCodeColumn: '组织|编码',
+            storeNameColumn: '组织|名称'
+        });
+        expect(StoreHelper.detectColumns(['商品|名称'])).toEqual({ storeCodeColumn: '', storeNameColumn: '' });
+    });
+    
+    test('列出门店并按门店筛选', () => {
+        expect(StoreHelper.getStores(monthData)).toEqual([
+            { key: '01', name: '一店', productCount: 2, salesAmount: 18 },
+            { key: '02', name: '二店', productCount: 2, salesAmount: 27 }
+        ]);
+        
+        const store02 = StoreHelper.getGroupedData(monthData, '02');
+        expect(Object.keys(store02)).toEqual(['水果']);
+        expect(store02['水果']).toHaveLength(2);
+    });
+    
+    test('全部门店视图合并相同商品并重新排序', () => {
+        const combined = StoreHelper.getGroupedData(monthData);
+        expect(combined['水果'].map(row => [row['商品'], row['数量'], row['金额']])).toEqual([
+            ['苹果', 5, 25],
+            ['梨', '1', '12']
+        ]);
+        // 原始数据不被修改
+        expect(monthData.groupedData['水果'][0]['金额']).toBe('10');
+    });
+    
+    test('没有门店列时原样返回分组数据', () => {
+        const plain = { ...monthData, config: { ...config, storeCodeColumn: undefined, storeNameColumn: undefined } };
+        expect(StoreHelper.getStores(plain)).toEqual([]);
+        expect(StoreHelper.getGroupedData(plain)).toBe(plain.groupedData);
+    });
+    
+    test('商品趋势按月份合并各门店，可只看单个门店', () => {
+        StateManager.monthsData = [monthData];
+        expect(StateManager.getProductTrendData('苹果')).toEqual([
+            { month: '2025年3月', salesAmount: 25, quantity: 5, category: '水果', unitPrice: 5 }
+        ]);
+        expect(StateManager.getProductTrendData('苹果', '01')).toEqual([
+            { month: '2025年3月', salesAmount: 10, quantity: 2, category: '水果', unitPrice: 5 }
+        ]);
+        StateManager.monthsData = [];
+    });
+});
+
+
+/**
+ * 商品标识测试
+ * 
+ * 测试按商品编码匹配趋势和搜索，显示名称取最近月份
+ */
+describe('商品编码作为商品标识', () => {
+    const { DataProcessor, StateManager, SearchEngine, ImportValidator } = require('../app');
+    
+    const config = {
+        categoryColumn: '品类',
+        productNameColumn: '商品|名称',
+        productCodeColumn: '商品|编码',
+        quantityColumn: '数量',
+        salesColumn: '金额'
+    };
+    const march = {
+        id: '3', month: '3月', period: { year: 2025, month: 3 }, config,
+        groupedData: { '水果': [
+            { '商品|编码': '1001', '商品|名称': '苹果', '数量': '1', '金额': '10' },
+            { '商品|编码': '1002', '商品|名称': '苹果', '数量': '2', '金额': '30' }
+        ] }
+    };
+    const february = {
+        id: '2', month: '2月', period: { year: 2025, month: 2 }, config,
+        groupedData: { '水果': [
+            { '商品|编码': '1001', '商品|名称': '红富士', '数量': '3', '金额': '20' }
+        ] }
+    };
+    
+    beforeEach(() => {
+        // 3 月先导入，账期排序后 2 月在前
+        StateManager.monthsData = [march, february];
+        StateManager.productNames = null;
+    });
+    
+    afterEach(() => {
+        StateManager.monthsData = [];
+        StateManager.productNames = null;
+    });
+    
+    test('识别商品编码或条形码列', () => {
+        expect(DataProcessor.detectProductKeyColumn(['商品|条形码', '商品|编码'])).toBe('商品|编码');
+        expect(DataProcessor.detectProductKeyColumn(['商品|名称', '商品|条形码'])).toBe('商品|条形码');
+        expect(DataProcessor.detectProductKeyColumn(['商品|名称'])).toBe('');
+    });
+    
+    test('编码为空或未配置编码列时使用商品名称', () => {
+        expect(DataProcessor.getProductKey({ '商品|编码': ' 1001 ', '商品|名称': '苹果' }, config)).toBe('1001');
+        expect(DataProcessor.getProductKey({ '商品|编码': '', '商品|名称': '苹果' }, config)).toBe('苹果');
+        expect(DataProcessor.getProductKey({ '商品|编码': '1001', '商品|名称': '苹果' }, { productNameColumn: '商品|名称' })).toBe('苹果');
+    });
+    
+    test('趋势按编码匹配：改名的商品连续，同名不同编码的商品不合并', () => {
+        expect(StateManager.getProductTrendData('1001')).toEqual([
+            { month: '2月', salesAmount: 20, quantity: 3, category: '水果', unitPrice: 20 / 3 },
+            { month: '3月', salesAmount: 10, quantity: 1, category: '水果', unitPrice: 10 }
+        ]);
+        expect(StateManager.getProductTrendData('1002')).toHaveLength(1);
+    });
+    
+    test('显示名称取最近账期的名称', () => {
+        expect(StateManager.getProductDisplayName('1001')).toBe('苹果');
+        expect(StateManager.getProductDisplayName('9999')).toBe('9999');
+    });
+    
+    test('可按商品编码搜索，结果带商品标识', () => {
+        const results = SearchEngine.search(StateManager.getAllMonthsData(), '1002');
+        expect(results).toHaveLength(1);
+        expect(results[0].productKey).toBe('1002');
+    });
+    
+    test('不同门店的相同编码不视为重复', () => {
+        const storeConfig = { ...config, storeCodeColumn: '组织|编码' };
+        const rows = [
+            { '组织|编码': '01', '品类': '水果', '商品|名称': '苹果', '商品|编码': '1001', '数量': '1', '金额': '1' },
+            { '组织|编码': '02', '品类': '水果', '商品|名称': '苹果', '商品|编码': '1001', '数量': '1', '金额': '1' }
+        ];
+        expect(ImportValidator.validate(rows, storeConfig)).toEqual([]);
+        expect(ImportValidator.validate(rows, config).map(issue => issue.type)).toEqual(['duplicateCode', 'duplicateCode']);
+    });
+});
+
+
+/**
+ * ComparisonEngine 期间对比测试
+ * 
+ * 测试环比/同比基期查找、商品和品类变化计算及排序
+ */
+describe('ComparisonEngine 期间对比', () => {
+    const { ComparisonEngine } = require('../app');
+    
+    const feb = makeMonth('2', { period: { year: 2025, month: 2 }, groupedData: {
+        '水果': [
+            { '商品': '苹果', '数量': '10', '金额': '100' },
+            { '商品': '梨', '数量': '5', '金额': '50' }
+        ],
+        '蔬菜': [{ '商品': '白菜', '数量': '4', '金额': '20' }]
+    } });
+    const mar = makeMonth('3', { period: { year: 2025, month: 3 }, groupedData: {
+        '水果': [
+            { '商品': '苹果', '数量': '12', '金额': '150' },
+            { '商品': '香蕉', '数量': '3', '金额': '30' }
+        ],
+        '蔬菜': [{ '商品': '白菜', '数量': '2', '金额': '10' }]
+    } });
+    const lastMar = makeMonth('1', { period: { year: 2024, month: 3 }, groupedData: { '水果': [{ '商品': '苹果', '数量': '1', '金额': '10' }] } });
+    
+    test('账期前后移动跨年', () => {
+        expect(PeriodHelper.shift({ year: 2025, month: 1 }, -1)).toEqual({ year: 2024, month: 12 });
+        expect(PeriodHelper.shift({ year: 2025, month: 3 }, -12)).toEqual({ year: 2024, month: 3 });
+        expect(PeriodHelper.shift({ year: 2024, month: 12 }, 1)).toEqual({ year: 2025, month: 1 });
+    });
+    
+    test('按账期自动查找环比和同比基期', () => {
+        const months = [lastMar, feb, mar];
+        expect(ComparisonEngine.findBaseMonth(months, mar, 'mom')).toBe(feb);
+        expect(ComparisonEngine.findBaseMonth(months, mar, 'yoy')).toBe(lastMar);
+        expect(ComparisonEngine.findBaseMonth(months, feb, 'yoy')).toBeNull();
+        expect(ComparisonEngine.findBaseMonth(months, { ...mar, period: null }, 'mom')).toBeNull();
+    });
+    
+    test('计算商品金额和数量的变化，标记新增和消失的商品', () => {
+        const rows = ComparisonEngine.compare(feb, mar);
+        const byKey = Object.fromEntries(rows.map(row => [row.key, row]));
+        
+        expect(byKey['苹果']).toMatchObject({
+            status: 'both', baseSales: 100, currentSales: 150, salesChange: 50, salesChangePct: 50,
+            quantityChange: 2, quantityChangePct: 20
+        });
+        expect(byKey['香蕉']).toMatchObject({ status: 'new', salesChange: 30, salesChangePct: null });
+        expect(byKey['梨']).toMatchObject({ status: 'gone', salesChange: -50, salesChangePct: -100 });
+    });
+    
+    test('按品类汇总对比', () => {
+        const rows = ComparisonEngine.compare(feb, mar, 'category');
+        expect(rows.find(row => row.key === '水果')).toMatchObject({ baseSales: 150, currentSales: 180, salesChangePct: 20 });
+        expect(ComparisonEngine.totals(rows)).toMatchObject({ baseSales: 170, currentSales: 190 });
+    });
+    
+    test('按增长或下降排序，无法计算百分比的项排在最后', () => {
+        const rows = ComparisonEngine.compare(feb, mar);
+        expect(ComparisonEngine.sortRows(rows, 'salesChange', 'desc').map(row => row.key)).toEqual(['苹果', '香蕉', '白菜', '梨']);
+        expect(ComparisonEngine.sortRows(rows, 'salesChange', 'asc')[0].key).toBe('梨');
+        expect(ComparisonEngine.sortRows(rows, 'salesChangePct', 'desc').map(row => row.key)).toEqual(['苹果', '白菜', '梨', '香蕉']);
+    });
+});
+
+
+/**
+ * MarginAnalyzer 毛利分析测试
+ * 
+ * 测试成本/毛利列识别、毛利计算、按商品/品类/月份汇总和低毛利提醒
+ */
+describe('MarginAnalyzer 毛利分析', () => {
+    const { MarginAnalyzer, StateManager } = require('../app');
+    
+    const config = { costColumn: '成本', profitColumn: '毛利' };
+    
+    const feb = makeMonth('2', { period: { year: 2025, month: 2 }, config, groupedData: {
+        '水果': [
+            { '商品': '苹果', '数量': '10', '金额': '100', '成本': '70', '毛利': '30' },
+            { '商品': '梨', '数量': '5', '金额': '50', '成本': '48', '毛利': '2' }
+        ],
+        '蔬菜': [{ '商品': '白菜', '数量': '4', '金额': '20', '成本': '10', '毛利': '10' }]
+    } });
+    const mar = makeMonth('3', { period: { year: 2025, month: 3 }, config, groupedData: {
+        '水果': [{ '商品': '苹果', '数量': '12', '金额': '150', '成本': '120', '毛利': '30' }]
+    } });
+    
+    test('识别成本列和毛利列，优先含税列', () => {
+        const columns = ['销售金额|含税', '销售成本|无税', '销售成本|含税', '毛利金额|无税', '毛利金额|含税', '毛利率(%)'];
+        expect(MarginAnalyzer.detectColumns(columns)).toEqual({ costColumn: '销售成本|含税', profitColumn: '毛利金额|含税' });
+        expect(MarginAnalyzer.detectColumns(['销售成本|无税'])).toEqual({ costColumn: '销售成本|无税', profitColumn: '' });
+        expect(MarginAnalyzer.detectColumns(['销售金额'])).toEqual({ costColumn: '', profitColumn: '' });
+    });
+    
+    test('只有成本列或只有毛利列时推算另一项', () => {
+        const row = { '金额': '100', '成本': '60', '毛利': '40' };
+        expect(MarginAnalyzer.getRowMargin(row, { salesColumn: '金额', costColumn: '成本' })).toEqual({ sales: 100, cost: 60, profit: 40 });
+        expect(MarginAnalyzer.getRowMargin(row, { salesColumn: '金额', profitColumn: '毛利' })).toEqual({ sales: 100, cost: 60, profit: 40 });
+        expect(MarginAnalyzer.marginRate(0, 10)).toBeNull();
+        expect(MarginAnalyzer.hasMarginData({ salesColumn: '金额' })).toBe(false);
+    });
+    
+    test('按商品和品类汇总毛利率', () => {
+        const products = MarginAnalyzer.summarizeMonth(feb);
+        expect(products.find(item => item.key === '梨')).toMatchObject({ salesAmount: 50, profit: 2, marginRate: 4 });
+        
+        const categories = MarginAnalyzer.summarizeMonth(feb, 'category');
+        expect(categories.find(item => item.key === '水果')).toMatchObject({ salesAmount: 150, cost: 118, profit: 32 });
+        expect(MarginAnalyzer.summarizeMonth({ ...feb, config: { salesColumn: '金额' } })).toEqual([]);
+    });
+    
+    test('按月份汇总毛利，跳过没有成本数据的月份', () => {
+        const noMargin = makeMonth('4', { period: { year: 2025, month: 4 }, groupedData: { '水果': [{ '商品': '苹果', '数量': '1', '金额': '10' }] } });
+        const months = MarginAnalyzer.summarizeMonths([feb, mar, noMargin]);
+        expect(months.map(item => item.key)).toEqual(['2', '3']);
+        expect(months[0]).toMatchObject({ salesAmount: 170, profit: 42 });
+        expect(months[1].marginRate).toBe(20);
+    });
+    
+    test('低毛利提醒按毛利率从低到高排列', () => {
+        const low = MarginAnalyzer.findLowMargin(MarginAnalyzer.summarizeMonth(feb), 40);
+        expect(low.map(item => item.key)).toEqual(['梨', '苹果']);
+        expect(MarginAnalyzer.findLowMargin([{ marginRate: null }], 10)).toEqual([]);
+    });
+    
+    test('商品趋势数据包含毛利率', () => {
+        StateManager.monthsData = [feb, mar];
+        StateManager.productNames = null;
+        const trend = StateManager.getProductTrendData('苹果');
+        expect(trend.map(point => point.marginRate)).toEqual([30, 20]);
+        StateManager.monthsData = [];
+        StateManager.productNames = null;
+    });
+});
+
+
+/**
+ * LossAnalyzer 损耗分析测试
+ * 
+ * 测试报损/赠送/让利列识别、按品类和月份汇总、报损率和报损排行
+ */
+describe('LossAnalyzer 损耗分析', () => {
+    const { LossAnalyzer, DataProcessor, StoreHelper, StateManager } = require('../app');
+    
+    const config = {
+        ...BASE_CONFIG,
+        shrinkageQuantityColumn: '报损数', shrinkageAmountColumn: '报损额', giftAmountColumn: '赠送额', concessionAmountColumn: '让利额'
+    };
+    
+    const feb = makeMonth('2', { period: { year: 2025, month: 2 }, config, groupedData: {
+        '蔬菜': [
+            { '商品': '白菜', '数量': '10', '金额': '100', '报损数': '2', '报损额': '20', '赠送额': '0', '让利额': '5' },
+            { '商品': '菠菜', '数量': '5', '金额': '50', '报损数': '1', '报损额': '5', '赠送额': '', '让利额': '' }
+        ],
+        '水果': [{ '商品': '苹果', '数量': '4', '金额': '200', '报损数': '0', '报损额': '0', '赠送额': '10', '让利额': '0' }]
+    } });
+    const mar = makeMonth('3', { period: { year: 2025, month: 3 }, config, groupedData: {
+        '蔬菜': [{ '商品': '白菜', '数量': '8', '金额': '80', '报损数': '1', '报损额': '4', '赠送额': '0', '让利额': '0' }]
+    } });
+    
+    test('识别报损、赠送和让利列，报损金额优先含税列', () => {
+        const columns = ['报损|数量', '报损|无税金额', '报损|含税金额', '赠送|数量', '赠送|金额', '让利|数量', '让利|金额'];
+        expect(LossAnalyzer.detectColumns(columns)).toEqual({
+            shrinkageQuantityColumn: '报损|数量',
+            shrinkageAmountColumn: '报损|含税金额',
+            giftQuantityColumn: '赠送|数量',
+            giftAmountColumn: '赠送|金额',
+            concessionQuantityColumn: '让利|数量',
+            concessionAmountColumn: '让利|金额'
+        });
+        expect(LossAnalyzer.detectColumns(['报损|无税金额']).shrinkageAmountColumn).toBe('报损|无税金额');
+        expect(LossAnalyzer.hasLossData({ salesColumn: '金额' })).toBe(false);
+    });
+    
+    test('按品类汇总报损率和合计损耗率', () => {
+        const vegetables = LossAnalyzer.summarizeMonth(feb, 'category').find(item => item.key === '蔬菜');
+        expect(vegetables).toMatchObject({ sales: 150, shrinkageQuantity: 3, shrinkageAmount: 25, concessionAmount: 5, totalLoss: 30 });
+        expect(vegetables.lossRate).toBe(20);
+    });
+    
+    test('报损排行忽略没有报损的商品', () => {
+        const top = LossAnalyzer.topShrinkage(LossAnalyzer.summarizeMonth(feb));
+        expect(top.map(item => item.key)).toEqual(['白菜', '菠菜']);
+        expect(top[0].shrinkageRate).toBe(20);
+        expect(LossAnalyzer.topShrinkage(LossAnalyzer.summarizeMonth(feb), 1)).toHaveLength(1);
+    });
+    
+    test('按月份汇总损耗趋势，商品趋势包含报损金额', () => {
+        const months = LossAnalyzer.summarizeMonths([feb, mar]);
+        expect(months.map(item => item.shrinkageAmount)).toEqual([25, 4]);
+        expect(months[0]).toMatchObject({ sales: 350, giftAmount: 10, totalLoss: 40 });
+        expect(months[1].shrinkageRate).toBe(5);
+        
+        StateManager.monthsData = [feb, mar];
+        StateManager.productNames = null;
+        expect(StateManager.getProductTrendData('白菜').map(point => point.shrinkageAmount)).toEqual([20, 4]);
+        StateManager.monthsData = [];
+        StateManager.productNames = null;
+    });
+    
+    test('合并门店时报损和赠送列一并相加', () => {
+        expect(DataProcessor.getMeasureColumns(config)).toEqual(['数量', '金额', '报损数', '报损额', '赠送额', '让利额']);
+        const storeConfig = { ...config, storeCodeColumn: '门店' };
+        const combined = StoreHelper.combineStores({
+            '蔬菜': [
+                { '门店': 'A', '商品': '白菜', '数量': '1', '金额': '10', '报损数': '1', '报损额': '2' },
+                { '门店': 'B', '商品': '白菜', '数量': '1', '金额': '10', '报损数': '2', '报损额': '3' }
+            ]
+        }, storeConfig);
+        expect(LossAnalyzer.getRowLoss(combined['蔬菜'][0], storeConfig)).toMatchObject({ shrinkageQuantity: 3, shrinkageAmount: 5 });
+    });
+});
+
+
+/**
+ * DiscountAnalyzer 优惠分析测试
+ * 
+ * 测试优惠列识别、优惠深度、会员/普通优惠构成以及优惠深度与销量变化的关系
+ */
+describe('DiscountAnalyzer 优惠分析', () => {
+    const { DiscountAnalyzer } = require('../app');
+    
+    const config = { memberDiscountColumn: '会员优惠', regularDiscountColumn: '普通优惠' };
+    
+    const feb = makeMonth('2', { config, groupedData: {
+        '饮料': [
+            { '商品': '可乐', '数量': '10', '金额': '90', '会员优惠': '6', '普通优惠': '4' },
+            { '商品': '雪碧', '数量': '10', '金额': '100', '会员优惠': '0', '普通优惠': '0' }
+        ]
+    } });
+    const mar = makeMonth('3', { config, groupedData: {
+        '饮料': [
+            { '商品': '可乐', '数量': '15', '金额': '120', '会员优惠': '30', '普通优惠': '30' },
+            { '商品': '雪碧', '数量': '8', '金额': '80', '会员优惠': '0', '普通优惠': '0' },
+            { '商品': '芬达', '数量': '5', '金额': '50', '会员优惠': '5', '普通优惠': '0' }
+        ]
+    } });
+    
+    test('识别会员优惠和普通优惠列', () => {
+        expect(DiscountAnalyzer.detectColumns(['销售金额|含税', '优惠金额|会员', '优惠金额|普通'])).toEqual({
+            memberDiscountColumn: '优惠金额|会员',
+            regularDiscountColumn: '优惠金额|普通'
+        });
+        expect(DiscountAnalyzer.hasDiscountData({ salesColumn: '金额' })).toBe(false);
+    });
+    
+    test('优惠深度按优惠前金额计算，并拆分会员优惠占比', () => {
+        const cola = DiscountAnalyzer.summarizeMonth(feb).find(item => item.key === '可乐');
+        expect(cola).toMatchObject({ discount: 10, depth: 10, memberShare: 60 });
+        expect(DiscountAnalyzer.summarizeMonth(feb).find(item => item.key === '雪碧').memberShare).toBeNull();
+        expect(DiscountAnalyzer.summarizeMonth(mar, 'category')[0]).toMatchObject({ sales: 250, memberDiscount: 35, regularDiscount: 30 });
+    });
+    
+    test('只对比两个月份都有销售的商品的优惠深度和销量变化', () => {
+        const rows = DiscountAnalyzer.analyzeLift(feb, mar);
+        expect(rows.map(row => row.key)).toEqual(['可乐', '雪碧']);
+        expect(rows[0]).toMatchObject({ baseDepth: 10, currentDepth: 33.33333333333333, quantityChangePct: 50 });
+        expect(rows[1]).toMatchObject({ depthChange: 0, quantityChangePct: -20 });
+    });
+    
+    test('按优惠加深、减弱、不变分组统计销量变化', () => {
+        const groups = DiscountAnalyzer.summarizeLift(DiscountAnalyzer.analyzeLift(feb, mar));
+        expect(groups.deeper).toMatchObject({ count: 1, quantityChangePct: 50 });
+        expect(groups.unchanged).toMatchObject({ count: 1, quantityChangePct: -20 });
+        expect(groups.shallower).toMatchObject({ count: 0, quantityChangePct: null });
+    });
+});
+
+
+/**
+ * PriceAnalyzer 单价异动测试
+ * 
+ * 测试成交单价计算、环比单价变化筛选和趋势数据中的单价
+ */
+describe('PriceAnalyzer 单价异动', () => {
+    const { PriceAnalyzer, StateManager } = require('../app');
+    
+    const jan = makeMonth('1', { period: { year: 2025, month: 1 }, groupedData: {
+        '饮料': [
+            { '商品': '可乐', '数量': '10', '金额': '30' },
+            { '商品': '雪碧', '数量': '10', '金额': '30' },
+            { '商品': '果汁', '数量': '0', '金额': '0' }
+        ]
+    } });
+    const feb = makeMonth('2', { period: { year: 2025, month: 2 }, groupedData: {
+        '饮料': [
+            { '商品': '可乐', '数量': '10', '金额': '40' },
+            { '商品': '雪碧', '数量': '10', '金额': '31' },
+            { '商品': '果汁', '数量': '5', '金额': '50' }
+        ]
+    } });
+    const apr = makeMonth('4', { period: { year: 2025, month: 4 }, groupedData: { '饮料': [{ '商品': '可乐', '数量': '1', '金额': '1' }] } });
+    
+    test('单价为销售金额除以数量，数量不为正时无法计算', () => {
+        expect(PriceAnalyzer.unitPrice(30, 10)).toBe(3);
+        expect(PriceAnalyzer.unitPrice(30, 0)).toBeNull();
+        expect(PriceAnalyzer.unitPrice(30, -2)).toBeNull();
+    });
+    
+    test('只列出单价变化超过阈值的商品，按变化幅度排序', () => {
+        const rows = PriceAnalyzer.findPriceChanges(jan, feb, 20);
+        expect(rows.map(row => row.key)).toEqual(['可乐']);
+        expect(rows[0]).toMatchObject({ basePrice: 3, currentPrice: 4, baseMonth: '2025年1月', currentMonth: '2025年2月' });
+        expect(rows[0].priceChangePct).toBeCloseTo(33.33, 1);
+        expect(PriceAnalyzer.findPriceChanges(jan, feb, 2).map(row => row.key)).toEqual(['可乐', '雪碧']);
+    });
+    
+    test('环比基期按账期查找，缺少上月时跳过', () => {
+        const months = [jan, feb, apr];
+        expect(PriceAnalyzer.findPreviousMonth(months, feb)).toBe(jan);
+        expect(PriceAnalyzer.findPreviousMonth(months, apr)).toBeNull();
+        expect(PriceAnalyzer.scanPriceChanges(months, 20).map(row => row.currentMonth)).toEqual(['2025年2月']);
+        
+        const undated = makeMonth('9', { groupedData: apr.groupedData });
+        expect(PriceAnalyzer.findPreviousMonth([jan, undated], undated)).toBe(jan);
+    });
+    
+    test('按品类汇总后计算单价变化', () => {
+        const rows = PriceAnalyzer.findPriceChanges(jan, feb, 20, 'category');
+        expect(rows.map(row => row.key)).toEqual(['饮料']);
+        expect(rows[0]).toMatchObject({ basePrice: 3, currentPrice: 121 / 25 });
+        expect(PriceAnalyzer.scanPriceChanges([jan, feb], 20, 'category')).toHaveLength(1);
+    });
+    
+    test('商品趋势数据包含单价', () => {
+        StateManager.monthsData = [feb, jan];
+        StateManager.productNames = null;
+        expect(StateManager.getProductTrendData('可乐').map(point => point.unitPrice)).toEqual([3, 4]);
+        expect(StateManager.getProductTrendData('果汁').map(point => point.unitPrice)).toEqual([null, 10]);
+        StateManager.monthsData = [];
+        StateManager.productNames = null;
+    });
+});
+
+
+/**
+ * AbcAnalyzer ABC 分类测试
+ * 
+ * 测试按累计销售额占比分类、自定义阈值、分类汇总和跨月份分类变化
+ */
+describe('AbcAnalyzer ABC 分类', () => {
+    const { AbcAnalyzer } = require('../app');
+    
+    const salesMonth = (id, sales) => makeMonth(id, { groupedData: {
+        '全部': Object.entries(sales).map(([name, amount]) => ({ '商品': name, '数量': '1', '金额': String(amount) }))
+    } });
+    
+    const feb = salesMonth('2', { '甲': 50, '乙': 30, '丙': 10, '丁': 6, '戊': 4, '退货': -5 });
+    const mar = salesMonth('3', { '甲': 10, '乙': 60, '丙': 20, '丁': 6, '戊': 4 });
+    
+    test('按累计占比分类，销售额不为正的商品为 C 类', () => {
+        const items = AbcAnalyzer.classifyMonth(feb);
+        expect(items.map(item => `${item.key}${item.abcClass}`)).toEqual(['甲A', '乙A', '丙B', '丁B', '戊C', '退货C']);
+        expect(items[1]).toMatchObject({ rank: 2, share: 30, cumulativeShare: 80 });
+        expect(items[5].share).toBe(0);
+    });
+    
+    test('阈值可配置', () => {
+        const classes = AbcAnalyzer.toClassMap(AbcAnalyzer.classifyMonth(feb, { a: 50, b: 45 }));
+        expect(classes.get('甲')).toBe('A');
+        expect(classes.get('乙')).toBe('B');
+        expect(classes.get('戊')).toBe('C');
+    });
+    
+    test('汇总各分类的商品数和销售额占比', () => {
+        const summary = AbcAnalyzer.summarize(AbcAnalyzer.classifyMonth(feb));
+        expect(summary.A).toMatchObject({ count: 2, share: 80 });
+        expect(summary.B.count).toBe(2);
+        expect(summary.C).toMatchObject({ count: 2, salesAmount: -1 });
+    });
+    
+    test('记录相邻月份间分类变化的商品', () => {
+        const moves = AbcAnalyzer.trackMoves([feb, mar]);
+        expect(moves.map(move => `${move.key}:${move.fromClass}→${move.toClass}`).sort()).toEqual(['丙:B→A', '甲:A→B']);
+        expect(moves.find(move => move.key === '甲')).toMatchObject({ fromMonth: '2月', toMonth: '3月', baseSales: 50, currentSales: 10 });
+        expect(AbcAnalyzer.trackMoves([feb])).toEqual([]);
+    });
+    
+    test('按品类分类', () => {
+        const month = makeMonth('4', { groupedData: {
+            '水果': [{ '商品': '苹果', '数量': '1', '金额': '90' }],
+            '蔬菜': [{ '商品': '白菜', '数量': '1', '金额': '10' }]
+        } });
+        expect(AbcAnalyzer.classifyMonth(month, undefined, 'category').map(item => `${item.key}${item.abcClass}`)).toEqual(['水果A', '蔬菜B']);
+        expect(AbcAnalyzer.trackMoves([feb, mar], undefined, 'category')).toEqual([]);
+    });
+});
+
+
+/**
+ * LifecycleAnalyzer 商品生命周期测试
+ * 
+ * 测试两个期间之间及全部历史中的新品、停售、回归识别和月份区域标记
+ */
+describe('LifecycleAnalyzer 商品生命周期', () => {
+    const { LifecycleAnalyzer } = require('../app');
+    
+    const namesMonth = (id, names) => makeMonth(id, {
+        groupedData: { '全部': names.map((name, i) => ({ '商品': name, '数量': '1', '金额': String((i + 1) * 10) })) }
+    });
+    
+    const jan = namesMonth('1', ['苹果', '梨']);
+    const feb = namesMonth('2', ['苹果']);
+    const mar = namesMonth('3', ['苹果', '梨', '香蕉']);
+    const months = [jan, feb, mar];
+    
+    test('两个期间之间：基期之前卖过的为回归，否则为新品', () => {
+        const rows = LifecycleAnalyzer.compare(months, feb, mar);
+        expect(rows.find(row => row.key === '梨')).toMatchObject({ status: 'reactivated', currentSales: 20, lastMonth: '1月' });
+        expect(rows.find(row => row.key === '香蕉')).toMatchObject({ status: 'new', currentSales: 30, lastMonth: null });
+        expect(rows).toHaveLength(2);
+        
+        expect(LifecycleAnalyzer.compare(months, jan, feb)).toEqual([
+            { key: '梨', category: '全部', status: 'discontinued', baseSales: 20, currentSales: 0, lastMonth: null }
+        ]);
+    });
+    
+    test('全部历史按相邻月份记录事件', () => {
+        const events = LifecycleAnalyzer.scanHistory(months).map(event => `${event.month}:${event.key}:${event.status}`);
+        expect(events).toEqual(['2月:梨:discontinued', '3月:梨:reactivated', '3月:香蕉:new']);
+    });
+    
+    test('月份区域标记新品、回归和下月未售', () => {
+        const markers = LifecycleAnalyzer.buildMarkers(months);
+        expect(markers.get('1').get('梨')).toBe('ending');
+        expect(markers.get('1').has('苹果')).toBe(false);
+        expect(markers.get('3').get('梨')).toBe('reactivated');
+        expect(markers.get('3').get('香蕉')).toBe('new');
+        expect(markers.get('3').has('苹果')).toBe(false);
+    });
+    
+    test('按品类查看新增和停售', () => {
+        const apr = makeMonth('4', { groupedData: { '饮料': [{ '商品': '可乐', '数量': '1', '金额': '5' }] } });
+        expect(LifecycleAnalyzer.compare([mar, apr], mar, apr, 'category').map(row => `${row.key}:${row.status}`))
+            .toEqual(['饮料:new', '全部:discontinued']);
+        expect(LifecycleAnalyzer.scanHistory([...months, apr], 'category').map(row => `${row.month}:${row.key}:${row.status}`))
+            .toEqual(['4月:饮料:new', '4月:全部:discontinued']);
+    });
+});
+
+
+/**
+ * CategoryMixAnalyzer 品类结构测试
+ * 
+ * 测试各月份品类占比、占比变化和品类内商品占比
+ */
+describe('CategoryMixAnalyzer 品类结构', () => {
+    const { CategoryMixAnalyzer } = require('../app');
+    
+    const row = (name, amount) => ({ '商品': name, '数量': '1', '金额': String(amount) });
+    
+    const feb = makeMonth('2', { groupedData: { '水果': [row('苹果', 60), row('梨', 20)], '蔬菜': [row('白菜', 20)] } });
+    const mar = makeMonth('3', { groupedData: { '水果': [row('苹果', 50)], '蔬菜': [row('白菜', 40)], '饮料': [row('可乐', 10)] } });
+    
+    test('按月份计算品类占比，品类按合计销售额排序', () => {
+        const mix = CategoryMixAnalyzer.summarize([feb, mar]);
+        expect(mix.categories).toEqual(['水果', '蔬菜', '饮料']);
+        expect(mix.months[0].total).toBe(100);
+        expect(mix.months[0].categories.get('水果').share).toBe(80);
+        expect(mix.months[1].categories.get('饮料').share).toBe(10);
+    });
+    
+    test('占比变化以百分点计，缺失的品类占比为 0', () => {
+        const rows = CategoryMixAnalyzer.shareChanges([feb, mar]);
+        expect(rows.find(r => r.category === '水果')).toMatchObject({ shares: [80, 50], totalChange: -30, lastChange: -30 });
+        expect(rows.find(r => r.category === '饮料')).toMatchObject({ shares: [0, 10], totalChange: 10 });
+        expect(CategoryMixAnalyzer.shareChanges([feb])[0].lastChange).toBeNull();
+    });
+    
+    test('品类内商品占该品类销售额的比例', () => {
+        const products = CategoryMixAnalyzer.groupProducts([feb, mar], '水果');
+        expect(products.map(p => p.key)).toEqual(['苹果', '梨']);
+        expect(products[0]).toMatchObject({ sales: [60, 50], shares: [75, 100], total: 110 });
+        expect(products[1].shares).toEqual([25, 0]);
+    });
+});
+
+
+/**
+ * BrandHelper 品牌维度测试
+ * 
+ * 测试品牌列识别、按品牌筛选和分组、品牌占比以及按品牌搜索
+ */
+describe('BrandHelper 品牌维度', () => {
+    const { BrandHelper, SearchEngine, ComparisonEngine, CategoryMixAnalyzer } = require('../app');
+    
+    const config = { productNameColumn: '商品', quantityColumn: '数量', salesColumn: '金额', brandCodeColumn: '品牌编码', brandNameColumn: '品牌' };
+    const row = (name, brand, code, amount) => ({ '商品': name, '品牌': brand, '品牌编码': code, '数量': '1', '金额': String(amount) });
+    const month = {
+        id: '1',
+        month: '2025年3月',
+        config,
+        groupedData: {
+            '饮料': [row('可乐', '可口可乐', 'KO', 30), row('雪碧', '可口可乐', 'KO', 20), row('橙汁', '', 'X9', 10)],
+            '零食': [row('薯片', '乐事', 'LS', 40)]
+        }
+    };
+    
+    test('识别品牌列，品牌名称为空时使用编码', () => {
+        expect(BrandHelper.detectColumns(['品类|名称', '品牌|编码', '品牌|名称'])).toEqual({ brandCodeColumn: '品牌|编码', brandNameColumn: '品牌|名称' });
+        expect(BrandHelper.getBrandName(month.groupedData['饮料'][2], config)).toBe('X9');
+        expect(BrandHelper.getBrandName({}, { brandNameColumn: '品牌' })).toBe('未知品牌');
+        expect(BrandHelper.hasBrandColumns({ salesColumn: '金额' })).toBe(false);
+    });
+    
+    test('列出品牌并按品牌筛选和分组', () => {
+        expect(BrandHelper.getBrands(month.groupedData, config).map(b => `${b.name}:${b.salesAmount}`)).toEqual(['可口可乐:50', '乐事:40', 'X9:10']);
+        expect(Object.keys(BrandHelper.filterGroupedData(month.groupedData, config, '乐事'))).toEqual(['零食']);
+        
+        const byBrand = BrandHelper.groupByBrand(month.groupedData, config);
+        expect(Object.keys(byBrand)).toEqual(['可口可乐', 'X9', '乐事']);
+        expect(byBrand['可口可乐'].map(r => r['商品'])).toEqual(['可乐', '雪碧']);
+    });
+    
+    test('品牌作为对比和占比的维度', () => {
+        expect(ComparisonEngine.summarizeMonth(month, 'brand').get('可口可乐')).toMatchObject({ salesAmount: 50, quantity: 2 });
+        const mix = CategoryMixAnalyzer.summarize([month], 'brand');
+        expect(mix.categories[0]).toBe('可口可乐');
+        expect(mix.months[0].categories.get('乐事').share).toBe(40);
+        expect(CategoryMixAnalyzer.groupProducts([month], '可口可乐', 'brand').map(p => p.key)).toEqual(['可乐', '雪碧']);
+    });
+    
+    test('按品牌名称或编码搜索', () => {
+        expect(SearchEngine.search([month], '可口').map(r => r.productName)).toEqual(['可乐', '雪碧']);
+        expect(SearchEngine.search([month], 'ls').map(r => r.productName)).toEqual(['薯片']);
+        expect(SearchEngine.search([month], '薯片')[0].brand).toBe('乐事');
+    });
+});
+
+/**
+ * DataProcessor 多级分组测试
+ * 
+ * 测试按品类编码前缀、品类、品牌等有序层级构建分组树和小计
+ */
+describe('DataProcessor 多级分组', () => {
+    const { DataProcessor } = require('../app');
+    
+    const config = { productNameColumn: '商品', quantityColumn: '数量', salesColumn: '金额', brandNameColumn: '品牌', categoryCodeColumn: '品类编码' };
+    const row = (name, code, brand, sales) => ({ '商品': name, '品类编码': code, '品牌': brand, '数量': 1, '金额': sales });
+    const groupedData = {
+        '碳酸饮料': [row('可乐', '221003', '可口可乐', 30), row('雪碧', '221003', '可口可乐', 20)],
+        '果汁': [row('橙汁', '221005', '汇源', 10)],
+        '膨化食品': [row('薯片', '260101', '乐事', 40)]
+    };
+    
+    test('识别品类编码列', () => {
+        expect(DataProcessor.detectCategoryCodeColumn(['品类|名称', '品类|编码'])).toBe('品类|编码');
+        expect(DataProcessor.detectCategoryCodeColumn(['品类|名称'])).toBe('');
+    });
+    
+    test('按层级嵌套分组并在每一层计算小计', () => {
+        const tree = DataProcessor.buildGroupTree(groupedData, config, [
+            { type: 'categoryCodePrefix', length: 2 }, { type: 'category' }, { type: 'brand' }
+        ]);
+        expect(tree.map(n => `${n.key}:${n.salesAmount}:${n.quantity}`)).toEqual(['22:60:3', '26:40:1']);
+        expect(tree[0].children.map(n => `${n.key}:${n.salesAmount}`)).toEqual(['碳酸饮料:50', '果汁:10']);
+        
+        const brandNode = tree[0].children[0].children[0];
+        expect(brandNode).toMatchObject({ key: '可口可乐', salesAmount: 50, productCount: 2, children: [] });
+        expect(brandNode.products.map(p => p['商品'])).toEqual(['可乐', '雪碧']);
+    });
+    
+    test('跳过当前数据不可用的层级', () => {
+        const noCodeConfig = { ...config, categoryCodeColumn: '', brandNameColumn: '' };
+        const tree = DataProcessor.buildGroupTree(groupedData, noCodeConfig, [{ type: 'categoryCodePrefix', length: 2 }, { type: 'brand' }]);
+        expect(tree.map(n => n.key)).toEqual(['碳酸饮料', '果汁', '膨化食品']);
+        expect(tree[0].products).toHaveLength(2);
+    });
+});
+
+/**
+ * CategoryHierarchy 品类层级测试
+ * 
+ * 测试按品类编码前缀构建上级品类、名称映射以及沿层级上卷和钻取
+ */
+describe('CategoryHierarchy 品类层级', () => {
+    const { AuthManager, CategoryHierarchy, CategoryMixAnalyzer, ComparisonEngine, DataProcessor, LocalCacheManager } = require('../app');
+    
+    const config = { productNameColumn: '商品', quantityColumn: '数量', salesColumn: '金额', categoryCodeColumn: '品类编码' };
+    const row = (name, code, sales) => ({ '商品': name, '品类编码': code, '数量': 1, '金额': sales });
+    const month = {
+        id: '1',
+        month: '2025年3月',
+        config,
+        groupedData: {
+            '瓜类': [row('西瓜', '221003', 30), row('哈密瓜', '221003', 20)],
+            '叶菜': [row('白菜', '221101', 10)],
+            '膨化食品': [row('薯片', '260101', 40)]
+        }
+    };
+    
+    beforeEach(() => {
+        CategoryHierarchy.loadLocal();
+    });
+    
+    test('校验层级规则', () => {
+        expect(CategoryHierarchy.parseRule('2, 4')).toEqual({ success: true, lengths: [2, 4] });
+        expect(CategoryHierarchy.parseRule('4,2').success).toBe(false);
+        expect(CategoryHierarchy.parseRule('').success).toBe(false);
+        expect(CategoryHierarchy.setRule('2,x').success).toBe(false);
+        expect(CategoryHierarchy.getRuleText()).toBe('2,4');
+    });
+    
+    test('按编码前缀上卷到大类和中类，名称映射后显示为"编码 名称"', () => {
+        CategoryHierarchy.setName('22', '生鲜');
+        const departments = ComparisonEngine.summarizeMonth(month, 'categoryCodePrefix:2');
+        expect(departments.get('22 生鲜')).toMatchObject({ salesAmount: 60, quantity: 3 });
+        expect(departments.get('26').salesAmount).toBe(40);
+        expect([...ComparisonEngine.summarizeMonth(month, 'categoryCodePrefix:4').keys()]).toEqual(['2210', '2211', '2601']);
+        expect(DataProcessor.getDimensionKey({}, '瓜类', { categoryCodeColumn: '' }, 'categoryCodePrefix:2')).toBe('未编码');
+    });
+    
+    test('层级规则和名称保存在本地并可重新加载', () => {
+        CategoryHierarchy.setRule('2,4,6');
+        CategoryHierarchy.setName('2210', '瓜果');
+        CategoryHierarchy.setName('22', '');
+        CategoryHierarchy.lengths = [];
+        CategoryHierarchy.names = {};
+        
+        CategoryHierarchy.loadLocal();
+        expect(CategoryHierarchy.lengths).toEqual([2, 4, 6]);
+        expect(CategoryHierarchy.names).toEqual({ '2210': '瓜果' });
+        expect(CategoryHierarchy.getLevels().map(level => level.name)).toEqual(['大类', '中类', '小类']);
+    });
+    
+    test('清除用户缓存时删除该用户的品类层级设置', () => {
+        AuthManager.currentUser = { id: 1, username: 'a' };
+        CategoryHierarchy.setRule('2,4,6');
+        
+        LocalCacheManager.clearUserCache(1);
+        expect(localStorage.getItem('sales_data_category_hierarchy_1')).toBeNull();
+        CategoryHierarchy.loadLocal();
+        expect(CategoryHierarchy.lengths).toEqual([2, 4]);
+    });
+    
+    test('列出上级品类并沿层级逐级钻取', () => {
+        const tree = CategoryHierarchy.buildTree([month]);
+        expect(tree.map(node => `${node.prefix}:${node.depth}:${node.categoryCount}:${node.salesAmount}`))
+            .toEqual(['22:0:2:60', '2210:1:1:50', '2211:1:1:10', '26:0:1:40', '2601:1:1:40']);
+        
+        expect(CategoryHierarchy.getNextDimension('categoryCodePrefix:2')).toBe('categoryCodePrefix:4');
+        expect(CategoryHierarchy.getNextDimension('categoryCodePrefix:4')).toBe('category');
+        
+        const scoped = CategoryMixAnalyzer.scopeMonths([month], [{ dimension: 'categoryCodePrefix:2', key: '22' }]);
+        expect(Object.keys(scoped[0].groupedData)).toEqual(['瓜类', '叶菜']);
+        const mix = CategoryMixAnalyzer.summarize(scoped, 'categoryCodePrefix:4');
+        expect(mix.months[0].categories.get('2210').share).toBeCloseTo(50 / 60 * 100);
+    });
+});
+
+/**
+ * AliasManager 名称别名测试
+ * 
+ * 测试别名合并与取消合并、对已保存月份的重新分组以及趋势和搜索的跨名称匹配
+ */
+describe('AliasManager 名称别名', () => {
+    const { AuthManager, AliasManager, DataProcessor, StateManager, SearchEngine, LocalCacheManager } = require('../app');
+    
+    const config = { categoryColumn: '品类', productNameColumn: '商品', quantityColumn: '数量', salesColumn: '金额' };
+    const february = {
+        id: '2', month: '2月', period: { year: 2025, month: 2 }, config,
+        groupedData: { '瓜果': [{ '品类': '瓜果', '商品': '西瓜(旧)', '数量': 2, '金额': 20 }] }
+    };
+    const march = {
+        id: '3', month: '3月', period: { year: 2025, month: 3 }, config,
+        groupedData: { '瓜类': [{ '品类': '瓜类', '商品': '西瓜', '数量': 3, '金额': 30 }] }
+    };
+    
+    beforeEach(() => {
+        AliasManager.loadLocal();
+        StateManager.monthsData = [february, march];
+        StateManager.productNames = null;
+    });
+    
+    afterEach(() => {
+        AliasManager.aliases = [];
+        AliasManager._rebuildIndex();
+        StateManager.monthsData = [];
+        StateManager.productNames = null;
+    });
+    
+    test('合并时展开别名链，不能合并到自身', async () => {
+        await AliasManager.merge('product', 'A', 'B');
+        await AliasManager.merge('product', 'B', 'C');
+        expect(AliasManager.resolve('product', 'A')).toBe('C');
+        expect((await AliasManager.merge('product', 'C', 'A')).error).toBe('不能合并到自身');
+        expect((await AliasManager.merge('brand', 'x', 'y')).success).toBe(false);
+        
+        await AliasManager.unmerge('product', 'B');
+        expect(AliasManager.resolve('product', 'B')).toBe('B');
+        expect(AliasManager.resolve('product', 'A')).toBe('C');
+        
+        AliasManager.aliases = [];
+        AliasManager.loadLocal();
+        expect(AliasManager.getAliases('product').map(a => `${a.alias}>${a.canonical}`)).toEqual(['A>C']);
+    });
+    
+    test('清除用户缓存时删除该用户的别名', async () => {
+        AuthManager.currentUser = { id: 1, username: 'a' };
+        await AliasManager.merge('product', 'A', 'B');
+        
+        LocalCacheManager.clearUserCache(1);
+        expect(localStorage.getItem('sales_data_aliases_1')).toBeNull();
+        AliasManager.loadLocal();
+        expect(AliasManager.resolve('product', 'A')).toBe('A');
+    });
+    
+    test('品类别名作用于已保存的月份，取消合并后恢复', async () => {
+        await AliasManager.merge('category', '瓜果', '瓜类');
+        StateManager.applyAliases();
+        expect(Object.keys(february.groupedData)).toEqual(['瓜类']);
+        expect(DataProcessor.processData([{ '品类': '瓜果', '商品': '甜瓜', '数量': 1, '金额': 5 }], { ...config, selectedColumns: ['品类', '商品', '数量', '金额'] }))
+            .toHaveProperty('瓜类');
+        
+        await AliasManager.unmerge('category', '瓜果');
+        StateManager.applyAliases();
+        expect(Object.keys(february.groupedData)).toEqual(['瓜果']);
+    });
+    
+    test('商品合并后趋势连续，搜索旧名称也能找到新月份', async () => {
+        expect(StateManager.getProductTrendData('西瓜').length).toBe(1);
+        
+        await AliasManager.merge('product', '西瓜(旧)', '西瓜');
+        StateManager.applyAliases();
+        expect(StateManager.getProductTrendData('西瓜').map(p => p.salesAmount)).toEqual([20, 30]);
+        expect(StateManager.getProductDisplayName('西瓜')).toBe('西瓜');
+        expect(SearchEngine.search(StateManager.getMonthsInPeriodOrder(), '旧').map(r => r.month)).toEqual(['2月', '3月']);
+    });
+    
+    test('从云端加载前先同步离线时的合并和取消合并', async () => {
+        AuthManager.token = 'token';
+        AuthManager.currentUser = { id: 1, username: 'tester' };
+        LocalCacheManager.addPendingOperation({ type: 'uploadAlias', data: { kind: 'product', alias: '西瓜(旧)', canonical: '西瓜' }, timestamp: Date.now() });
+        LocalCacheManager.addPendingOperation({ type: 'deleteAlias', data: { kind: 'category', alias: '瓜果' }, timestamp: Date.now() });
+        global.fetch
+            .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true, id: 1 }) })
+            .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) })
+            .mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({ success: true, data: [{ kind: 'product', alias: '西瓜(旧)', canonical: '西瓜', updatedAt: '2025-03-01T00:00:00.000Z' }] })
+            });
+        
+        expect(await AliasManager.initFromCloud()).toBe(true);
+        expect(global.fetch.mock.calls.map(([, options]) => options.method)).toEqual(['POST', 'DELETE', 'GET']);
+        expect(LocalCacheManager.getPendingOperations()).toEqual([]);
+        expect(AliasManager.resolve('product', '西瓜(旧)')).toBe('西瓜');
+    });
+    
+    test('离线时的合并未能同步时不用云端别名覆盖本地', async () => {
+        AuthManager.token = 'token';
+        AuthManager.currentUser = { id: 1, username: 'tester' };
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        global.fetch.mockRejectedValueOnce(new Error('offline')).mockRejectedValueOnce(new Error('offline'));
+        try {
+            await AliasManager.merge('product', '西瓜(旧)', '西瓜');
+            expect(LocalCacheManager.getPendingOperations().map(op => op.type)).toEqual(['uploadAlias']);
+            
+            expect(await AliasManager.initFromCloud()).toBe(false);
+            expect(global.fetch.mock.calls.map(([, options]) => options.method)).toEqual(['POST', 'POST']);
+            expect(AliasManager.resolve('product', '西瓜(旧)')).toBe('西瓜');
+        } finally {
+            errorSpy.mockRestore();
+        }
+    });
+});
@@ -283,6 +283,78 @@ describe('Property 7: 登录后数据加载', () => {
     });
 });
 
+/**
+ * 上传请求格式测试
+ * 
+ * 服务器从请求体顶层读取月度数据字段，上传时不能再包一层
+ */
+describe('CloudSyncManager 上传请求格式', () => {
+    test('请求体就是月度数据本身', async () => {
+        simulateLogin(1, 'testuser', 'token-1');
+        global.fetch.mockResolvedValueOnce({
+            ok: true,
+            json: async () => ({ success: true, id: 7 })
+        });
+        const monthData = {
+            monthId: 'm1',
+            monthName: '2025年3月',
+            period: { year: 2025, month: 3 },
+            color: '#E3F2FD',
+            config: { categoryColumn: '品类' },
+            groupedData: { '水果': [{ '品类': '水果', '商品': '苹果' }] },
+            rawData: []
+        };
+        
+        const result = await CloudSyncManager.uploadData(monthData);
+        
+        expect(result).toEqual({ success: true, id: 7 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        const [url, options] = global.fetch.mock.calls[0];
+        expect(url).toMatch(/\/data$/);
+        expect(options.method).toBe('POST');
+        expect(options.body).toBe(JSON.stringify(monthData));
+        expect(JSON.parse(options.body)).not.toHaveProperty('monthData');
+    });
+});
+
+/**
+ * 待同步操作重放测试
+ * 
+ * 只移除同步成功的操作，失败的留在队列中且不重复
+ */
+describe('CloudSyncManager 同步待处理操作', () => {
+    test('部分操作失败时只移除已同步的操作', async () => {
+        simulateLogin(1, 'testuser', 'token-1');
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const templateOp = { type: 'uploadTemplate', data: { name: '月报', columns: [], config: {} }, timestamp: 1 };
+        const aliasOp = { type: 'uploadAlias', data: { kind: 'product', alias: 'A', canonical: 'B' }, timestamp: 2 };
+        const deleteOp = { type: 'deleteTemplate', name: '旧模板', timestamp: 3 };
+        [templateOp, aliasOp, deleteOp].forEach(op => LocalCacheManager.addPendingOperation(op));
+        global.fetch
+            .mockResolvedValueOnce({ ok: true, json: async () => ({ success: true, id: 1 }) })
+            .mockResolvedValueOnce({ ok: false, json: async () => ({ success: false, error: '别名无效' }) })
+            .mockRejectedValueOnce(new Error('network'));
+        
+        try {
+            const result = await CloudSyncManager.syncPendingOperations();
+            
+            expect(result).toEqual({ success: false, synced: 1, failed: 2 });
+            expect(LocalCacheManager.getPendingOperations()).toEqual([aliasOp, deleteOp]);
+        } finally {
+            errorSpy.mockRestore();
+        }
+    });
+    
+    test('全部同步成功后清空队列', async () => {
+        simulateLogin(1, 'testuser', 'token-1');
+        LocalCacheManager.addPendingOperation({ type: 'deleteAlias', data: { kind: 'product', alias: 'A' }, timestamp: 1 });
+        global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ success: true }) });
+        
+        expect(await CloudSyncManager.syncPendingOperations()).toEqual({ success: true, synced: 1, failed: 0 });
+        expect(LocalCacheManager.getPendingOperations()).toEqual([]);
+    });
+});
+
 /**
  * **Feature: user-auth-cloud-storage, Property 11: 云端数据优先**
  * 
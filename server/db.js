@@ -1,20 +1,39 @@
 /**
  * 数据库模块 - 使用 sql.js (SQLite WebAssembly)
  * Requirements: 7.1
+ * 
+ * 数据库在内存中运行，写操作后延迟合并保存到文件：
+ * 先写入临时文件并同步到磁盘，再重命名覆盖正式文件，写入过程中崩溃不会损坏已有文件。
+ * 保存失败时修改仍标记为未保存并退避重试，关闭时也会再次保存。
  */
 
 const initSqlJs = require('sql.js');
 const fs = require('fs');
 const path = require('path');
 
-const DB_PATH = path.join(__dirname, 'data', 'sales.db');
+const { MIGRATIONS, runMigrations } = require('./migrations');
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data', 'sales.db');
+
+// 最后一次写操作后等待多久保存（毫秒），连续写入时最长等待 SAVE_MAX_DELAY_MS
+const SAVE_DELAY_MS = Number(process.env.DB_SAVE_DELAY_MS) || 1000;
+const SAVE_MAX_DELAY_MS = Number(process.env.DB_SAVE_MAX_DELAY_MS) || 5000;
+// 保存失败后按 SAVE_DELAY_MS 的倍数退避重试，最长间隔
+const SAVE_RETRY_MAX_DELAY_MS = Number(process.env.DB_SAVE_RETRY_MAX_DELAY_MS) || 60000;
 
 let db = null;
+let inTransaction = false;
+let saveTimer = null;
+let firstPendingWriteAt = null;
+// 有尚未成功写入文件的修改，只在重命名成功后清除
+let dirty = false;
+let saveFailures = 0;
 
 /**
- * 初始化数据库连接
+ * 初始化数据库连接并执行结构迁移
+ * @param {{ migrate?: boolean }} [options] - migrate 为 false 时只加载数据库，不执行迁移
  */
-async function initDatabase() {
+async function initDatabase(options = {}) {
   if (db) return db;
 
   const SQL = await initSqlJs();
@@ -25,6 +44,12 @@ async function initDatabase() {
     fs.mkdirSync(dataDir, { recursive: true });
   }
 
+  // 上次保存中断留下的临时文件不完整，直接丢弃。
+  // 只加载不迁移时（迁移命令）服务可能仍在运行，临时文件可能是它正在写入的，不能删除
+  if (options.migrate !== false && fs.existsSync(getTempPath())) {
+    fs.unlinkSync(getTempPath());
+  }
+
   // 如果数据库文件存在，加载它；否则创建新数据库
   if (fs.existsSync(DB_PATH)) {
     const fileBuffer = fs.readFileSync(DB_PATH);
@@ -33,50 +58,40 @@ async function initDatabase() {
     db = new SQL.Database();
   }
 
-  // 创建表结构
-  createTables();
+  if (options.migrate !== false) {
+    try {
+      migrate();
+    } catch (error) {
+      // 数据库结构版本高于程序或迁移失败时拒绝启动
+      db.close();
+      db = null;
+      throw error;
+    }
+  }
   
   return db;
 }
 
 /**
- * 创建数据库表
+ * 执行尚未应用的结构迁移
+ * @param {{ dryRun?: boolean }} [options] - dryRun 时只列出待执行的迁移
+ * @returns {{ currentVersion: number, targetVersion: number, pending: Array, applied: number[] }}
  */
-function createTables() {
-  // 用户表
-  db.run(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  // 销售数据表
-  db.run(`
-    CREATE TABLE IF NOT EXISTS sales_data (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER NOT NULL,
-      month_id TEXT NOT NULL,
-      month_name TEXT NOT NULL,
-      color TEXT NOT NULL,
-      config TEXT NOT NULL,
-      grouped_data TEXT NOT NULL,
-      raw_data TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id)
-    )
-  `);
-
-  // 创建索引
-  db.run(`CREATE INDEX IF NOT EXISTS idx_sales_user_id ON sales_data(user_id)`);
-  db.run(`CREATE INDEX IF NOT EXISTS idx_sales_month_id ON sales_data(month_id)`);
+function migrate(options = {}) {
+  const result = runMigrations(getDatabase(), MIGRATIONS, options);
+  if (result.applied.length > 0) {
+    saveDatabase();
+  }
+  return result;
+}
+
+function getTempPath() {
+  return `${DB_PATH}.tmp`;
 }
 
 /**
- * 保存数据库到文件
+ * 立即保存数据库到文件（临时文件 + 重命名）
+ * 写入失败时抛出错误，修改仍标记为未保存，已安排的保存保持不变
  */
 function saveDatabase() {
   if (!db) return;
@@ -88,7 +103,84 @@ function saveDatabase() {
   
   const data = db.export();
   const buffer = Buffer.from(data);
-  fs.writeFileSync(DB_PATH, buffer);
+  const tempPath = getTempPath();
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, buffer, 0, buffer.length);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, DB_PATH);
+
+  cancelScheduledSave();
+  dirty = false;
+  saveFailures = 0;
+}
+
+/**
+ * 安排一次延迟保存：短时间内的多次写操作只保存一次
+ */
+function scheduleSave() {
+  dirty = true;
+  // 保存失败后等待退避重试，不被新的写操作提前
+  if (saveFailures > 0 && saveTimer) {
+    return;
+  }
+
+  const now = Date.now();
+  if (firstPendingWriteAt === null) {
+    firstPendingWriteAt = now;
+  }
+  setSaveTimer(Math.max(0, Math.min(SAVE_DELAY_MS, firstPendingWriteAt + SAVE_MAX_DELAY_MS - now)));
+}
+
+/**
+ * 在 delay 毫秒后保存，失败时退避后重试直到成功
+ * @param {number} delay
+ */
+function setSaveTimer(delay) {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+  }
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      saveDatabase();
+    } catch (error) {
+      saveFailures++;
+      const retryDelay = Math.min(SAVE_RETRY_MAX_DELAY_MS, SAVE_DELAY_MS * 2 ** saveFailures);
+      console.error(`保存数据库错误，${retryDelay}ms 后重试:`, error);
+      setSaveTimer(retryDelay);
+    }
+  }, delay);
+  // 不因为待保存的定时器阻止进程退出，退出前由 closeDatabase 保存
+  saveTimer.unref?.();
+}
+
+function cancelScheduledSave() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  firstPendingWriteAt = null;
+}
+
+/**
+ * 是否有尚未保存到文件的写操作（包括保存失败等待重试的）
+ * @returns {boolean}
+ */
+function hasPendingSave() {
+  return dirty;
+}
+
+/**
+ * 立即保存尚未保存的写操作
+ */
+function flushDatabase() {
+  if (hasPendingSave()) {
+    saveDatabase();
+  }
 }
 
 /**
@@ -110,6 +202,9 @@ function closeDatabase() {
     db.close();
     db = null;
   }
+  cancelScheduledSave();
+  dirty = false;
+  saveFailures = 0;
 }
 
 /**
@@ -135,23 +230,57 @@ function queryOne(sql, params = []) {
 }
 
 /**
- * 执行插入/更新/删除操作
+ * 执行插入/更新/删除操作，修改在 SAVE_DELAY_MS 后合并保存到文件
  */
 function run(sql, params = []) {
   db.run(sql, params);
-  saveDatabase();
-  return {
+  // 必须在 saveDatabase 之前读取，db.export() 会重置 last_insert_rowid 和修改计数
+  const result = {
     lastInsertRowid: db.exec("SELECT last_insert_rowid()")[0]?.values[0]?.[0],
     changes: db.getRowsModified()
   };
+  // 事务中的写操作在提交时统一保存
+  if (!inTransaction) {
+    scheduleSave();
+  }
+  return result;
+}
+
+/**
+ * 在事务中执行多条写操作，全部成功后提交，出错时回滚
+ * @param {Function} fn - 事务内执行的函数，返回值作为结果
+ * @returns {*}
+ */
+function transaction(fn) {
+  if (inTransaction) {
+    return fn();
+  }
+
+  db.run('BEGIN TRANSACTION');
+  inTransaction = true;
+  try {
+    const result = fn();
+    db.run('COMMIT');
+    inTransaction = false;
+    scheduleSave();
+    return result;
+  } catch (error) {
+    inTransaction = false;
+    db.run('ROLLBACK');
+    throw error;
+  }
 }
 
 module.exports = {
   initDatabase,
+  migrate,
   getDatabase,
   closeDatabase,
   saveDatabase,
+  flushDatabase,
+  hasPendingSave,
   query,
   queryOne,
-  run
+  run,
+  transaction
 };
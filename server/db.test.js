@@ -0,0 +1,149 @@
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const os = require('os');
+const path = require('path');
+
+/**
+ * 数据库持久化测试
+ * 
+ * 使用临时目录中的数据库文件，测试延迟保存、原子写入和事务回滚
+ */
+describe('数据库持久化', () => {
+    let tempDir;
+    let dbPath;
+    let db;
+    let SQL;
+    
+    beforeAll(async () => {
+        SQL = await initSqlJs();
+    });
+    
+    function loadDbModule() {
+        let mod;
+        jest.isolateModules(() => {
+            mod = require('./db');
+        });
+        return mod;
+    }
+    
+    beforeEach(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sales-db-'));
+        dbPath = path.join(tempDir, 'sales.db');
+        process.env.DB_PATH = dbPath;
+        process.env.DB_SAVE_DELAY_MS = '50';
+        db = loadDbModule();
+        await db.initDatabase();
+    });
+    
+    afterEach(() => {
+        db.closeDatabase();
+        delete process.env.DB_PATH;
+        delete process.env.DB_SAVE_DELAY_MS;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+    
+    // 直接读取文件内容，确认已保存到磁盘的数据
+    function countUsersOnDisk() {
+        const saved = new SQL.Database(fs.readFileSync(dbPath));
+        const count = saved.exec('SELECT COUNT(*) FROM users')[0].values[0][0];
+        saved.close();
+        return count;
+    }
+    
+    test('写操作延迟合并保存，flush 后写入文件且不留临时文件', async () => {
+        db.run("INSERT INTO users (username, password_hash) VALUES ('a', 'x')");
+        db.run("INSERT INTO users (username, password_hash) VALUES ('b', 'x')");
+        
+        expect(db.hasPendingSave()).toBe(true);
+        expect(countUsersOnDisk()).toBe(0);
+        
+        db.flushDatabase();
+        expect(db.hasPendingSave()).toBe(false);
+        expect(countUsersOnDisk()).toBe(2);
+        expect(fs.existsSync(`${dbPath}.tmp`)).toBe(false);
+    });
+    
+    test('延迟时间到后自动保存', async () => {
+        db.run("INSERT INTO users (username, password_hash) VALUES ('a', 'x')");
+        await new Promise(resolve => setTimeout(resolve, 150));
+        
+        expect(db.hasPendingSave()).toBe(false);
+        expect(countUsersOnDisk()).toBe(1);
+    });
+    
+    test('保存失败时保留未保存标记并退避重试，之后仍会写入文件', async () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const renameSpy = jest.spyOn(fs, 'renameSync').mockImplementationOnce(() => {
+            throw new Error('disk full');
+        });
+        try {
+            db.run("INSERT INTO users (username, password_hash) VALUES ('a', 'x')");
+            await new Promise(resolve => setTimeout(resolve, 80));
+            
+            expect(renameSpy).toHaveBeenCalledTimes(1);
+            expect(errorSpy).toHaveBeenCalled();
+            expect(db.hasPendingSave()).toBe(true);
+            expect(countUsersOnDisk()).toBe(0);
+            
+            // 第一次重试在 SAVE_DELAY_MS * 2 后
+            await new Promise(resolve => setTimeout(resolve, 150));
+            expect(db.hasPendingSave()).toBe(false);
+            expect(countUsersOnDisk()).toBe(1);
+        } finally {
+            renameSpy.mockRestore();
+            errorSpy.mockRestore();
+        }
+    });
+    
+    test('保存失败后 flush 仍会保存', () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const renameSpy = jest.spyOn(fs, 'renameSync').mockImplementationOnce(() => {
+            throw new Error('disk full');
+        });
+        try {
+            db.run("INSERT INTO users (username, password_hash) VALUES ('a', 'x')");
+            expect(() => db.flushDatabase()).toThrow('disk full');
+            expect(db.hasPendingSave()).toBe(true);
+            
+            db.flushDatabase();
+            expect(db.hasPendingSave()).toBe(false);
+            expect(countUsersOnDisk()).toBe(1);
+        } finally {
+            renameSpy.mockRestore();
+            errorSpy.mockRestore();
+        }
+    });
+    
+    test('事务出错时回滚全部写操作', () => {
+        expect(() => db.transaction(() => {
+            db.run("INSERT INTO users (username, password_hash) VALUES ('a', 'x')");
+            db.run("INSERT INTO users (username, password_hash) VALUES ('a', 'x')");
+        })).toThrow();
+        
+        expect(db.queryOne('SELECT COUNT(*) AS count FROM users').count).toBe(0);
+        
+        const id = db.transaction(() => db.run("INSERT INTO users (username, password_hash) VALUES ('b', 'x')").lastInsertRowid);
+        expect(id).toBeGreaterThan(0);
+        expect(db.queryOne('SELECT COUNT(*) AS count FROM users').count).toBe(1);
+    });
+    
+    test('保存中断留下的临时文件在启动时被丢弃', async () => {
+        db.run("INSERT INTO users (username, password_hash) VALUES ('a', 'x')");
+        db.closeDatabase();
+        fs.writeFileSync(`${dbPath}.tmp`, 'partial write');
+        
+        db = loadDbModule();
+        await db.initDatabase();
+        expect(fs.existsSync(`${dbPath}.tmp`)).toBe(false);
+        expect(db.queryOne('SELECT COUNT(*) AS count FROM users').count).toBe(1);
+    });
+    
+    test('只加载不迁移时保留临时文件', async () => {
+        db.closeDatabase();
+        fs.writeFileSync(`${dbPath}.tmp`, 'server is writing');
+        
+        db = loadDbModule();
+        await db.initDatabase({ migrate: false });
+        expect(fs.readFileSync(`${dbPath}.tmp`, 'utf8')).toBe('server is writing');
+    });
+});
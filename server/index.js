@@ -5,6 +5,7 @@
 
 const app = require('./app');
 const { initDatabase, closeDatabase } = require('./db');
+const { migrateJsonRows } = require('./salesRows');
 
 // 端口配置：优先使用环境变量，默认 3000
 const PORT = process.env.PORT || 3000;
@@ -16,6 +17,15 @@ async function startServer() {
   try {
     await initDatabase();
     console.log('数据库初始化成功');
+
+    // 将旧版本以 JSON 保存的商品行和原始数据迁移到 sales_rows、sales_raw_rows
+    const migration = migrateJsonRows();
+    if (migration.migrated > 0) {
+      console.log(`已迁移 ${migration.migrated} 个月份的商品行到 sales_rows`);
+    }
+    if (migration.rawMigrated > 0) {
+      console.log(`已迁移 ${migration.rawMigrated} 个月份的原始数据到 sales_raw_rows`);
+    }
     
     server = app.listen(PORT, () => {
       console.log(`服务器已启动，端口: ${PORT}`);
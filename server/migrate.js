@@ -0,0 +1,37 @@
+/**
+ * 数据库迁移命令
+ * 
+ * 用法：
+ *   node migrate.js            执行待执行的迁移
+ *   node migrate.js --dry-run  只列出待执行的迁移，不修改数据库
+ */
+
+const { initDatabase, migrate, closeDatabase } = require('./db');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await initDatabase({ migrate: false });
+    const result = migrate({ dryRun });
+
+    console.log(`当前结构版本: ${result.currentVersion}，程序支持版本: ${result.targetVersion}`);
+    if (result.pending.length === 0) {
+      console.log('数据库结构已是最新');
+    } else {
+      result.pending.forEach(({ version, name }) => {
+        console.log(`${dryRun ? '待执行' : '已执行'}: ${version} ${name}`);
+      });
+    }
+
+    // dry-run 不写回数据库文件
+    if (!dryRun) {
+      closeDatabase();
+    }
+  } catch (error) {
+    console.error('迁移失败:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,248 @@
+/**
+ * 数据库结构迁移
+ * 
+ * 迁移按版本号顺序执行，已执行的版本记录在 schema_migrations 表中。
+ * 每个迁移在独立事务中执行，失败时回滚且不记录版本。
+ * 新增表、列或索引时在 MIGRATIONS 末尾追加新版本，不要修改已发布的迁移。
+ */
+
+/**
+ * 读取表的列名
+ * @param {Object} database - sql.js 数据库实例
+ * @param {string} table
+ * @returns {string[]}
+ */
+function getColumns(database, table) {
+  return database.exec(`PRAGMA table_info(${table})`)[0]?.values.map(row => row[1]) || [];
+}
+
+/**
+ * 为已存在的表补充缺失的列（早期版本的数据库可能已经有这些列）
+ * @param {Object} database
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition
+ */
+function addColumnIfMissing(database, table, column, definition) {
+  if (!getColumns(database, table).includes(column)) {
+    database.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * 迁移列表，版本号必须递增
+ * 引入迁移之前创建的数据库没有版本记录，因此前几个迁移都使用 IF NOT EXISTS，可以安全地重复执行
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: '创建用户表和销售数据表',
+    up(database) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT UNIQUE NOT NULL,
+          password_hash TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      database.run(`
+        CREATE TABLE IF NOT EXISTS sales_data (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          month_id TEXT NOT NULL,
+          month_name TEXT NOT NULL,
+          color TEXT NOT NULL,
+          config TEXT NOT NULL,
+          grouped_data TEXT NOT NULL,
+          raw_data TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_sales_user_id ON sales_data(user_id)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_sales_month_id ON sales_data(month_id)`);
+    }
+  },
+  {
+    version: 2,
+    name: '销售数据增加账期列',
+    up(database) {
+      addColumnIfMissing(database, 'sales_data', 'period_year', 'INTEGER');
+      addColumnIfMissing(database, 'sales_data', 'period_month', 'INTEGER');
+    }
+  },
+  {
+    version: 3,
+    name: '创建列映射模板表',
+    up(database) {
+      database.run(`
+        CREATE TABLE IF NOT EXISTS mapping_templates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          columns TEXT NOT NULL,
+          config TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (user_id, name),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: '创建销售明细行表',
+    up(database) {
+      // 商品行的存储方式：json 表示仍在 grouped_data 中，rows 表示已拆分到 sales_rows
+      addColumnIfMissing(database, 'sales_data', 'row_storage', "TEXT NOT NULL DEFAULT 'json'");
+      // 每个商品一行，数值列已解析为数字，data 保存原始行用于还原 groupedData
+      database.run(`
+        CREATE TABLE IF NOT EXISTS sales_rows (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sales_data_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          period_year INTEGER,
+          period_month INTEGER,
+          row_index INTEGER NOT NULL,
+          category TEXT NOT NULL,
+          product_key TEXT NOT NULL,
+          product_name TEXT,
+          store_key TEXT,
+          quantity REAL,
+          sales_amount REAL,
+          data TEXT NOT NULL,
+          FOREIGN KEY (sales_data_id) REFERENCES sales_data(id),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_rows_sales_data_id ON sales_rows(sales_data_id)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_rows_user_period ON sales_rows(user_id, period_year, period_month)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_rows_user_product ON sales_rows(user_id, product_key)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_rows_user_category ON sales_rows(user_id, category)`);
+    }
+  },
+  {
+    version: 5,
+    name: '创建名称别名表',
+    up(database) {
+      // kind 为 product（商品编码或名称）或 category（品类名称），alias 映射到 canonical
+      database.run(`
+        CREATE TABLE IF NOT EXISTS name_aliases (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          kind TEXT NOT NULL,
+          alias TEXT NOT NULL,
+          canonical TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (user_id, kind, alias),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: '创建原始数据行表',
+    up(database) {
+      // 原始数据的存储方式：json 表示仍在 raw_data 中，rows 表示已拆分到 sales_raw_rows
+      addColumnIfMissing(database, 'sales_data', 'raw_storage', "TEXT NOT NULL DEFAULT 'json'");
+      database.run(`
+        CREATE TABLE IF NOT EXISTS sales_raw_rows (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sales_data_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          row_index INTEGER NOT NULL,
+          data TEXT NOT NULL,
+          FOREIGN KEY (sales_data_id) REFERENCES sales_data(id),
+          FOREIGN KEY (user_id) REFERENCES users(id)
+        )
+      `);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_raw_rows_sales_data_id ON sales_raw_rows(sales_data_id)`);
+      database.run(`CREATE INDEX IF NOT EXISTS idx_raw_rows_user_id ON sales_raw_rows(user_id)`);
+    }
+  }
+];
+
+/**
+ * 读取数据库当前的结构版本，没有版本记录时为 0
+ * @param {Object} database
+ * @returns {number}
+ */
+function getSchemaVersion(database) {
+  const hasTable = database.exec(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+  ).length > 0;
+  if (!hasTable) {
+    return 0;
+  }
+  return database.exec('SELECT MAX(version) FROM schema_migrations')[0]?.values[0]?.[0] || 0;
+}
+
+/**
+ * 执行尚未应用的迁移
+ * @param {Object} database - sql.js 数据库实例
+ * @param {Array<{ version: number, name: string, up: Function }>} [migrations]
+ * @param {{ dryRun?: boolean }} [options] - dryRun 时只返回待执行的迁移，不修改数据库
+ * @returns {{ currentVersion: number, targetVersion: number, pending: Array<{ version: number, name: string }>, applied: number[] }}
+ */
+function runMigrations(database, migrations = MIGRATIONS, options = {}) {
+  const versions = migrations.map(migration => migration.version);
+  if (versions.some((version, index) => index > 0 && version <= versions[index - 1])) {
+    throw new Error('迁移版本号必须递增');
+  }
+
+  const currentVersion = getSchemaVersion(database);
+  const targetVersion = versions.length > 0 ? versions[versions.length - 1] : 0;
+
+  if (currentVersion > targetVersion) {
+    throw new Error(`数据库结构版本 (${currentVersion}) 高于程序支持的版本 (${targetVersion})，请升级程序后再启动`);
+  }
+
+  const pending = migrations
+    .filter(migration => migration.version > currentVersion)
+    .map(({ version, name }) => ({ version, name }));
+
+  if (options.dryRun) {
+    return { currentVersion, targetVersion, pending, applied: [] };
+  }
+
+  database.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const applied = [];
+  migrations
+    .filter(migration => migration.version > currentVersion)
+    .forEach(migration => {
+      database.run('BEGIN TRANSACTION');
+      try {
+        migration.up(database);
+        database.run(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+        database.run('COMMIT');
+      } catch (error) {
+        database.run('ROLLBACK');
+        throw new Error(`迁移 ${migration.version}（${migration.name}）失败: ${error.message}`);
+      }
+      applied.push(migration.version);
+    });
+
+  return { currentVersion, targetVersion, pending, applied };
+}
+
+module.exports = {
+  MIGRATIONS,
+  getSchemaVersion,
+  runMigrations,
+  addColumnIfMissing
+};
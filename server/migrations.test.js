@@ -0,0 +1,92 @@
+const initSqlJs = require('sql.js');
+const { MIGRATIONS, getSchemaVersion, runMigrations } = require('./migrations');
+
+/**
+ * 数据库结构迁移测试
+ * 
+ * 使用内存数据库测试迁移顺序、版本记录、事务回滚、dry-run 和版本检查
+ */
+describe('数据库结构迁移', () => {
+    let SQL;
+    let database;
+    
+    beforeAll(async () => {
+        SQL = await initSqlJs();
+    });
+    
+    beforeEach(() => {
+        database = new SQL.Database();
+    });
+    
+    afterEach(() => {
+        database.close();
+    });
+    
+    function tableNames() {
+        return database.exec("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name")[0].values.map(row => row[0]);
+    }
+    
+    test('新数据库按顺序执行全部迁移并记录版本', () => {
+        const result = runMigrations(database);
+        
+        expect(result.currentVersion).toBe(0);
+        expect(result.applied).toEqual(MIGRATIONS.map(m => m.version));
+        expect(getSchemaVersion(database)).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+        expect(tableNames()).toEqual(expect.arrayContaining(['users', 'sales_data', 'mapping_templates', 'sales_rows', 'schema_migrations']));
+        
+        // 再次执行没有待执行的迁移
+        expect(runMigrations(database).applied).toEqual([]);
+    });
+    
+    test('引入迁移前创建的旧数据库可以升级', () => {
+        database.run(`CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE NOT NULL, password_hash TEXT NOT NULL, created_at DATETIME)`);
+        database.run(`CREATE TABLE sales_data (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL, month_id TEXT NOT NULL, month_name TEXT NOT NULL, color TEXT NOT NULL, config TEXT NOT NULL, grouped_data TEXT NOT NULL, raw_data TEXT NOT NULL, created_at DATETIME, updated_at DATETIME)`);
+        database.run(`INSERT INTO sales_data (user_id, month_id, month_name, color, config, grouped_data, raw_data) VALUES (1, 'm', '3月', '#fff', '{}', '{}', '[]')`);
+        
+        runMigrations(database);
+        
+        const row = database.exec('SELECT period_year, row_storage FROM sales_data')[0].values[0];
+        expect(row).toEqual([null, 'json']);
+    });
+    
+    test('dry-run 只列出待执行的迁移，不修改数据库', () => {
+        const result = runMigrations(database, MIGRATIONS, { dryRun: true });
+        
+        expect(result.pending.map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
+        expect(result.applied).toEqual([]);
+        expect(database.exec("SELECT name FROM sqlite_master WHERE type = 'table'")).toEqual([]);
+    });
+    
+    test('迁移失败时回滚且不记录版本', () => {
+        const migrations = [
+            { version: 1, name: '建表', up: (db) => db.run('CREATE TABLE a (id INTEGER)') },
+            {
+                version: 2,
+                name: '失败的迁移',
+                up: (db) => {
+                    db.run('CREATE TABLE b (id INTEGER)');
+                    db.run('INSERT INTO missing_table VALUES (1)');
+                }
+            }
+        ];
+        
+        expect(() => runMigrations(database, migrations)).toThrow('迁移 2（失败的迁移）失败');
+        expect(getSchemaVersion(database)).toBe(1);
+        expect(tableNames()).not.toContain('b');
+    });
+    
+    test('数据库结构版本高于程序时拒绝执行', () => {
+        runMigrations(database);
+        const older = MIGRATIONS.slice(0, 2);
+        
+        expect(() => runMigrations(database, older)).toThrow('高于程序支持的版本');
+    });
+    
+    test('版本号不递增时报错', () => {
+        const migrations = [
+            { version: 2, name: 'b', up: () => {} },
+            { version: 1, name: 'a', up: () => {} }
+        ];
+        expect(() => runMigrations(database, migrations)).toThrow('迁移版本号必须递增');
+    });
+});
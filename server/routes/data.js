@@ -1,16 +1,370 @@
 /**
  * 数据路由 - 销售数据 API
  * Requirements: 2.3, 4.1, 4.2, 4.4
+ * 
+ * 同时提供列映射模板（/api/data/templates）和名称别名（/api/data/aliases）的存取
+ * 商品行保存在 sales_rows 表中，原始数据保存在 sales_raw_rows 表中，
+ * 响应中的 groupedData 和 rawData 由这些行还原
  */
 
 const express = require('express');
 const router = express.Router();
-const { query, queryOne, run } = require('../db');
+const { query, queryOne, run, transaction } = require('../db');
+const {
+  isRowGroupedData,
+  isRawRowData,
+  replaceRows,
+  replaceRawRows,
+  deleteRows,
+  deleteRawRows,
+  loadGroupedData,
+  loadRawData
+} = require('../salesRows');
 const authMiddleware = require('../middleware/auth');
 
 // 所有数据路由都需要认证
 router.use(authMiddleware);
 
+/**
+ * 验证账期（可为空）
+ * @param {{ year: number, month: number } | null | undefined} period
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validatePeriod(period) {
+  if (period === undefined || period === null) {
+    return { valid: true };
+  }
+
+  if (typeof period !== 'object' ||
+      !Number.isInteger(period.year) || period.year < 1900 || period.year > 2999 ||
+      !Number.isInteger(period.month) || period.month < 1 || period.month > 12) {
+    return { valid: false, error: '账期无效' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * 获取用户的所有列映射模板
+ * @param {number} userId
+ * @returns {Array<{ id: number, name: string, columns: string[], config: Object, updatedAt: string }>}
+ */
+function listTemplates(userId) {
+  return query(
+    `SELECT id, name, columns, config, updated_at 
+     FROM mapping_templates 
+     WHERE user_id = ? 
+     ORDER BY updated_at DESC, id DESC`,
+    [userId]
+  ).map(item => ({
+    id: item.id,
+    name: item.name,
+    columns: JSON.parse(item.columns || '[]'),
+    config: JSON.parse(item.config || '{}'),
+    updatedAt: item.updated_at
+  }));
+}
+
+/**
+ * 保存列映射模板，同名模板覆盖
+ * @param {number} userId
+ * @param {{ name: string, columns: string[], config: Object }} template
+ * @returns {{ success: boolean, id?: number, created?: boolean, error?: string }}
+ */
+function saveTemplate(userId, template) {
+  const { name, columns, config } = template || {};
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    return { success: false, error: '模板名称不能为空' };
+  }
+
+  if (!Array.isArray(columns) || !config || typeof config !== 'object') {
+    return { success: false, error: '模板内容无效' };
+  }
+
+  const trimmedName = name.trim();
+  const existing = queryOne(
+    'SELECT id FROM mapping_templates WHERE user_id = ? AND name = ?',
+    [userId, trimmedName]
+  );
+
+  if (existing) {
+    run(
+      `UPDATE mapping_templates 
+       SET columns = ?, config = ?, updated_at = CURRENT_TIMESTAMP 
+       WHERE id = ?`,
+      [JSON.stringify(columns), JSON.stringify(config), existing.id]
+    );
+    return { success: true, id: existing.id, created: false };
+  }
+
+  const result = run(
+    'INSERT INTO mapping_templates (user_id, name, columns, config) VALUES (?, ?, ?, ?)',
+    [userId, trimmedName, JSON.stringify(columns), JSON.stringify(config)]
+  );
+  return { success: true, id: result.lastInsertRowid, created: true };
+}
+
+/**
+ * 删除列映射模板
+ * @param {number} userId
+ * @param {string} name - 模板名称
+ * @returns {{ success: boolean, error?: string }}
+ */
+function deleteTemplate(userId, name) {
+  const existing = queryOne(
+    'SELECT id FROM mapping_templates WHERE user_id = ? AND name = ?',
+    [userId, name]
+  );
+
+  if (!existing) {
+    return { success: false, error: '模板不存在' };
+  }
+
+  run('DELETE FROM mapping_templates WHERE id = ?', [existing.id]);
+  return { success: true };
+}
+
+/**
+ * GET /api/data/templates - 获取用户的列映射模板
+ */
+router.get('/templates', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listTemplates(req.user.id)
+    });
+  } catch (error) {
+    console.error('获取模板错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+/**
+ * POST /api/data/templates - 保存列映射模板
+ * 
+ * 如果同名模板已存在，则覆盖
+ */
+router.post('/templates', (req, res) => {
+  try {
+    const result = saveTemplate(req.user.id, req.body);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      id: result.id
+    });
+  } catch (error) {
+    console.error('保存模板错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+/**
+ * DELETE /api/data/templates/:name - 删除列映射模板
+ */
+router.delete('/templates/:name', (req, res) => {
+  try {
+    const result = deleteTemplate(req.user.id, req.params.name);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('删除模板错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+const ALIAS_KINDS = ['product', 'category'];
+
+/**
+ * 获取用户的名称别名
+ * @param {number} userId
+ * @returns {Array<{ id: number, kind: string, alias: string, canonical: string, updatedAt: string }>}
+ */
+function listAliases(userId) {
+  return query(
+    `SELECT id, kind, alias, canonical, updated_at 
+     FROM name_aliases 
+     WHERE user_id = ? 
+     ORDER BY kind, canonical, alias`,
+    [userId]
+  ).map(item => ({
+    id: item.id,
+    kind: item.kind,
+    alias: item.alias,
+    canonical: item.canonical,
+    updatedAt: item.updated_at
+  }));
+}
+
+/**
+ * 保存名称别名（把 alias 合并到 canonical），同一别名覆盖
+ * 
+ * canonical 本身是别名时合并到它最终指向的名称；原来指向 alias 的别名改为指向新的名称，
+ * 因此别名表中不会出现链
+ * @param {number} userId
+ * @param {{ kind: string, alias: string, canonical: string }} entry
+ * @returns {{ success: boolean, id?: number, created?: boolean, canonical?: string, error?: string }}
+ */
+function saveAlias(userId, entry) {
+  const { kind, alias, canonical } = entry || {};
+
+  if (!ALIAS_KINDS.includes(kind)) {
+    return { success: false, error: '别名类型无效' };
+  }
+
+  if (typeof alias !== 'string' || typeof canonical !== 'string' ||
+      alias.trim().length === 0 || canonical.trim().length === 0) {
+    return { success: false, error: '名称不能为空' };
+  }
+
+  const trimmedAlias = alias.trim();
+  const target = queryOne(
+    'SELECT canonical FROM name_aliases WHERE user_id = ? AND kind = ? AND alias = ?',
+    [userId, kind, canonical.trim()]
+  );
+  const resolved = target ? target.canonical : canonical.trim();
+
+  if (resolved === trimmedAlias) {
+    return { success: false, error: '不能合并到自身' };
+  }
+
+  return transaction(() => {
+    run(
+      `UPDATE name_aliases 
+       SET canonical = ?, updated_at = CURRENT_TIMESTAMP 
+       WHERE user_id = ? AND kind = ? AND canonical = ?`,
+      [resolved, userId, kind, trimmedAlias]
+    );
+
+    const existing = queryOne(
+      'SELECT id FROM name_aliases WHERE user_id = ? AND kind = ? AND alias = ?',
+      [userId, kind, trimmedAlias]
+    );
+
+    if (existing) {
+      run(
+        'UPDATE name_aliases SET canonical = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [resolved, existing.id]
+      );
+      return { success: true, id: existing.id, created: false, canonical: resolved };
+    }
+
+    const result = run(
+      'INSERT INTO name_aliases (user_id, kind, alias, canonical) VALUES (?, ?, ?, ?)',
+      [userId, kind, trimmedAlias, resolved]
+    );
+    return { success: true, id: result.lastInsertRowid, created: true, canonical: resolved };
+  });
+}
+
+/**
+ * 删除名称别名（取消合并）
+ * @param {number} userId
+ * @param {string} kind
+ * @param {string} alias
+ * @returns {{ success: boolean, error?: string }}
+ */
+function deleteAlias(userId, kind, alias) {
+  const existing = queryOne(
+    'SELECT id FROM name_aliases WHERE user_id = ? AND kind = ? AND alias = ?',
+    [userId, kind, alias]
+  );
+
+  if (!existing) {
+    return { success: false, error: '别名不存在' };
+  }
+
+  run('DELETE FROM name_aliases WHERE id = ?', [existing.id]);
+  return { success: true };
+}
+
+/**
+ * GET /api/data/aliases - 获取用户的名称别名
+ */
+router.get('/aliases', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: listAliases(req.user.id)
+    });
+  } catch (error) {
+    console.error('获取别名错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+/**
+ * POST /api/data/aliases - 保存名称别名
+ * 
+ * 如果同一别名已存在，则改为指向新的名称
+ */
+router.post('/aliases', (req, res) => {
+  try {
+    const result = saveAlias(req.user.id, req.body);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      id: result.id,
+      canonical: result.canonical
+    });
+  } catch (error) {
+    console.error('保存别名错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
+/**
+ * DELETE /api/data/aliases/:kind/:alias - 删除名称别名
+ */
+router.delete('/aliases/:kind/:alias', (req, res) => {
+  try {
+    const result = deleteAlias(req.user.id, req.params.kind, req.params.alias);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json({
+      success: true
+    });
+  } catch (error) {
+    console.error('删除别名错误:', error);
+    res.status(500).json({
+      success: false,
+      error: '服务器错误'
+    });
+  }
+});
+
 /**
  * GET /api/data - 获取用户所有销售数据
  * Requirements: 2.3, 4.4
@@ -22,22 +376,29 @@ router.get('/', (req, res) => {
     const userId = req.user.id;
     
     const salesData = query(
-      `SELECT id, month_id, month_name, color, config, grouped_data, raw_data, created_at, updated_at 
+      `SELECT id, month_id, month_name, color, config, grouped_data, raw_data, row_storage, raw_storage, period_year, period_month, created_at, updated_at 
        FROM sales_data 
        WHERE user_id = ? 
        ORDER BY created_at DESC`,
       [userId]
     );
+    const groupedByDataId = loadGroupedData(userId);
+    const rawByDataId = loadRawData(userId);
     
-    // 解析 JSON 字段
+    // 解析 JSON 字段，已拆分的商品行和原始数据从 sales_rows、sales_raw_rows 还原
     const parsedData = salesData.map(item => ({
       id: item.id,
       monthId: item.month_id,
       monthName: item.month_name,
+      period: item.period_year ? { year: item.period_year, month: item.period_month } : null,
       color: item.color,
       config: JSON.parse(item.config || '{}'),
-      groupedData: JSON.parse(item.grouped_data || '[]'),
-      rawData: JSON.parse(item.raw_data || '[]'),
+      groupedData: item.row_storage === 'rows'
+        ? (groupedByDataId.get(item.id) || {})
+        : JSON.parse(item.grouped_data || '[]'),
+      rawData: item.raw_storage === 'rows'
+        ? (rawByDataId.get(item.id) || [])
+        : JSON.parse(item.raw_data || '[]'),
       createdAt: item.created_at,
       updatedAt: item.updated_at
     }));
@@ -66,7 +427,7 @@ router.get('/', (req, res) => {
 router.post('/', (req, res) => {
   try {
     const userId = req.user.id;
-    const { monthId, monthName, color, config, groupedData, rawData } = req.body;
+    const { monthId, monthName, period, color, config, groupedData, rawData } = req.body;
     
     // 验证必填字段
     if (!monthId || typeof monthId !== 'string') {
@@ -83,37 +444,66 @@ router.post('/', (req, res) => {
       });
     }
     
+    const periodValidation = validatePeriod(period);
+    if (!periodValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: periodValidation.error
+      });
+    }
+    
     // 检查是否已存在相同月份的数据
     const existingData = queryOne(
       'SELECT id FROM sales_data WHERE user_id = ? AND month_id = ?',
       [userId, monthId]
     );
     
+    // 品类 -> 商品行格式的数据拆分到 sales_rows，其他格式仍以 JSON 保存
+    const useRows = isRowGroupedData(groupedData);
     const configJson = JSON.stringify(config || {});
-    const groupedDataJson = JSON.stringify(groupedData || []);
-    const rawDataJson = JSON.stringify(rawData || []);
+    const groupedDataJson = useRows ? '{}' : JSON.stringify(groupedData || []);
+    // 原始数据同样按行拆分到 sales_raw_rows
+    const useRawRows = isRawRowData(rawData || []);
+    const rawDataJson = useRawRows ? '[]' : JSON.stringify(rawData || []);
+    const rowStorage = useRows ? 'rows' : 'json';
+    const rawStorage = useRawRows ? 'rows' : 'json';
     const colorValue = color || '#4A90A4';
+    const periodYear = period ? period.year : null;
+    const periodMonth = period ? period.month : null;
     
-    let result;
-    
-    if (existingData) {
-      // 更新现有数据
-      run(
-        `UPDATE sales_data 
-         SET month_name = ?, color = ?, config = ?, grouped_data = ?, raw_data = ?, updated_at = CURRENT_TIMESTAMP 
-         WHERE id = ?`,
-        [monthName, colorValue, configJson, groupedDataJson, rawDataJson, existingData.id]
-      );
-      result = { id: existingData.id };
-    } else {
-      // 插入新数据
-      const insertResult = run(
-        `INSERT INTO sales_data (user_id, month_id, month_name, color, config, grouped_data, raw_data) 
-         VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [userId, monthId, monthName, colorValue, configJson, groupedDataJson, rawDataJson]
-      );
-      result = { id: insertResult.lastInsertRowid };
-    }
+    const result = transaction(() => {
+      let id;
+      if (existingData) {
+        // 更新现有数据
+        run(
+          `UPDATE sales_data 
+           SET month_name = ?, color = ?, config = ?, grouped_data = ?, raw_data = ?, row_storage = ?, raw_storage = ?, period_year = ?, period_month = ?, updated_at = CURRENT_TIMESTAMP 
+           WHERE id = ?`,
+          [monthName, colorValue, configJson, groupedDataJson, rawDataJson, rowStorage, rawStorage, periodYear, periodMonth, existingData.id]
+        );
+        id = existingData.id;
+      } else {
+        // 插入新数据
+        const insertResult = run(
+          `INSERT INTO sales_data (user_id, month_id, month_name, color, config, grouped_data, raw_data, row_storage, raw_storage, period_year, period_month) 
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [userId, monthId, monthName, colorValue, configJson, groupedDataJson, rawDataJson, rowStorage, rawStorage, periodYear, periodMonth]
+        );
+        id = insertResult.lastInsertRowid;
+      }
+      
+      if (useRows) {
+        replaceRows(id, userId, period || null, groupedData, config || {});
+      } else {
+        deleteRows(id);
+      }
+      if (useRawRows) {
+        replaceRawRows(id, userId, rawData || []);
+      } else {
+        deleteRawRows(id);
+      }
+      return { id };
+    });
     
     res.status(existingData ? 200 : 201).json({
       success: true,
@@ -161,8 +551,12 @@ router.delete('/:id', (req, res) => {
       });
     }
     
-    // 删除数据
-    run('DELETE FROM sales_data WHERE id = ?', [dataId]);
+    // 删除数据及其明细行和原始数据行
+    transaction(() => {
+      deleteRows(dataId);
+      deleteRawRows(dataId);
+      run('DELETE FROM sales_data WHERE id = ?', [dataId]);
+    });
     
     res.json({
       success: true
@@ -177,3 +571,12 @@ router.delete('/:id', (req, res) => {
 });
 
 module.exports = router;
+
+// 导出验证函数、模板函数和别名函数供测试使用
+module.exports.validatePeriod = validatePeriod;
+module.exports.listTemplates = listTemplates;
+module.exports.saveTemplate = saveTemplate;
+module.exports.deleteTemplate = deleteTemplate;
+module.exports.listAliases = listAliases;
+module.exports.saveAlias = saveAlias;
+module.exports.deleteAlias = deleteAlias;
@@ -442,3 +442,301 @@ describe('Property 10: 数据删除同步', () => {
         );
     }, 60000);
 });
+
+
+/**
+ * 列映射模板存储测试
+ * 
+ * 测试模板保存、同名覆盖、删除和用户隔离
+ */
+describe('列映射模板', () => {
+    const { listTemplates, saveTemplate, deleteTemplate } = require('./data');
+    
+    const template = {
+        name: 'ERP月报',
+        columns: ['品类|名称', '商品|名称', '销售数量', '销售金额|含税'],
+        config: {
+            categoryColumn: '品类|名称',
+            productNameColumn: '商品|名称',
+            quantityColumn: '销售数量',
+            salesColumn: '销售金额|含税'
+        }
+    };
+    
+    afterEach(() => {
+        run('DELETE FROM mapping_templates');
+    });
+    
+    test('保存后可以查询到相同模板', async () => {
+        const { userId } = await createTestUser();
+        
+        const result = saveTemplate(userId, template);
+        expect(result.success).toBe(true);
+        expect(result.created).toBe(true);
+        
+        const templates = listTemplates(userId);
+        expect(templates.length).toBe(1);
+        expect(templates[0].name).toBe(template.name);
+        expect(templates[0].columns).toEqual(template.columns);
+        expect(templates[0].config).toEqual(template.config);
+    });
+    
+    test('同名模板覆盖而不是新增', async () => {
+        const { userId } = await createTestUser();
+        
+        const first = saveTemplate(userId, template);
+        const second = saveTemplate(userId, { ...template, config: { ...template.config, salesColumn: '销售金额|无税' } });
+        
+        expect(second.created).toBe(false);
+        expect(second.id).toBe(first.id);
+        
+        const templates = listTemplates(userId);
+        expect(templates.length).toBe(1);
+        expect(templates[0].config.salesColumn).toBe('销售金额|无税');
+    });
+    
+    test('无效模板被拒绝', async () => {
+        const { userId } = await createTestUser();
+        
+        expect(saveTemplate(userId, { ...template, name: '  ' }).error).toBe('模板名称不能为空');
+        expect(saveTemplate(userId, { ...template, columns: 'x' }).error).toBe('模板内容无效');
+        expect(listTemplates(userId)).toEqual([]);
+    });
+    
+    test('用户只能看到和删除自己的模板', async () => {
+        const user1 = await createTestUser('user1');
+        const user2 = await createTestUser('user2');
+        
+        saveTemplate(user1.userId, template);
+        
+        expect(listTemplates(user2.userId)).toEqual([]);
+        expect(deleteTemplate(user2.userId, template.name).success).toBe(false);
+        expect(listTemplates(user1.userId).length).toBe(1);
+        
+        expect(deleteTemplate(user1.userId, template.name).success).toBe(true);
+        expect(listTemplates(user1.userId)).toEqual([]);
+    });
+});
+
+
+/**
+ * 名称别名存储测试
+ * 
+ * 测试别名保存、合并链的展开、取消合并和用户隔离
+ */
+describe('名称别名', () => {
+    const { listAliases, saveAlias, deleteAlias } = require('./data');
+    
+    afterEach(() => {
+        run('DELETE FROM name_aliases');
+    });
+    
+    test('保存后可以查询，同一别名改为指向新名称', async () => {
+        const { userId } = await createTestUser();
+        
+        expect(saveAlias(userId, { kind: 'category', alias: ' 瓜果 ', canonical: '瓜类' })).toMatchObject({ success: true, created: true, canonical: '瓜类' });
+        expect(saveAlias(userId, { kind: 'category', alias: '瓜果', canonical: '水果' }).created).toBe(false);
+        
+        const aliases = listAliases(userId);
+        expect(aliases.length).toBe(1);
+        expect(aliases[0]).toMatchObject({ kind: 'category', alias: '瓜果', canonical: '水果' });
+    });
+    
+    test('合并到别名时指向最终名称，原来指向它的别名一起改指向', async () => {
+        const { userId } = await createTestUser();
+        
+        saveAlias(userId, { kind: 'product', alias: 'A001', canonical: 'B001' });
+        expect(saveAlias(userId, { kind: 'product', alias: 'C001', canonical: 'A001' }).canonical).toBe('B001');
+        saveAlias(userId, { kind: 'product', alias: 'B001', canonical: 'D001' });
+        
+        expect(listAliases(userId).map(a => `${a.alias}>${a.canonical}`)).toEqual(['A001>D001', 'B001>D001', 'C001>D001']);
+        expect(saveAlias(userId, { kind: 'product', alias: 'D001', canonical: 'A001' }).error).toBe('不能合并到自身');
+    });
+    
+    test('无效别名被拒绝', async () => {
+        const { userId } = await createTestUser();
+        
+        expect(saveAlias(userId, { kind: 'brand', alias: 'a', canonical: 'b' }).error).toBe('别名类型无效');
+        expect(saveAlias(userId, { kind: 'product', alias: ' ', canonical: 'b' }).error).toBe('名称不能为空');
+        expect(saveAlias(userId, { kind: 'product', alias: 'a', canonical: 'a' }).error).toBe('不能合并到自身');
+        expect(listAliases(userId)).toEqual([]);
+    });
+    
+    test('用户只能看到和删除自己的别名', async () => {
+        const user1 = await createTestUser('user1');
+        const user2 = await createTestUser('user2');
+        
+        saveAlias(user1.userId, { kind: 'category', alias: '瓜果', canonical: '瓜类' });
+        
+        expect(listAliases(user2.userId)).toEqual([]);
+        expect(deleteAlias(user2.userId, 'category', '瓜果').success).toBe(false);
+        expect(deleteAlias(user1.userId, 'category', '瓜果').success).toBe(true);
+        expect(listAliases(user1.userId)).toEqual([]);
+    });
+});
+
+
+/**
+ * 账期验证测试
+ */
+describe('账期验证', () => {
+    const { validatePeriod } = require('./data');
+    
+    test('有效账期和空账期被接受', () => {
+        expect(validatePeriod({ year: 2025, month: 3 }).valid).toBe(true);
+        expect(validatePeriod(null).valid).toBe(true);
+        expect(validatePeriod(undefined).valid).toBe(true);
+    });
+    
+    test('无效账期被拒绝', () => {
+        [{ year: 2025, month: 13 }, { year: 2025, month: 0 }, { year: '2025', month: 3 }, { year: 2025 }, '2025-03']
+            .forEach(period => {
+                expect(validatePeriod(period)).toEqual({ valid: false, error: '账期无效' });
+            });
+    });
+});
+
+
+/**
+ * 销售明细行存储测试
+ * 
+ * 测试 groupedData 拆分为 sales_rows、按原结构还原以及旧 JSON 数据的迁移
+ */
+describe('销售明细行存储', () => {
+    const { isRowGroupedData, isRawRowData, replaceRows, loadGroupedData, loadRawData, migrateJsonRows } = require('../salesRows');
+    
+    const config = {
+        categoryColumn: '品类|名称',
+        productNameColumn: '商品|名称',
+        productCodeColumn: '商品|编码',
+        quantityColumn: '销售数量',
+        salesColumn: '销售金额|含税'
+    };
+    const groupedData = {
+        '水果': [
+            { '商品|编码': '1001', '商品|名称': '苹果', '销售数量': '12.000', '销售金额|含税': '1,234.50' },
+            { '商品|编码': '', '商品|名称': '梨', '销售数量': '3', '销售金额|含税': 80 }
+        ],
+        '蔬菜': [
+            { '商品|编码': '2001', '商品|名称': '白菜', '销售数量': '(1)', '销售金额|含税': 'N/A' }
+        ]
+    };
+    
+    function insertSalesData(userId, monthId, groupedJson, rowStorage = 'json') {
+        return run(
+            `INSERT INTO sales_data (user_id, month_id, month_name, color, config, grouped_data, raw_data, row_storage, period_year, period_month) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, monthId, monthId, '#E3F2FD', JSON.stringify(config), groupedJson, '[]', rowStorage, 2025, 3]
+        ).lastInsertRowid;
+    }
+    
+    afterEach(() => {
+        run('DELETE FROM sales_rows');
+        run('DELETE FROM sales_raw_rows');
+    });
+    
+    /**
+     * 直接调用数据路由的处理函数（跳过认证中间件）
+     */
+    function callRoute(method, path, req) {
+        const router = require('./data');
+        const layer = router.stack.find(item => item.route && item.route.path === path && item.route.methods[method]);
+        const handler = layer.route.stack[layer.route.stack.length - 1].handle;
+        const res = {
+            statusCode: 200,
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+        handler(req, res);
+        return res;
+    }
+    
+    test('只有品类 -> 商品行格式的数据可以拆分', () => {
+        expect(isRowGroupedData(groupedData)).toBe(true);
+        expect(isRowGroupedData({})).toBe(true);
+        expect(isRowGroupedData([{ category: '水果' }])).toBe(false);
+        expect(isRowGroupedData({ '水果': 'x' })).toBe(false);
+        expect(isRowGroupedData(null)).toBe(false);
+    });
+    
+    test('拆分后数值列可以直接用 SQL 查询，并能还原为原 groupedData', async () => {
+        const { userId } = await createTestUser();
+        const dataId = insertSalesData(userId, 'm1', '{}', 'rows');
+        
+        expect(replaceRows(dataId, userId, { year: 2025, month: 3 }, groupedData, config)).toBe(3);
+        
+        const rows = query(
+            'SELECT category, product_key, quantity, sales_amount, period_month FROM sales_rows WHERE user_id = ? ORDER BY row_index',
+            [userId]
+        );
+        expect(rows).toEqual([
+            { category: '水果', product_key: '1001', quantity: 12, sales_amount: 1234.5, period_month: 3 },
+            { category: '水果', product_key: '梨', quantity: 3, sales_amount: 80, period_month: 3 },
+            { category: '蔬菜', product_key: '2001', quantity: -1, sales_amount: null, period_month: 3 }
+        ]);
+        
+        expect(loadGroupedData(userId).get(dataId)).toEqual(groupedData);
+        
+        // 再次写入时替换而不是追加
+        replaceRows(dataId, userId, null, { '水果': groupedData['水果'] }, config);
+        expect(loadGroupedData(userId).get(dataId)).toEqual({ '水果': groupedData['水果'] });
+    });
+    
+    test('启动迁移把 JSON 商品行拆分到 sales_rows，无法拆分的数据保持原样', async () => {
+        const { userId } = await createTestUser();
+        const objectId = insertSalesData(userId, 'm1', JSON.stringify(groupedData));
+        const arrayId = insertSalesData(userId, 'm2', JSON.stringify([{ category: '水果' }]));
+        
+        expect(migrateJsonRows()).toEqual({ migrated: 1, skipped: 1, rawMigrated: 2 });
+        
+        const migrated = query('SELECT grouped_data, row_storage FROM sales_data WHERE id = ?', [objectId])[0];
+        expect(migrated).toEqual({ grouped_data: '{}', row_storage: 'rows' });
+        expect(loadGroupedData(userId).get(objectId)).toEqual(groupedData);
+        
+        const skipped = query('SELECT grouped_data, row_storage FROM sales_data WHERE id = ?', [arrayId])[0];
+        expect(skipped.row_storage).toBe('json');
+        expect(JSON.parse(skipped.grouped_data)).toEqual([{ category: '水果' }]);
+        
+        // 重复运行不会再次迁移
+        expect(migrateJsonRows()).toEqual({ migrated: 0, skipped: 1, rawMigrated: 0 });
+    });
+    
+    test('启动迁移把 raw_data 中的原始数据拆分到 sales_raw_rows', async () => {
+        const { userId } = await createTestUser();
+        const rawData = [{ '品类|名称': '水果', '商品|名称': '苹果' }, { '品类|名称': '蔬菜', '商品|名称': '白菜' }];
+        const dataId = insertSalesData(userId, 'm1', '{}', 'rows');
+        run('UPDATE sales_data SET raw_data = ? WHERE id = ?', [JSON.stringify(rawData), dataId]);
+        
+        expect(isRawRowData(rawData)).toBe(true);
+        expect(isRawRowData([1, 2])).toBe(false);
+        expect(migrateJsonRows().rawMigrated).toBe(1);
+        
+        expect(query('SELECT raw_data, raw_storage FROM sales_data WHERE id = ?', [dataId])[0])
+            .toEqual({ raw_data: '[]', raw_storage: 'rows' });
+        expect(query('SELECT COUNT(*) AS count FROM sales_raw_rows WHERE sales_data_id = ?', [dataId])[0].count).toBe(2);
+        expect(loadRawData(userId).get(dataId)).toEqual(rawData);
+    });
+    
+    test('上传时原始数据按行保存而不是整块 JSON，读取时还原为 rawData', async () => {
+        const { userId } = await createTestUser();
+        const rawData = [{ '品类|名称': '水果', '商品|名称': '苹果', '销售数量': '12' }];
+        
+        const upload = callRoute('post', '/', {
+            user: { id: userId },
+            body: { monthId: 'm1', monthName: '2025年3月', period: { year: 2025, month: 3 }, config, groupedData, rawData }
+        });
+        expect(upload.statusCode).toBe(201);
+        
+        const stored = query('SELECT raw_data, raw_storage FROM sales_data WHERE id = ?', [upload.body.id])[0];
+        expect(stored).toEqual({ raw_data: '[]', raw_storage: 'rows' });
+        expect(query('SELECT row_index, data FROM sales_raw_rows WHERE sales_data_id = ?', [upload.body.id]))
+            .toEqual([{ row_index: 0, data: JSON.stringify(rawData[0]) }]);
+        
+        const list = callRoute('get', '/', { user: { id: userId } });
+        expect(list.body.data[0].rawData).toEqual(rawData);
+        expect(list.body.data[0].groupedData).toEqual(groupedData);
+        
+        callRoute('delete', '/:id', { user: { id: userId }, params: { id: String(upload.body.id) } });
+        expect(query('SELECT COUNT(*) AS count FROM sales_raw_rows')[0].count).toBe(0);
+    });
+});
@@ -0,0 +1,300 @@
+/**
+ * 销售明细行存储
+ * 
+ * 月度数据的 groupedData 拆分为 sales_rows 表中的一行一个商品，
+ * 数量和金额保存为数值列，可以直接用 SQL 按用户、账期、商品和品类查询。
+ * 接口返回时再按品类还原为 groupedData，保持原有响应结构。
+ * 原始数据 rawData 同样按行保存在 sales_raw_rows 表中，返回时还原为数组。
+ */
+
+const { getDatabase, query, run, transaction } = require('./db');
+const { parseNumber } = require('./utils/number');
+
+/**
+ * groupedData 是否可以拆分为明细行（品类 -> 商品行数组）
+ * @param {*} groupedData
+ * @returns {boolean}
+ */
+function isRowGroupedData(groupedData) {
+  return Boolean(groupedData) &&
+    typeof groupedData === 'object' &&
+    !Array.isArray(groupedData) &&
+    Object.values(groupedData).every(products =>
+      Array.isArray(products) && products.every(row => row && typeof row === 'object' && !Array.isArray(row))
+    );
+}
+
+/**
+ * rawData 是否可以拆分为原始数据行（行对象数组）
+ * @param {*} rawData
+ * @returns {boolean}
+ */
+function isRawRowData(rawData) {
+  return Array.isArray(rawData) &&
+    rawData.every(row => row && typeof row === 'object' && !Array.isArray(row));
+}
+
+/**
+ * 取单元格文本（去除首尾空白）
+ */
+function cellText(row, column) {
+  if (!column || row[column] === undefined || row[column] === null) {
+    return '';
+  }
+  return String(row[column]).trim();
+}
+
+/**
+ * 将 groupedData 展开为明细行
+ * 商品标识优先使用商品编码列，门店标识优先使用门店编码列，与前端规则一致
+ * @param {Object} groupedData - 品类 -> 商品行数组
+ * @param {Object} config - 列映射配置
+ * @returns {Array<Object>}
+ */
+function flattenGroupedData(groupedData, config = {}) {
+  const rows = [];
+  Object.entries(groupedData).forEach(([category, products]) => {
+    products.forEach(row => {
+      const productName = cellText(row, config.productNameColumn);
+      rows.push({
+        rowIndex: rows.length,
+        category,
+        productKey: cellText(row, config.productCodeColumn) || String(row[config.productNameColumn] ?? ''),
+        productName,
+        storeKey: cellText(row, config.storeCodeColumn) || cellText(row, config.storeNameColumn),
+        quantity: parseNumber(row[config.quantityColumn]),
+        salesAmount: parseNumber(row[config.salesColumn]),
+        data: row
+      });
+    });
+  });
+  return rows;
+}
+
+/**
+ * 用新的 groupedData 替换月度数据的明细行
+ * @param {number} salesDataId
+ * @param {number} userId
+ * @param {{ year: number, month: number } | null} period
+ * @param {Object} groupedData
+ * @param {Object} config
+ * @returns {number} 写入的行数
+ */
+function replaceRows(salesDataId, userId, period, groupedData, config) {
+  return transaction(() => {
+    run('DELETE FROM sales_rows WHERE sales_data_id = ?', [salesDataId]);
+
+    const rows = flattenGroupedData(groupedData, config);
+    const stmt = getDatabase().prepare(
+      `INSERT INTO sales_rows 
+       (sales_data_id, user_id, period_year, period_month, row_index, category, product_key, product_name, store_key, quantity, sales_amount, data) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+    try {
+      rows.forEach(row => {
+        stmt.run([
+          salesDataId,
+          userId,
+          period ? period.year : null,
+          period ? period.month : null,
+          row.rowIndex,
+          row.category,
+          row.productKey,
+          row.productName,
+          row.storeKey,
+          row.quantity,
+          row.salesAmount,
+          JSON.stringify(row.data)
+        ]);
+      });
+    } finally {
+      stmt.free();
+    }
+    return rows.length;
+  });
+}
+
+/**
+ * 用新的 rawData 替换月度数据的原始数据行
+ * @param {number} salesDataId
+ * @param {number} userId
+ * @param {Array<Object>} rawData
+ * @returns {number} 写入的行数
+ */
+function replaceRawRows(salesDataId, userId, rawData) {
+  return transaction(() => {
+    run('DELETE FROM sales_raw_rows WHERE sales_data_id = ?', [salesDataId]);
+
+    const stmt = getDatabase().prepare(
+      'INSERT INTO sales_raw_rows (sales_data_id, user_id, row_index, data) VALUES (?, ?, ?, ?)'
+    );
+    try {
+      rawData.forEach((row, index) => {
+        stmt.run([salesDataId, userId, index, JSON.stringify(row)]);
+      });
+    } finally {
+      stmt.free();
+    }
+    return rawData.length;
+  });
+}
+
+/**
+ * 删除月度数据的明细行
+ * @param {number} salesDataId
+ */
+function deleteRows(salesDataId) {
+  run('DELETE FROM sales_rows WHERE sales_data_id = ?', [salesDataId]);
+}
+
+/**
+ * 删除月度数据的原始数据行
+ * @param {number} salesDataId
+ */
+function deleteRawRows(salesDataId) {
+  run('DELETE FROM sales_raw_rows WHERE sales_data_id = ?', [salesDataId]);
+}
+
+/**
+ * 读取用户所有月度数据的明细行并还原为 groupedData
+ * @param {number} userId
+ * @returns {Map<number, Object>} sales_data_id -> groupedData
+ */
+function loadGroupedData(userId) {
+  const grouped = new Map();
+  query(
+    `SELECT sales_data_id, category, data 
+     FROM sales_rows 
+     WHERE user_id = ? 
+     ORDER BY sales_data_id, row_index`,
+    [userId]
+  ).forEach(row => {
+    if (!grouped.has(row.sales_data_id)) {
+      grouped.set(row.sales_data_id, {});
+    }
+    const groupedData = grouped.get(row.sales_data_id);
+    if (!groupedData[row.category]) {
+      groupedData[row.category] = [];
+    }
+    groupedData[row.category].push(JSON.parse(row.data));
+  });
+  return grouped;
+}
+
+/**
+ * 读取用户所有月度数据的原始数据行并还原为 rawData
+ * @param {number} userId
+ * @returns {Map<number, Array<Object>>} sales_data_id -> rawData
+ */
+function loadRawData(userId) {
+  const rawById = new Map();
+  query(
+    `SELECT sales_data_id, data 
+     FROM sales_raw_rows 
+     WHERE user_id = ? 
+     ORDER BY sales_data_id, row_index`,
+    [userId]
+  ).forEach(row => {
+    if (!rawById.has(row.sales_data_id)) {
+      rawById.set(row.sales_data_id, []);
+    }
+    rawById.get(row.sales_data_id).push(JSON.parse(row.data));
+  });
+  return rawById;
+}
+
+/**
+ * 将仍以 JSON 保存在 sales_data.raw_data 中的原始数据迁移到 sales_raw_rows
+ * 无法拆分的数据保持原样
+ * @returns {number} 迁移的月份数
+ */
+function migrateJsonRawRows() {
+  const pending = query(
+    `SELECT id, user_id, raw_data 
+     FROM sales_data 
+     WHERE raw_storage = 'json'`
+  );
+
+  let migrated = 0;
+  pending.forEach(item => {
+    let rawData;
+    try {
+      rawData = JSON.parse(item.raw_data || '[]');
+    } catch (error) {
+      return;
+    }
+
+    if (!isRawRowData(rawData)) {
+      return;
+    }
+
+    transaction(() => {
+      replaceRawRows(item.id, item.user_id, rawData);
+      run(
+        `UPDATE sales_data SET raw_data = '[]', raw_storage = 'rows' WHERE id = ?`,
+        [item.id]
+      );
+    });
+    migrated++;
+  });
+
+  return migrated;
+}
+
+/**
+ * 将仍以 JSON 保存在 sales_data.grouped_data 中的数据迁移到 sales_rows，
+ * raw_data 中的原始数据迁移到 sales_raw_rows
+ * 无法拆分的数据（如旧版本的数组格式）保持原样
+ * @returns {{ migrated: number, skipped: number, rawMigrated: number }}
+ */
+function migrateJsonRows() {
+  const pending = query(
+    `SELECT id, user_id, config, grouped_data, period_year, period_month 
+     FROM sales_data 
+     WHERE row_storage = 'json'`
+  );
+
+  let migrated = 0;
+  let skipped = 0;
+  pending.forEach(item => {
+    let groupedData;
+    let config;
+    try {
+      groupedData = JSON.parse(item.grouped_data || '{}');
+      config = JSON.parse(item.config || '{}');
+    } catch (error) {
+      skipped++;
+      return;
+    }
+
+    if (!isRowGroupedData(groupedData)) {
+      skipped++;
+      return;
+    }
+
+    const period = item.period_year ? { year: item.period_year, month: item.period_month } : null;
+    transaction(() => {
+      replaceRows(item.id, item.user_id, period, groupedData, config);
+      run(
+        `UPDATE sales_data SET grouped_data = '{}', row_storage = 'rows' WHERE id = ?`,
+        [item.id]
+      );
+    });
+    migrated++;
+  });
+
+  return { migrated, skipped, rawMigrated: migrateJsonRawRows() };
+}
+
+module.exports = {
+  isRowGroupedData,
+  isRawRowData,
+  flattenGroupedData,
+  replaceRows,
+  replaceRawRows,
+  deleteRows,
+  deleteRawRows,
+  loadGroupedData,
+  loadRawData,
+  migrateJsonRows
+};
@@ -0,0 +1,76 @@
+/**
+ * 数值解析工具
+ * 
+ * 与前端 NumberParser 规则一致，用于把上传数据中的文本金额写入数值列
+ */
+
+const FULL_WIDTH_MAP = {
+    '０': '0', '１': '1', '２': '2', '３': '3', '４': '4',
+    '５': '5', '６': '6', '７': '7', '８': '8', '９': '9',
+    '．': '.', '，': ',', '－': '-', '＋': '+', '（': '(', '）': ')', '％': '%'
+};
+
+/**
+ * 统一千分位和小数分隔符为 "1234.5" 形式
+ * @param {string} str
+ * @returns {string}
+ */
+function normalizeSeparators(str) {
+    const lastDot = str.lastIndexOf('.');
+    const lastComma = str.lastIndexOf(',');
+
+    if (lastDot >= 0 && lastComma >= 0) {
+        return lastComma > lastDot
+            ? str.replace(/\./g, '').replace(',', '.')
+            : str.replace(/,/g, '');
+    }
+    if (lastComma >= 0) {
+        if (/^[+-]?\d{1,3}(,\d{3})+$/.test(str)) return str.replace(/,/g, '');
+        if (/^[+-]?\d+,\d+$/.test(str)) return str.replace(',', '.');
+    }
+    return str;
+}
+
+/**
+ * 将单元格值解析为数值
+ * 支持千分位、货币符号、全角数字、会计负数 "(12.00)" 和尾随负号 "12.00-"
+ * @param {*} value
+ * @returns {number | null} 空值或无法解析时返回 null
+ */
+function parseNumber(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+
+    let str = String(value)
+        .replace(/[０-９．，－＋（）％]/g, ch => FULL_WIDTH_MAP[ch])
+        .replace(/[\s\u00A0\u2009\u3000]/g, '')
+        .replace(/^(RMB|CNY)|[¥￥$€£元]/gi, '');
+
+    let negative = false;
+    if (/^\(.*\)$/.test(str)) {
+        negative = true;
+        str = str.slice(1, -1);
+    }
+    if (/^[^-].*-$/.test(str)) {
+        negative = true;
+        str = str.slice(0, -1);
+    }
+    str = normalizeSeparators(str.replace(/%$/, ''));
+    if (!/^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i.test(str)) {
+        return null;
+    }
+
+    const number = parseFloat(str);
+    if (!Number.isFinite(number)) {
+        return null;
+    }
+    return negative ? -Math.abs(number) : number;
+}
+
+module.exports = {
+    parseNumber
+};
@@ -0,0 +1,37 @@
+const fc = require('fast-check');
+const { parseNumber } = require('./number');
+
+/**
+ * 数值解析测试
+ * 
+ * 服务端写入数值列时使用，规则与前端 NumberParser 一致
+ */
+describe('parseNumber 数值解析', () => {
+    test('解析 ERP 导出的文本金额', () => {
+        expect(parseNumber('4732.180')).toBe(4732.18);
+        expect(parseNumber('1,234.50')).toBe(1234.5);
+        expect(parseNumber('¥2,000')).toBe(2000);
+        expect(parseNumber('(12.00)')).toBe(-12);
+        expect(parseNumber('１２３．５')).toBe(123.5);
+        expect(parseNumber(42)).toBe(42);
+    });
+
+    test('空值和无法解析的文本返回 null', () => {
+        expect(parseNumber('')).toBeNull();
+        expect(parseNumber(null)).toBeNull();
+        expect(parseNumber('N/A')).toBeNull();
+        expect(parseNumber(NaN)).toBeNull();
+    });
+
+    test('任意数值转为字符串后可以解析回原值', () => {
+        fc.assert(
+            fc.property(
+                fc.double({ min: -1e9, max: 1e9, noNaN: true, noDefaultInfinity: true }),
+                (value) => {
+                    expect(parseNumber(String(value))).toBeCloseTo(value, 6);
+                }
+            ),
+            { numRuns: 100 }
+        );
+    });
+});